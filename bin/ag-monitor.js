@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+import readline from 'readline';
+import WebSocket from 'ws';
+import { readJson, writeJson } from '../lib/data.js';
+import { BASE as API_BASE } from '../lib/api.js';
+
+// Terminal client
+//
+// Talks to a running monitor over /api/v1 and the WebSocket the phone uses, for
+// when there's an SSH session but no browser:
+//
+//   ag-monitor pair 482913 --server http://devbox:3000
+//   ag-monitor list
+//   ag-monitor tail api          # follow the chat whose title or project matches "api"
+//   ag-monitor chat api          # follow it and reply from the prompt
+//   ag-monitor send api "Run the tests again"
+//   ag-monitor new api
+//
+// Conversations are printed as text, one block per turn, and followed live:
+// streamed replies appear line by line, steps (commands, edits) as they start
+// and finish.
+
+const CLI_FILE = 'cli.json'; // { server, token } saved by `pair`, next to the server's own data
+const DEFAULT_SERVER = 'http://localhost:3000';
+const RECONNECT_MS = 2000;
+
+const USAGE = `Usage: ag-monitor <command> [options]
+
+Commands:
+  pair <code>              Pair this terminal (code printed by the server, or from 🔐 on a paired phone)
+  list                     List open chats
+  tail <chat>              Print a chat and follow new output
+  chat <chat>              Like tail, and every line you type is sent (/new, /quit)
+  send <chat> [text...]    Send a message (text from stdin if omitted or "-")
+  new <chat>               Start a new conversation in that window
+
+<chat> is a chat id, or part of its title or project name.
+
+Options:
+  --server <url>           Monitor URL (AG_MONITOR_URL, default ${DEFAULT_SERVER})
+  --token <token>          Device token (AG_MONITOR_TOKEN, default: the one saved by pair)
+  --name <name>            Device name when pairing
+  --lines <n>              Turns to print before following (tail/chat, default 10, 0 for all)
+  --no-follow              Print and exit (tail)
+  -h, --help               Show this help`;
+
+// --- Output ---
+
+const color = process.stdout.isTTY && !process.env.NO_COLOR;
+const paint = (code) => (text) => color ? `\x1b[${code}m${text}\x1b[0m` : String(text);
+const bold = paint('1');
+const dim = paint('2');
+const red = paint('31');
+const green = paint('32');
+const yellow = paint('33');
+const blue = paint('34');
+const cyan = paint('36');
+
+const STEP_ICONS = { running: yellow('…'), waiting: yellow('?'), done: green('✓'), failed: red('✗'), cancelled: dim('–'), unknown: dim('·') };
+const STATE_LABELS = { generating: yellow('working'), waiting_approval: yellow('needs approval'), errored: red('error'), idle: dim('idle') };
+
+let prompt = null; // readline interface while `chat` reads replies
+
+// Print above the reply prompt, if there is one
+function print(text = '') {
+    if (!prompt) return console.log(text);
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    console.log(text);
+    prompt.prompt(true);
+}
+
+function fail(message, status) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Markdown as terminal text: headings and emphasis bold, code cyan, fences dimmed
+function markdownLines(markdown) {
+    let inCode = false;
+    return String(markdown || '').replace(/\s+$/, '').split('\n').map(line => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCode = !inCode;
+            return dim(line);
+        }
+        if (inCode) return cyan(line);
+        if (/^#{1,6}\s/.test(line)) return bold(line.replace(/^#{1,6}\s+/, ''));
+        return line
+            .replace(/\*\*([^*]+)\*\*/g, (m, text) => bold(text))
+            .replace(/`([^`]+)`/g, (m, code) => cyan(code));
+    });
+}
+
+function turnHeader(message) {
+    const label = message.role === 'user' ? blue('You') : green('Agent');
+    return `\n${bold('──')} ${bold(label)} ${dim(`#${message.index}`)}`;
+}
+
+function stepLine(step) {
+    const what = [step.label, step.command && cyan(step.command)].filter(Boolean).join(' ');
+    return `  ${STEP_ICONS[step.status] || STEP_ICONS.unknown} ${what} ${dim(step.status)}`;
+}
+
+// --- Following a conversation ---
+
+// Keeps what's been printed per turn, so updates only print what's new. The last
+// line of a turn that's still streaming is held back until it's complete, then
+// text only ever gets appended; if something already printed changes, the turn
+// is printed again.
+class Follower {
+    constructor() {
+        this.printed = new Map(); // Map<index, { lines: string[], steps: Map<key, status> }>
+        this.latest = -1;
+        this.streaming = false;
+    }
+
+    reset() {
+        this.printed.clear();
+        this.latest = -1;
+    }
+
+    show(message) {
+        this.latest = Math.max(this.latest, message.index);
+        const lines = markdownLines(message.markdown);
+        const live = this.streaming && message.index === this.latest;
+        const ready = live ? lines.slice(0, -1) : lines;
+
+        let seen = this.printed.get(message.index);
+        const changed = seen && seen.lines.some((line, i) => ready[i] !== undefined && ready[i] !== line);
+        if (!seen || changed) {
+            if (changed) print(dim(`↻ #${message.index} changed:`));
+            seen = { lines: [], steps: new Map(), message };
+            this.printed.set(message.index, seen);
+            print(turnHeader(message));
+        }
+        seen.message = message;
+
+        ready.slice(seen.lines.length).forEach(line => print(line));
+        if (ready.length > seen.lines.length) seen.lines = ready;
+
+        for (const step of message.steps || []) {
+            const key = `${step.kind}|${step.label}|${step.command || ''}`;
+            if (seen.steps.get(key) === step.status) continue;
+            seen.steps.set(key, step.status);
+            print(stepLine(step));
+        }
+    }
+
+    // The agent stopped: print the held-back last line of its turn
+    settle() {
+        const last = this.printed.get(this.latest);
+        this.streaming = false;
+        if (last) this.show(last.message);
+    }
+}
+
+// --- Server access ---
+
+function loadSettings(options) {
+    const saved = readJson(CLI_FILE, {});
+    const server = (options.server || process.env.AG_MONITOR_URL || saved.server || DEFAULT_SERVER).replace(/\/+$/, '');
+    const token = options.token || process.env.AG_MONITOR_TOKEN || (saved.server === server ? saved.token : null);
+    return { server, token };
+}
+
+function client({ server, token }) {
+    async function api(path, { method = 'GET', body } = {}) {
+        let res;
+        try {
+            res = await fetch(server + API_BASE + path, {
+                method,
+                headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (e) {
+            throw fail(`Can't reach ${server} (${e.cause?.code || e.message})`);
+        }
+        const data = await res.json().catch(() => ({}));
+        if (res.status === 401 && path !== '/auth/pair') throw fail('Not paired, run `ag-monitor pair <code>` first', 401);
+        if (!res.ok) throw Object.assign(fail(data.error?.message || `${method} ${path} failed (${res.status})`, res.status), { code: data.error?.code });
+        return data;
+    }
+
+    function socket(onMessage, onState) {
+        const url = `${server.replace(/^http/, 'ws')}/?token=${encodeURIComponent(token || '')}`;
+        let ws = null;
+        const notPaired = () => {
+            console.error(red('This terminal is not paired (or was revoked), run `ag-monitor pair <code>`'));
+            process.exit(1);
+        };
+        const open = () => {
+            ws = new WebSocket(url);
+            ws.on('open', () => onState('open'));
+            // Unknown tokens are refused during the upgrade, revoked ones closed with 4401
+            ws.on('unexpected-response', (req, res) => {
+                if (res.statusCode === 401) notPaired();
+                ws.terminate();
+            });
+            ws.on('message', (raw) => {
+                try { onMessage(JSON.parse(raw)); } catch (e) { }
+            });
+            ws.on('close', (code) => {
+                if (code === 4401) notPaired();
+                onState('closed');
+                setTimeout(open, RECONNECT_MS);
+            });
+            ws.on('error', () => { }); // Followed by close
+        };
+        open();
+    }
+
+    return { api, socket };
+}
+
+// A chat by id, or by a unique part of its title or project name
+async function findCascade(api, query) {
+    if (!query) throw fail('Which chat? Give an id or part of its title (see `ag-monitor list`)', 2);
+    const { cascades: list } = await api('/cascades');
+    const exact = list.find(c => c.id === query);
+    if (exact) return exact;
+
+    const q = query.toLowerCase();
+    const matches = list.filter(c => [c.title, c.projectName].some(t => (t || '').toLowerCase().includes(q)));
+    if (matches.length === 1) return matches[0];
+    if (!matches.length) throw fail(`No open chat matches "${query}"`, 404);
+    throw fail(`"${query}" matches ${matches.length} chats: ${matches.map(c => `${c.id} (${c.title})`).join(', ')}`, 2);
+}
+
+function chatName(c) {
+    return [c.projectName, c.title].filter(Boolean).join(' · ') || c.id;
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+function newMessageId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+async function sendMessage(api, cascade, text) {
+    try {
+        return await api(`/cascades/${cascade.id}/messages`, { method: 'POST', body: { message: text, clientMessageId: newMessageId() } });
+    } catch (e) {
+        if (e.code === 'not_delivered') e.message = `Not sent: ${e.message}`;
+        throw e;
+    }
+}
+
+// --- Commands ---
+
+async function pair(options, code) {
+    if (!code) throw fail('Usage: ag-monitor pair <code>', 2);
+    const { server } = loadSettings(options);
+    const { api } = client({ server });
+    const result = await api('/auth/pair', { method: 'POST', body: { code, name: options.name || `Terminal (${process.env.USER || 'cli'})` } });
+    if (!result.token) throw fail('Pairing failed');
+    writeJson(CLI_FILE, { server, token: result.token });
+    console.log(`${green('✓')} Paired as ${result.device.role} with ${server}`);
+}
+
+async function list(api) {
+    const { cascades } = await api('/cascades');
+    if (!cascades.length) return console.log(dim('No chats open'));
+    for (const c of cascades) {
+        const state = STATE_LABELS[c.state] || dim(c.state || '');
+        console.log(`${c.active ? green('●') : dim('○')} ${bold(c.id)}  ${chatName(c)}  ${state}${c.model ? dim(`  ${c.model}`) : ''}`);
+    }
+}
+
+async function follow({ api, socket }, cascade, options, { reply = false } = {}) {
+    const follower = new Follower();
+    follower.streaming = cascade.state === 'generating';
+
+    let from = 0; // First turn shown, earlier ones stay skipped after a reconnect
+    const catchUp = async () => {
+        const { messages } = await api(`/cascades/${cascade.id}/messages`);
+        messages.filter(m => m.index >= from).forEach(m => follower.show(m));
+    };
+
+    console.log(`${bold(chatName(cascade))} ${dim(cascade.id)}`);
+    const { messages } = await api(`/cascades/${cascade.id}/messages`);
+    const shown = options.lines ? messages.slice(-options.lines) : messages;
+    from = shown[0]?.index ?? messages.length;
+    shown.forEach(m => follower.show(m));
+    if (!options.follow) return;
+
+    let connected = false;
+    let gone = false;
+    socket((msg) => {
+        if (msg.type === 'cascade_moved' && msg.from === cascade.id) cascade = { ...cascade, id: msg.to };
+        if (msg.type === 'cascade_list') {
+            const c = msg.cascades.find(c => c.id === cascade.id);
+            if (!c && !gone) print(yellow('The window is gone, waiting for it to come back…'));
+            gone = !c;
+            if (!c) return;
+            const wasStreaming = follower.streaming;
+            follower.streaming = c.state === 'generating';
+            if (c.state !== cascade.state && STATE_LABELS[c.state]) print(dim(`[${STATE_LABELS[c.state]}]`));
+            cascade = { ...cascade, ...c };
+            if (wasStreaming && !follower.streaming) follower.settle();
+        }
+        if (msg.cascadeId !== cascade.id) return;
+        if (msg.type === 'message') follower.show(msg.message);
+        if (msg.type === 'messages_reset') {
+            print(dim('\n── switched to another conversation ──'));
+            follower.reset();
+            msg.messages.forEach(m => follower.show(m));
+        }
+        if (msg.type === 'queue_sent') print(dim(`[queued prompt ${msg.status}${msg.reason ? `: ${msg.reason}` : ''}]`));
+    }, (state) => {
+        if (state === 'closed' && connected) print(yellow('Connection lost, reconnecting…'));
+        if (state === 'open') {
+            // Whatever happened while away, or since the turns above were fetched
+            catchUp().catch(e => print(red(e.message)));
+        }
+        connected = state === 'open';
+    });
+
+    if (reply) startPrompt(api, cascade);
+}
+
+function startPrompt(api, cascade) {
+    prompt = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: `${blue('›')} ` });
+    prompt.prompt();
+    prompt.on('line', async (line) => {
+        const text = line.trim();
+        if (text === '/quit') process.exit(0);
+        try {
+            if (text === '/new') {
+                await api(`/cascades/${cascade.id}/new`, { method: 'POST' });
+                print(dim('[new conversation requested]'));
+            } else if (text) {
+                const result = await sendMessage(api, cascade, line);
+                if (result.status !== 'delivered') print(yellow(`[sent, not confirmed: ${result.reason}]`));
+            }
+        } catch (e) {
+            print(red(e.message));
+        }
+        prompt.prompt();
+    });
+    prompt.on('close', () => process.exit(0));
+}
+
+async function send(api, cascade, words) {
+    let text = words.join(' ');
+    if (!words.length || text === '-') text = await readStdin();
+    if (!text.trim()) throw fail('Nothing to send', 2);
+    const result = await sendMessage(api, cascade, text);
+    if (result.status === 'delivered') console.log(`${green('✓')} Delivered to ${chatName(cascade)}`);
+    else console.log(`${yellow('!')} Sent to ${chatName(cascade)}, not confirmed: ${result.reason}`);
+}
+
+function parseArgv(argv) {
+    const options = { lines: 10, follow: true };
+    const args = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw fail(`${arg} needs a value`, 2);
+            return argv[++i];
+        };
+        if (arg === '-h' || arg === '--help') options.help = true;
+        else if (arg === '--no-follow') options.follow = false;
+        else if (arg === '--server') options.server = value();
+        else if (arg === '--token') options.token = value();
+        else if (arg === '--name') options.name = value();
+        else if (arg === '--lines') {
+            options.lines = Number(value());
+            if (!Number.isInteger(options.lines) || options.lines < 0) throw fail('--lines must be a whole number', 2);
+        } else if (arg.startsWith('--')) throw fail(`Unknown option ${arg}`, 2);
+        else args.push(arg);
+    }
+    return { options, command: args[0], args: args.slice(1) };
+}
+
+async function main() {
+    const { options, command, args } = parseArgv(process.argv.slice(2));
+    if (options.help || !command) return console.log(USAGE);
+    if (command === 'pair') return pair(options, args[0]);
+
+    const settings = loadSettings(options);
+    const { api, socket } = client(settings);
+    if (command === 'list') return list(api);
+
+    const commands = ['tail', 'chat', 'send', 'new'];
+    if (!commands.includes(command)) throw fail(`Unknown command: ${command}\n\n${USAGE}`, 2);
+
+    const cascade = await findCascade(api, args[0]);
+    if (command === 'tail') return follow({ api, socket }, cascade, options);
+    if (command === 'chat') return follow({ api, socket }, cascade, { ...options, follow: true }, { reply: true });
+    if (command === 'send') return send(api, cascade, args.slice(1));
+    await api(`/cascades/${cascade.id}/new`, { method: 'POST' });
+    console.log(`${green('✓')} New conversation started in ${chatName(cascade)}`);
+}
+
+main().catch((e) => {
+    console.error(red(`❌ ${e.message}`));
+    process.exit(e.status === 2 ? 2 : 1);
+});
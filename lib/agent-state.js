@@ -0,0 +1,27 @@
+// Agent state
+//
+// Derives what a cascade is doing from the signals captureHTML() reads off the
+// live DOM plus the structured messages:
+//   idle | generating | waiting_approval | errored
+
+export const STATES = ['idle', 'generating', 'waiting_approval', 'errored'];
+
+export function deriveState(signals = {}, messages = []) {
+    const last = messages[messages.length - 1];
+    const steps = last?.role === 'agent' ? last.steps : [];
+
+    if (signals.approvals > 0 || steps.some(s => s.status === 'waiting')) return 'waiting_approval';
+    if (signals.stop || signals.busy || steps.some(s => s.status === 'running')) return 'generating';
+    if (signals.error || steps[steps.length - 1]?.status === 'failed') return 'errored';
+    return 'idle';
+}
+
+// Which transitions are worth a notification, and what to say
+export function describeTransition(from, to) {
+    // Nothing to report on first sight (e.g. right after the server starts)
+    if (!from || from === to) return null;
+    if (to === 'waiting_approval') return { event: 'approval_needed', text: 'Waiting for your approval' };
+    if (to === 'errored') return { event: 'errored', text: 'Agent stopped with an error' };
+    if (to === 'idle' && from === 'generating') return { event: 'finished', text: 'Agent finished' };
+    return null;
+}
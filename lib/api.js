@@ -0,0 +1,166 @@
+import * as auth from './auth.js';
+
+// Public API (/api/v1)
+//
+// What integrations build on: every resource has one shape wherever it shows up,
+// and every error is { error: { code, message } } with the HTTP status to match,
+// so scripts can branch on `code` instead of parsing messages. The routes
+// themselves live in server.js next to the state they read; this module has the
+// pieces they share and the Server-Sent Events stream.
+
+export const VERSION = 'v1';
+export const BASE = `/api/${VERSION}`;
+
+const DEFAULT_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    429: 'too_many_requests',
+    502: 'upstream_failed',
+    503: 'unavailable'
+};
+
+// --- Errors ---
+
+export function apiError(status, code, message, details = undefined) {
+    return Object.assign(new Error(message), { status, code, details });
+}
+
+export function sendError(res, err) {
+    // express.json() reports bad requests with a status but no code of ours, multer
+    // (too many files, too large, ...) with neither
+    const multer = err.name === 'MulterError' && (err.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+    const status = err.status || err.statusCode || multer || 500;
+    const code = typeof err.code === 'string' && /^[a-z_]+$/.test(err.code) ? err.code : DEFAULT_CODES[status] || (status < 500 ? 'bad_request' : 'internal_error');
+    const error = { code, message: err.message || 'Internal error' };
+    if (err.details) error.details = err.details;
+    res.status(status).json({ error });
+}
+
+// Wraps a handler: whatever it returns is sent as JSON (null: 204 No Content),
+// whatever it throws as an error object. Handlers that respond themselves (files,
+// streams) return undefined.
+export function handle(fn) {
+    return async (req, res) => {
+        try {
+            const body = await fn(req, res);
+            if (body === undefined || res.headersSent) return;
+            if (body === null) res.status(204).end();
+            else res.json(body);
+        } catch (e) {
+            if (!res.headersSent) sendError(res, e);
+        }
+    };
+}
+
+// Like auth.requireRole(), answering in the API's error shape
+export function requireRole(role = 'viewer') {
+    return (req, res, next) => {
+        const device = auth.authenticate(auth.tokenFromRequest(req));
+        if (!device) return sendError(res, apiError(401, 'unauthorized', 'Missing or invalid device token'));
+        if (!auth.hasRole(device, role)) return sendError(res, apiError(403, 'forbidden', `Requires ${role} role`));
+        req.device = device;
+        next();
+    };
+}
+
+// Marks a pre-v1 route: it keeps working, and says where it moved (RFC 8594 style).
+// Parameters of the successor come from the old route's path, or its JSON body.
+export function deprecated(successor) {
+    return (req, res, next) => {
+        const url = successor.replace(/:(\w+)/g, (m, name) => encodeURIComponent(req.params[name] ?? req.body?.[name] ?? ''));
+        res.set({ 'Deprecation': 'true', 'Link': `<${url}>; rel="successor-version"` });
+        next();
+    };
+}
+
+// --- Server-Sent Events ---
+
+const SSE_HISTORY = 200; // Events kept for clients resuming with Last-Event-ID
+const SSE_HEARTBEAT_MS = 25000; // Comment lines keep proxies from closing an idle stream
+const SSE_RETRY_MS = 3000;
+
+// Mirrors the WebSocket broadcasts to EventSource clients: one SSE event per
+// message, named after its `type`, with the same JSON as data. Clients can narrow
+// it down with ?types=a,b and ?cascadeId=, and pick up where they left off. A
+// ?cascadeId= follows its window when it comes back under another id.
+export class EventStream {
+    // `resolveCascadeId(id)`: the id a window has now, for one it had before
+    constructor({ resolveCascadeId = (id) => id } = {}) {
+        this.resolveCascadeId = resolveCascadeId;
+        this.clients = new Set(); // Set<{ res, device, types, cascadeId }>
+        this.history = []; // [{ id, msg }]
+        this.nextId = 1;
+        this.heartbeat = null;
+    }
+
+    // Takes over `res`. `initial` is sent first, without an id: current state,
+    // not an event to resume from.
+    open(req, res, initial = []) {
+        const types = req.query.types ? new Set(String(req.query.types).split(',').map(t => t.trim()).filter(Boolean)) : null;
+        const client = { res, device: req.device, types, cascadeId: req.query.cascadeId || null };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // nginx would otherwise hold events back
+        });
+        res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+        initial.forEach(msg => this.write(client, msg));
+
+        // Resume: what was broadcast since the last event the client saw, if we still have it
+        const lastId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+        if (lastId) this.history.filter(e => e.id > lastId).forEach(e => this.write(client, e.msg, e.id));
+        if (client.cascadeId) client.cascadeId = this.resolveCascadeId(client.cascadeId); // Moved before it (re)connected
+
+        this.clients.add(client);
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (!this.clients.size) this.stopHeartbeat();
+        });
+        this.startHeartbeat();
+    }
+
+    publish(msg) {
+        const id = this.nextId++;
+        this.history.push({ id, msg });
+        if (this.history.length > SSE_HISTORY) this.history.shift();
+        this.clients.forEach(client => this.write(client, msg, id));
+    }
+
+    wants(client, msg) {
+        if (client.types && !client.types.has(msg.type)) return false;
+        if (!client.cascadeId) return true;
+        if (msg.cascadeId) return msg.cascadeId === client.cascadeId;
+        if (msg.cascadeIds) return msg.cascadeIds.includes(client.cascadeId);
+        return true; // Not about one cascade (cascade_list)
+    }
+
+    write(client, msg, id = null) {
+        if (msg.type === 'cascade_moved' && client.cascadeId === msg.from) client.cascadeId = msg.to;
+        if (!this.wants(client, msg)) return;
+        client.res.write(`${id ? `id: ${id}\n` : ''}event: ${msg.type}\ndata: ${JSON.stringify(msg)}\n\n`);
+    }
+
+    // A revoked device's streams end right away, like its sockets
+    closeDevice(deviceId) {
+        this.clients.forEach(client => {
+            if (client.device?.id === deviceId) client.res.end();
+        });
+    }
+
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => this.clients.forEach(c => c.res.write(': ping\n\n')), SSE_HEARTBEAT_MS);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+}
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import path from 'path';
+
+// Snapshot assets
+//
+// Icons, images and fonts in the workbench have vscode-file:// or blob: URLs the
+// phone can't load. Sanitizing a snapshot registers each one under a random key
+// and links it as /asset/<cascadeId>/<key>/<name>. Serving a key fetches the
+// bytes with the page's own fetch() through CDP, preferably from the window in
+// the path, else from any other window that registered the same URL (windows
+// share stylesheets). Bytes are kept in a memory cache shared by all windows,
+// workbench files don't change while it runs.
+//
+// Keys are unguessable and only ever appear in snapshots sent to paired devices,
+// which is what lets <img> and @font-face load them without an auth header.
+
+const MAX_KEYS = 5000;
+const MAX_ASSET_BYTES = 5 * 1024 * 1024;
+const MAX_CACHE_BYTES = 32 * 1024 * 1024;
+const FETCH_TIMEOUT = 10000;
+
+export const ASSET_MIME = {
+    '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif',
+    '.webp': 'image/webp', '.avif': 'image/avif', '.bmp': 'image/bmp', '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml', '.woff': 'font/woff', '.woff2': 'font/woff2', '.ttf': 'font/ttf',
+    '.otf': 'font/otf', '.eot': 'application/vnd.ms-fontobject'
+};
+
+const keys = new Map(); // Map<url, key>
+const entries = new Map(); // Map<key, { url, cascades: Set<cascadeId> }>, oldest first
+const cache = new Map(); // Map<url, { type, body }>, in insertion order for eviction
+const loading = new Map(); // Map<url, Promise>, so a page full of the same icon fetches it once
+let cacheBytes = 0;
+
+function fileName(url) {
+    try {
+        const name = path.posix.basename(new URL(url).pathname);
+        return /^[\w.-]{1,100}$/.test(name) ? name : 'asset';
+    } catch (e) {
+        return 'asset';
+    }
+}
+
+// The /asset path for `url`. The same URL keeps its key, so snapshots stay stable.
+export function register(cascadeId, url) {
+    let key = keys.get(url);
+    if (!key) {
+        if (entries.size >= MAX_KEYS) {
+            const [oldKey, old] = entries.entries().next().value;
+            entries.delete(oldKey);
+            keys.delete(old.url);
+        }
+        key = crypto.randomBytes(12).toString('hex');
+        keys.set(url, key);
+        entries.set(key, { url, cascades: new Set() });
+    }
+    entries.get(key).cascades.add(cascadeId);
+    return `/asset/${encodeURIComponent(cascadeId)}/${key}/${fileName(url)}`;
+}
+
+// { url, cascades } for a key, null if it was never handed out (or is forgotten)
+export function lookup(key) {
+    return entries.get(key) || null;
+}
+
+// A window went away: its URLs stay servable through the other windows that use them
+export function forget(cascadeId) {
+    for (const [key, entry] of entries) {
+        entry.cascades.delete(cascadeId);
+        if (entry.cascades.size) continue;
+        entries.delete(key);
+        keys.delete(entry.url);
+    }
+}
+
+function remember(url, asset) {
+    if (asset.body.length > MAX_CACHE_BYTES / 4) return;
+    cache.set(url, asset);
+    cacheBytes += asset.body.length;
+    for (const [oldUrl, old] of cache) {
+        if (cacheBytes <= MAX_CACHE_BYTES) break;
+        cache.delete(oldUrl);
+        cacheBytes -= old.body.length;
+    }
+}
+
+// Only things an <img> or a font rule can use; anything else stays in the IDE
+function assetType(url, reported) {
+    const type = (reported || '').split(';')[0].trim().toLowerCase();
+    if (/^(image|font)\//.test(type) || /^application\/(x-)?font/.test(type) || type === 'application/vnd.ms-fontobject') return type;
+    return ASSET_MIME[path.extname(fileName(url)).toLowerCase()] || null;
+}
+
+async function fetchThroughPage(cdp, url) {
+    const SCRIPT = `(async () => {
+        const res = await fetch(${JSON.stringify(url)});
+        if (!res.ok) return { status: res.status };
+        const bytes = new Uint8Array(await res.arrayBuffer());
+        if (bytes.length > ${MAX_ASSET_BYTES}) return { status: 413 };
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        return { status: 200, type: res.headers.get('content-type'), data: btoa(binary) };
+    })()`;
+
+    const res = await cdp.call('Runtime.evaluate', {
+        expression: SCRIPT,
+        awaitPromise: true,
+        returnByValue: true,
+        contextId: cdp.rootContextId
+    }, { timeout: FETCH_TIMEOUT });
+    if (res.exceptionDetails) throw Object.assign(new Error('Asset fetch failed in the page'), { status: 502 });
+
+    const value = res.result?.value;
+    if (!value || value.status !== 200) {
+        throw Object.assign(new Error(`Asset fetch returned ${value?.status || 'nothing'}`), { status: value?.status === 404 ? 404 : 502 });
+    }
+    const type = assetType(url, value.type);
+    if (!type) throw Object.assign(new Error('Not an image or font'), { status: 415 });
+    return { type, body: Buffer.from(value.data, 'base64') };
+}
+
+// { type, body } for a registered URL, from the cache or the page
+export async function load(cdp, url) {
+    if (cache.has(url)) return cache.get(url);
+    if (!loading.has(url)) {
+        loading.set(url, fetchThroughPage(cdp, url)
+            .then(asset => { remember(url, asset); return asset; })
+            .finally(() => loading.delete(url)));
+    }
+    return loading.get(url);
+}
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import { readJson, writeJson } from './data.js';
+
+// Pairing & device tokens
+//
+// On startup the server prints a one-time pairing code per role. A phone trades
+// the code for a long-lived device token which it then sends on every request
+// (Authorization: Bearer <token>, or ?token= for the WebSocket upgrade).
+
+export const ROLES = ['viewer', 'controller'];
+
+const DEVICES_FILE = 'devices.json';
+const CODE_TTL = 10 * 60 * 1000; // 10 minutes
+const MAX_FAILED_ATTEMPTS = 5; // Per client, then it has to wait
+const LOCKOUT_MS = 30 * 1000; // Doubles with every further miss
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+const MAX_TRACKED_CLIENTS = 1000;
+const LAST_SEEN_FLUSH = 60 * 1000;
+
+let devices = new Map(); // Map<tokenHash, { id, name, role, tokenHash, createdAt, lastSeen }>
+let pairingCodes = new Map(); // Map<code, { role, expires }>
+let failedAttempts = new Map(); // Map<client address, { count, lockedUntil }>
+
+// --- Helpers ---
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function saveDevices() {
+    writeJson(DEVICES_FILE, Array.from(devices.values()));
+}
+
+function publicDevice(d) {
+    return { id: d.id, name: d.name, role: d.role, createdAt: d.createdAt, lastSeen: d.lastSeen };
+}
+
+export function hasRole(device, role) {
+    return ROLES.indexOf(device.role) >= ROLES.indexOf(role);
+}
+
+// --- Pairing ---
+
+export function loadDevices() {
+    const list = readJson(DEVICES_FILE, []);
+    devices = new Map(list.filter(d => d.tokenHash && ROLES.includes(d.role)).map(d => [d.tokenHash, d]));
+    return devices.size;
+}
+
+export function issuePairingCode(role = 'controller') {
+    if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+
+    // Only one live code per role
+    for (const [code, entry] of pairingCodes.entries()) {
+        if (entry.role === role) pairingCodes.delete(code);
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expires = Date.now() + CODE_TTL;
+    pairingCodes.set(code, { role, expires });
+    return { code, role, expires };
+}
+
+// A client that keeps guessing is locked out for a while, longer with every miss.
+// Only that client: the codes stay good for everyone else.
+function recordFailure(client, now) {
+    const failures = failedAttempts.get(client) || { count: 0, lockedUntil: 0 };
+    failedAttempts.delete(client); // Most recent last, so the oldest is dropped first
+    failedAttempts.set(client, failures);
+    if (failedAttempts.size > MAX_TRACKED_CLIENTS) failedAttempts.delete(failedAttempts.keys().next().value);
+
+    if (++failures.count >= MAX_FAILED_ATTEMPTS) {
+        failures.lockedUntil = now + Math.min(LOCKOUT_MS * 2 ** (failures.count - MAX_FAILED_ATTEMPTS), MAX_LOCKOUT_MS);
+    }
+}
+
+// Exchange a pairing code for a device token. Returns null on a bad code, throws
+// (status 429, with retryAfter in seconds) while `client` is locked out.
+export function pair(code, name, client = 'unknown') {
+    const now = Date.now();
+    const lockedUntil = failedAttempts.get(client)?.lockedUntil || 0;
+    if (lockedUntil > now) {
+        const retryAfter = Math.ceil((lockedUntil - now) / 1000);
+        throw Object.assign(new Error(`Too many pairing attempts, try again in ${retryAfter} s`), { status: 429, retryAfter });
+    }
+
+    const entry = pairingCodes.get(String(code || '').trim());
+    if (!entry || entry.expires < now) {
+        recordFailure(client, now);
+        return null;
+    }
+
+    pairingCodes.delete(String(code).trim());
+    failedAttempts.delete(client);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const device = {
+        id: crypto.randomUUID(),
+        name: String(name || 'Unnamed device').slice(0, 64),
+        role: entry.role,
+        tokenHash: hashToken(token),
+        createdAt: Date.now(),
+        lastSeen: Date.now()
+    };
+    devices.set(device.tokenHash, device);
+    saveDevices();
+
+    return { token, device: publicDevice(device) };
+}
+
+// --- Devices ---
+
+export function authenticate(token) {
+    if (!token) return null;
+    const device = devices.get(hashToken(token));
+    if (!device) return null;
+
+    const now = Date.now();
+    if (now - device.lastSeen > LAST_SEEN_FLUSH) {
+        device.lastSeen = now;
+        try { saveDevices(); } catch (e) { }
+    }
+    return device;
+}
+
+export function listDevices() {
+    return Array.from(devices.values()).map(publicDevice);
+}
+
+export function revokeDevice(id) {
+    for (const [hash, d] of devices.entries()) {
+        if (d.id === id) {
+            devices.delete(hash);
+            saveDevices();
+            return publicDevice(d);
+        }
+    }
+    return null;
+}
+
+// --- Express / WebSocket glue ---
+
+export function tokenFromRequest(req) {
+    const header = req.headers['authorization'] || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+
+    try {
+        const url = new URL(req.url, 'http://localhost');
+        return url.searchParams.get('token');
+    } catch (e) {
+        return null;
+    }
+}
+
+// Express middleware: 401 without a valid token, 403 when the role is too low
+export function requireRole(role = 'viewer') {
+    return (req, res, next) => {
+        const device = authenticate(tokenFromRequest(req));
+        if (!device) return res.status(401).json({ error: 'Unauthorized' });
+        if (!hasRole(device, role)) return res.status(403).json({ error: `Requires ${role} role` });
+        req.device = device;
+        next();
+    };
+}
@@ -0,0 +1,330 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJson, writeJson } from './data.js';
+
+// Brain directory
+//
+// Antigravity keeps each conversation's artifacts in ~/.gemini/antigravity/brain/<id>:
+// the plan, the task checklist, the walkthrough, but also screenshots and whatever
+// else the agent writes. We list and serve all of it, watch the directory so
+// changes reach the phone right away, and keep earlier revisions of text artifacts
+// so the phone can show what changed since it last looked.
+
+export let BRAIN_DIR = path.join(os.homedir(), '.gemini', 'antigravity', 'brain');
+
+const MAX_REVISIONS = 20;
+const MAX_REVISION_BYTES = 256 * 1024;
+const WATCH_DEBOUNCE_MS = 300;
+const MAX_DEPTH = 3;
+const UUID = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+
+const TYPES = {
+    markdown: ['.md', '.markdown'],
+    image: ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'],
+    text: ['.txt', '.json', '.log', '.yaml', '.yml', '.csv', '.diff', '.patch', '.html', '.js', '.ts', '.py']
+};
+
+export const IMAGE_MIME = {
+    '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml'
+};
+
+// IDE bookkeeping stored next to each artifact, not interesting on its own
+const HIDDEN = /(^|\/)\.|\.metadata\.json$|\.resolved(\.\d+)?$/;
+
+export function artifactType(name) {
+    const ext = path.extname(name).toLowerCase();
+    return Object.keys(TYPES).find(type => TYPES[type].includes(ext)) || 'other';
+}
+
+export function brainPath(conversationId) {
+    if (!conversationId || !/^[\w-]{1,128}$/.test(conversationId)) return null;
+    return path.join(BRAIN_DIR, conversationId);
+}
+
+// Absolute path of an artifact, or null if `name` tries to leave the conversation's directory
+export function resolveArtifact(conversationId, name) {
+    const dir = brainPath(conversationId);
+    if (!dir || typeof name !== 'string' || !name) return null;
+    const full = path.resolve(dir, name);
+    if (!full.startsWith(dir + path.sep)) return null;
+    return full;
+}
+
+// The three well-known artifacts, as text (null when missing)
+export function readBrainArtifacts(conversationId) {
+    const dir = brainPath(conversationId);
+    if (!dir) return null;
+
+    const read = (name) => {
+        try { return fs.readFileSync(path.join(dir, name), 'utf8'); } catch (e) { return null; }
+    };
+    return {
+        implementation_plan: read('implementation_plan.md'),
+        task: read('task.md'),
+        walkthrough: read('walkthrough.md')
+    };
+}
+
+// --- Conversation index ---
+// Every conversation with a brain directory, summarized from its artifacts. Cached
+// by modification time, so listing a few hundred conversations stays cheap.
+
+const summaryCache = new Map(); // Map<conversationId, { mtime, summary }>
+
+function firstLine(markdown, { heading } = {}) {
+    for (const raw of (markdown || '').split('\n')) {
+        const line = raw.trim();
+        if (!line) continue;
+        if (heading !== undefined && heading !== line.startsWith('#')) continue; // true: headings only, false: no headings
+        return line.replace(/^#+\s*/, '').replace(/^[-*]\s+(\[.\]\s+)?/, '').replace(/^task:\s*/i, '').trim() || null;
+    }
+    return null;
+}
+
+// Last change to the directory or one of the well-known artifacts (editing a file
+// doesn't touch the directory's own mtime)
+function lastModified(conversationId) {
+    const dir = path.join(BRAIN_DIR, conversationId);
+    let mtime = fs.statSync(dir).mtimeMs;
+    for (const name of ['implementation_plan.md', 'task.md', 'walkthrough.md']) {
+        try { mtime = Math.max(mtime, fs.statSync(path.join(dir, name)).mtimeMs); } catch (e) { }
+    }
+    return mtime;
+}
+
+function summarize(conversationId, mtime) {
+    const { implementation_plan: plan, task, walkthrough } = readBrainArtifacts(conversationId);
+    const text = [plan, task, walkthrough].filter(Boolean).join('\n');
+
+    // Artifacts link to workspace files with file:// URIs, that's how we tell the workspace
+    const files = new Set();
+    for (const match of text.matchAll(/file:\/\/\/[^\s)\]>"'`]+/g)) {
+        try { files.add(fileURLToPath(match[0])); } catch (e) { }
+    }
+
+    return {
+        conversationId,
+        title: firstLine(plan, { heading: true }) || firstLine(task, { heading: true }) || null,
+        task: firstLine(task, { heading: false }) || firstLine(task),
+        mtime,
+        files: [...files]
+    };
+}
+
+// [{ conversationId, title, task, mtime, files }], most recent first
+export function listBrainConversations() {
+    if (!fs.existsSync(BRAIN_DIR)) return [];
+
+    const list = [];
+    for (const e of fs.readdirSync(BRAIN_DIR, { withFileTypes: true })) {
+        if (!e.isDirectory() || !UUID.test(e.name)) continue;
+        try {
+            const mtime = lastModified(e.name);
+            const cached = summaryCache.get(e.name);
+            if (!cached || cached.mtime !== mtime) summaryCache.set(e.name, { mtime, summary: summarize(e.name, mtime) });
+            list.push(summaryCache.get(e.name).summary);
+        } catch (err) { }
+    }
+    return list.sort((a, b) => b.mtime - a.mtime);
+}
+
+// Whether a conversation's artifacts point into `folder`
+export function belongsToWorkspace(summary, folder) {
+    if (!folder) return false;
+    const root = path.resolve(folder) + path.sep;
+    return summary.files.some(f => path.resolve(f).startsWith(root));
+}
+
+// Every artifact in the directory (subdirectories included), most recently changed first
+export function listArtifacts(conversationId) {
+    const dir = brainPath(conversationId);
+    if (!dir || !fs.existsSync(dir)) return [];
+
+    const files = [];
+    const walk = (rel, depth) => {
+        let entries;
+        try { entries = fs.readdirSync(path.join(dir, rel), { withFileTypes: true }); } catch (e) { return; }
+        for (const e of entries) {
+            const name = rel ? `${rel}/${e.name}` : e.name;
+            if (HIDDEN.test(name)) continue;
+            if (e.isDirectory()) {
+                if (depth < MAX_DEPTH) walk(name, depth + 1);
+                continue;
+            }
+            try {
+                const stats = fs.statSync(path.join(dir, name));
+                files.push({ name, type: artifactType(name), size: stats.size, mtime: stats.mtimeMs });
+            } catch (e) { }
+        }
+    };
+    walk('', 1);
+
+    const revisions = loadRevisionIndex(conversationId);
+    files.forEach(f => { f.revisions = revisions[f.name]?.length || 0; });
+    return files.sort((a, b) => b.mtime - a.mtime);
+}
+
+// --- Revisions ---
+// Stored per conversation in the data dir: brain-revisions/<id>.json
+// { [name]: [{ at, content }] }, oldest first, capped at MAX_REVISIONS per artifact.
+
+const revisionCache = new Map(); // Map<conversationId, revisions>
+
+function loadRevisionIndex(conversationId) {
+    if (!revisionCache.has(conversationId)) {
+        revisionCache.set(conversationId, readJson(`brain-revisions/${conversationId}.json`, {}));
+    }
+    return revisionCache.get(conversationId);
+}
+
+// Store the artifact's current content if it differs from the last revision.
+// Returns true when a new revision was added.
+export function snapshotRevision(conversationId, name) {
+    if (!['markdown', 'text'].includes(artifactType(name))) return false;
+    const full = resolveArtifact(conversationId, name);
+    if (!full) return false;
+
+    let content;
+    try {
+        if (fs.statSync(full).size > MAX_REVISION_BYTES) return false;
+        content = fs.readFileSync(full, 'utf8');
+    } catch (e) {
+        return false; // Deleted or unreadable
+    }
+
+    const revisions = loadRevisionIndex(conversationId);
+    const list = revisions[name] || (revisions[name] = []);
+    if (list.length && list[list.length - 1].content === content) return false;
+
+    list.push({ at: Date.now(), content });
+    if (list.length > MAX_REVISIONS) list.splice(0, list.length - MAX_REVISIONS);
+    writeJson(`brain-revisions/${conversationId}.json`, revisions);
+    return true;
+}
+
+export function getRevisions(conversationId, name) {
+    return (loadRevisionIndex(conversationId)[name] || []).map(r => ({ at: r.at, size: r.content.length }));
+}
+
+// Line diff between the revision current at `since` and the latest one
+export function diffSince(conversationId, name, since = 0) {
+    const list = loadRevisionIndex(conversationId)[name] || [];
+    if (!list.length) return null;
+
+    const latest = list[list.length - 1];
+    const base = [...list].reverse().find(r => r.at <= since) || null;
+    return {
+        name,
+        from: base?.at || null,
+        to: latest.at,
+        changed: base?.content !== latest.content,
+        lines: diffLines(base?.content || '', latest.content)
+    };
+}
+
+// Minimal LCS line diff: [{ op: ' ' | '+' | '-', text }]
+export function diffLines(a, b) {
+    const x = a ? a.split('\n') : [];
+    const y = b ? b.split('\n') : [];
+
+    // Trim the common head and tail first, most edits are small
+    let start = 0;
+    while (start < x.length && start < y.length && x[start] === y[start]) start++;
+    let endX = x.length, endY = y.length;
+    while (endX > start && endY > start && x[endX - 1] === y[endY - 1]) { endX--; endY--; }
+
+    const midX = x.slice(start, endX);
+    const midY = y.slice(start, endY);
+    const head = x.slice(0, start).map(text => ({ op: ' ', text }));
+    const tail = x.slice(endX).map(text => ({ op: ' ', text }));
+
+    // Too big to diff line by line, show it as a rewrite
+    if (midX.length * midY.length > 4_000_000) {
+        return [...head, ...midX.map(text => ({ op: '-', text })), ...midY.map(text => ({ op: '+', text })), ...tail];
+    }
+
+    const lcs = Array.from({ length: midX.length + 1 }, () => new Uint32Array(midY.length + 1));
+    for (let i = midX.length - 1; i >= 0; i--) {
+        for (let j = midY.length - 1; j >= 0; j--) {
+            lcs[i][j] = midX[i] === midY[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const mid = [];
+    let i = 0, j = 0;
+    while (i < midX.length && j < midY.length) {
+        if (midX[i] === midY[j]) { mid.push({ op: ' ', text: midX[i] }); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) mid.push({ op: '-', text: midX[i++] });
+        else mid.push({ op: '+', text: midY[j++] });
+    }
+    while (i < midX.length) mid.push({ op: '-', text: midX[i++] });
+    while (j < midY.length) mid.push({ op: '+', text: midY[j++] });
+
+    return [...head, ...mid, ...tail];
+}
+
+// --- Watching ---
+
+const watchers = new Map(); // Map<conversationId, { watcher, timer, changed: Set<name> }>
+
+// Watch a conversation's brain directory and call onChange(conversationId, names)
+// with the artifacts that changed, debounced. Returns false if the directory
+// doesn't exist (yet), so the caller can try again later.
+export function watchBrain(conversationId, onChange) {
+    if (watchers.has(conversationId)) return true;
+    const dir = brainPath(conversationId);
+    if (!dir || !fs.existsSync(dir)) return false;
+
+    // Keep the current state as the first revision of everything
+    listArtifacts(conversationId).forEach(f => snapshotRevision(conversationId, f.name));
+
+    const entry = { watcher: null, timer: null, changed: new Set() };
+    const handler = (event, filename) => {
+        const name = filename ? String(filename).split(path.sep).join('/') : null;
+        if (name && HIDDEN.test(name)) return;
+        if (name) entry.changed.add(name);
+
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            const names = [...entry.changed];
+            entry.changed.clear();
+            names.forEach(n => snapshotRevision(conversationId, n));
+            onChange(conversationId, names);
+        }, WATCH_DEBOUNCE_MS);
+    };
+
+    try {
+        entry.watcher = fs.watch(dir, { recursive: true }, handler);
+    } catch (e) {
+        // Recursive watching isn't available everywhere, top level is better than nothing
+        try { entry.watcher = fs.watch(dir, handler); } catch (e2) { return false; }
+    }
+    entry.watcher.on('error', () => unwatchBrain(conversationId)); // Directory deleted
+    watchers.set(conversationId, entry);
+    return true;
+}
+
+export function unwatchBrain(conversationId) {
+    const entry = watchers.get(conversationId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    try { entry.watcher.close(); } catch (e) { }
+    watchers.delete(conversationId);
+    revisionCache.delete(conversationId);
+}
+
+export function watchedBrains() {
+    return [...watchers.keys()];
+}
+
+// Point at another brain directory (config). Watchers on the old one are closed,
+// the caller sets up new ones.
+export function setBrainDir(dir) {
+    if (dir === BRAIN_DIR) return;
+    BRAIN_DIR = dir;
+    watchedBrains().forEach(unwatchBrain);
+    summaryCache.clear();
+}
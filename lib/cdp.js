@@ -0,0 +1,224 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+
+// CDP session
+//
+// One WebSocket to a DevTools target with:
+//   - a single dispatch map for replies, with per-request timeouts
+//   - CDP events re-emitted by method name: session.on('Runtime.bindingCalled', params => ...)
+//   - execution context tracking (contexts, rootContextId)
+//   - automatic reconnection with exponential backoff
+//
+// Connection state changes are emitted as 'state' ('connecting' | 'open' |
+// 'reconnecting' | 'closed'); 'reconnected' fires after a successful reconnect.
+
+export class CDPError extends Error {
+    constructor(message, { code, method } = {}) {
+        super(message);
+        this.name = 'CDPError';
+        this.code = code;
+        this.method = method;
+    }
+}
+
+const DEFAULTS = {
+    timeout: 10000, // per call
+    connectTimeout: 5000,
+    contextWait: 1000, // how long to wait for the first execution context after Runtime.enable
+    reconnect: true,
+    backoffMin: 500,
+    backoffMax: 15000,
+    maxRetries: 8
+};
+
+export class CDPSession extends EventEmitter {
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        this.options = { ...DEFAULTS, ...options };
+        this.ws = null;
+        this.state = 'closed';
+        this.contexts = [];
+        this.rootContextId = null;
+        this.bindings = new Set();
+
+        this._nextId = 1;
+        this._pending = new Map(); // Map<id, { resolve, reject, timer, method }>
+        this._retries = 0;
+        this._retryTimer = null;
+        this._closing = false;
+    }
+
+    _setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+        this.emit('state', state);
+    }
+
+    get isOpen() {
+        return this.state === 'open';
+    }
+
+    // --- Connection ---
+
+    async connect() {
+        this._closing = false;
+        this._setState(this._retries ? 'reconnecting' : 'connecting');
+
+        const ws = new WebSocket(this.url, { perMessageDeflate: false });
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                ws.terminate();
+                reject(new CDPError(`Connection to ${this.url} timed out`));
+            }, this.options.connectTimeout);
+            ws.once('open', () => { clearTimeout(timer); resolve(); });
+            ws.once('error', (e) => { clearTimeout(timer); reject(new CDPError(e.message)); });
+        });
+
+        this.ws = ws;
+        this.contexts = [];
+        this.rootContextId = null;
+        ws.on('message', (msg) => this._onMessage(msg));
+        ws.on('close', () => this._onClose(ws));
+        ws.on('error', () => { }); // 'close' follows, handled there
+
+        try {
+            await this.call('Runtime.enable', {});
+            if (!this.contexts.length) await this.waitFor('Runtime.executionContextCreated', this.options.contextWait).catch(() => { });
+
+            // Bindings are per session, put them back after a reconnect
+            for (const name of this.bindings) await this.call('Runtime.addBinding', { name });
+        } catch (e) {
+            // Half-open session: drop it without triggering the reconnect logic
+            this.ws = null;
+            this._rejectAll(e);
+            ws.terminate();
+            throw e;
+        }
+
+        const reconnected = this._retries > 0;
+        this._retries = 0;
+        this._setState('open');
+        if (reconnected) this.emit('reconnected');
+        return this;
+    }
+
+    close() {
+        this._closing = true;
+        clearTimeout(this._retryTimer);
+        this._rejectAll(new CDPError('Session closed'));
+        if (this.ws) {
+            try { this.ws.close(); } catch (e) { }
+        }
+        this._setState('closed');
+    }
+
+    _onClose(ws) {
+        if (ws !== this.ws) return;
+        this._rejectAll(new CDPError('Connection closed'));
+        this.contexts = [];
+        this.rootContextId = null;
+        this.emit('disconnected');
+
+        if (this._closing || !this.options.reconnect) return this._setState('closed');
+        this._scheduleReconnect();
+    }
+
+    _scheduleReconnect() {
+        if (this._retries >= this.options.maxRetries) {
+            this.emit('give_up');
+            return this._setState('closed');
+        }
+
+        const delay = Math.min(this.options.backoffMax, this.options.backoffMin * 2 ** this._retries);
+        this._retries++;
+        this._setState('reconnecting');
+        this._retryTimer = setTimeout(async () => {
+            try {
+                await this.connect();
+            } catch (e) {
+                if (!this._closing) this._scheduleReconnect();
+            }
+        }, delay);
+    }
+
+    // --- Messages ---
+
+    _onMessage(raw) {
+        let data;
+        try { data = JSON.parse(raw); } catch (e) { return; }
+
+        if (data.id !== undefined) {
+            const pending = this._pending.get(data.id);
+            if (!pending) return;
+            this._pending.delete(data.id);
+            clearTimeout(pending.timer);
+            if (data.error) pending.reject(new CDPError(data.error.message, { code: data.error.code, method: pending.method }));
+            else pending.resolve(data.result);
+            return;
+        }
+
+        if (!data.method) return;
+        this._trackContexts(data.method, data.params);
+        this.emit(data.method, data.params);
+    }
+
+    _trackContexts(method, params) {
+        if (method === 'Runtime.executionContextCreated') {
+            this.contexts.push(params.context);
+        } else if (method === 'Runtime.executionContextDestroyed') {
+            const idx = this.contexts.findIndex(c => c.id === params.executionContextId);
+            if (idx !== -1) this.contexts.splice(idx, 1);
+            if (params.executionContextId === this.rootContextId) this.rootContextId = null;
+        } else if (method === 'Runtime.executionContextsCleared') {
+            this.contexts = [];
+            this.rootContextId = null;
+        }
+    }
+
+    _rejectAll(err) {
+        for (const { reject, timer } of this._pending.values()) {
+            clearTimeout(timer);
+            reject(err);
+        }
+        this._pending.clear();
+    }
+
+    call(method, params = {}, { timeout = this.options.timeout } = {}) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new CDPError(`Not connected (${this.state})`, { method }));
+        }
+
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pending.delete(id);
+                reject(new CDPError(`${method} timed out after ${timeout}ms`, { method }));
+            }, timeout);
+            this._pending.set(id, { resolve, reject, timer, method });
+            this.ws.send(JSON.stringify({ id, method, params }));
+        });
+    }
+
+    // Resolve with the params of the next `method` event (optionally matching `predicate`)
+    waitFor(method, timeout = this.options.timeout, predicate = () => true) {
+        return new Promise((resolve, reject) => {
+            const handler = (params) => {
+                if (!predicate(params)) return;
+                clearTimeout(timer);
+                this.off(method, handler);
+                resolve(params);
+            };
+            const timer = setTimeout(() => {
+                this.off(method, handler);
+                reject(new CDPError(`Timed out waiting for ${method}`, { method }));
+            }, timeout);
+            this.on(method, handler);
+        });
+    }
+
+    async addBinding(name) {
+        this.bindings.add(name);
+        await this.call('Runtime.addBinding', { name });
+    }
+}
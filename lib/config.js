@@ -0,0 +1,308 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+import { dataPath } from './data.js';
+
+// Configuration
+//
+// Where to look for IDE windows and how often, from (later wins):
+//   1. defaults
+//   2. the config file: ~/.ag-monitor/config.json, or --config / AG_MONITOR_CONFIG
+//   3. environment variables
+//   4. command line flags
+// Every setting is checked on load and a bad one is reported by name, with where
+// it came from. The file is watched: edits apply without a restart, except for
+// the bind address and port, and an edit that doesn't validate is ignored.
+
+export const DEFAULTS = {
+    port: 3000,
+    bind: '0.0.0.0',
+    endpoints: ['127.0.0.1:9000-9003'], // [host:]port or [host:]first-last, IPv6 hosts in [brackets]
+    include: ['url:workbench'], // A target is a window if its URL or title matches one of these...
+    exclude: [], // ...and none of these. Plain text matches anywhere, /pattern/flags is a regex, url: or title: checks only that
+    discoveryInterval: 10000,
+    pollInterval: 3000,
+    brainDir: path.join(os.homedir(), '.gemini', 'antigravity', 'brain'),
+    historyMb: 200, // Conversation history size budget, the least recently seen go first
+    record: null, // Directory to record what's read from the windows to (see lib/recording.js)
+    replay: null, // Directory to play a recording back from, instead of connecting to windows
+    speed: 1 // Replay speed, 2 plays twice as fast
+};
+
+// Setting -> [environment variable, command line flag]
+const SOURCES = {
+    port: ['PORT', 'port'],
+    bind: ['AG_MONITOR_BIND', 'bind'],
+    endpoints: ['AG_MONITOR_ENDPOINTS', 'endpoints'],
+    include: ['AG_MONITOR_INCLUDE', 'include'],
+    exclude: ['AG_MONITOR_EXCLUDE', 'exclude'],
+    discoveryInterval: ['AG_MONITOR_DISCOVERY_MS', 'discovery-interval'],
+    pollInterval: ['AG_MONITOR_POLL_MS', 'poll-interval'],
+    brainDir: ['AG_MONITOR_BRAIN_DIR', 'brain-dir'],
+    historyMb: ['AG_MONITOR_HISTORY_MB', 'history-mb'],
+    record: ['AG_MONITOR_RECORD', 'record'],
+    replay: ['AG_MONITOR_REPLAY', 'replay'],
+    speed: ['AG_MONITOR_REPLAY_SPEED', 'speed']
+};
+
+const LIST_SETTINGS = ['endpoints', 'include', 'exclude'];
+const PATH_SETTINGS = ['brainDir', 'record', 'replay'];
+const RESTART_SETTINGS = ['port', 'bind', 'record', 'replay', 'speed'];
+const MAX_RANGE = 100; // Ports per endpoint range, each one is polled every discovery cycle
+const RELOAD_DEBOUNCE_MS = 300;
+
+export const USAGE = `Usage: node server.js [options]
+
+Options (each also settable in the config file, or with the environment variable shown):
+  --config <file>              Config file (AG_MONITOR_CONFIG, default ~/.ag-monitor/config.json)
+  --port <port>                Web server port (PORT, default 3000)
+  --bind <address>             Address to listen on (AG_MONITOR_BIND, default 0.0.0.0)
+  --endpoints <list>           CDP endpoints, e.g. 9000-9003,devbox:9222 (AG_MONITOR_ENDPOINTS)
+  --include <list>             Target URL/title patterns to monitor (AG_MONITOR_INCLUDE, default url:workbench)
+  --exclude <list>             Target URL/title patterns to skip (AG_MONITOR_EXCLUDE)
+  --discovery-interval <ms>    How often to look for windows (AG_MONITOR_DISCOVERY_MS, default 10000)
+  --poll-interval <ms>         Fallback snapshot polling (AG_MONITOR_POLL_MS, default 3000)
+  --brain-dir <dir>            Antigravity brain directory (AG_MONITOR_BRAIN_DIR)
+  --history-mb <mb>            Conversation history size budget (AG_MONITOR_HISTORY_MB, default 200)
+  --record <dir>               Record windows and brain files to a new directory (AG_MONITOR_RECORD)
+  --replay <dir>               Serve a recording instead of live windows (AG_MONITOR_REPLAY)
+  --speed <factor>             Replay speed, e.g. 4 or 0.5 (AG_MONITOR_REPLAY_SPEED, default 1)
+  -h, --help                   Show this help
+
+Lists are comma separated; flags for lists may also be repeated.`;
+
+let config = null;
+const compiled = new WeakMap(); // Map<config, { include, exclude }>, patterns parsed once per load
+let layers = null; // { file, env, cli }: what each source set, re-read file included on reload
+let configFile = null;
+
+// "config.json: endpoints[1]: ...", or "--port: ..." where the source names the setting
+function failure(source, setting, problem, named = false) {
+    return Object.assign(new Error(named ? `${source}: ${problem}` : `${source}: ${setting}: ${problem}`), { source, setting });
+}
+
+// --- Parsing ---
+
+// One endpoint: "9000", "9000-9003", "host:9222", "[::1]:9000-9001"
+export function parseEndpoint(spec) {
+    const match = String(spec).trim().match(/^(?:(\[[^\]]+\]|[^:\s]+):)?(\d+)(?:-(\d+))?$/);
+    if (!match) throw new Error(`"${spec}" is not [host:]port or [host:]first-last`);
+    const host = match[1] || '127.0.0.1';
+    const first = Number(match[2]);
+    const last = match[3] ? Number(match[3]) : first;
+    if (first < 1 || last > 65535) throw new Error(`"${spec}": ports go from 1 to 65535`);
+    if (last < first) throw new Error(`"${spec}": range ends before it starts`);
+    if (last - first >= MAX_RANGE) throw new Error(`"${spec}": at most ${MAX_RANGE} ports per range`);
+
+    const ports = [];
+    for (let port = first; port <= last; port++) ports.push(port);
+    return ports.map(port => ({ host, port }));
+}
+
+// "text" or "/regex/flags", checked against a target's URL and title, or only
+// one of them with a url: or title: prefix
+function parsePattern(spec) {
+    const [, field = null, body] = String(spec).match(/^(?:(url|title):)?([\s\S]*)$/);
+    if (!body) throw new Error(`"${spec}" has nothing to match`);
+    const regex = body.match(/^\/(.+)\/([a-z]*)$/);
+    if (!regex) return { spec, field, test: (text) => text.includes(body) };
+    try {
+        const re = new RegExp(regex[1], regex[2]);
+        return { spec, field, test: (text) => re.test(text) };
+    } catch (e) {
+        throw new Error(`"${spec}" is not a valid regex: ${e.message}`);
+    }
+}
+
+function expandHome(dir) {
+    return dir === '~' || dir.startsWith('~/') ? path.join(os.homedir(), dir.slice(1)) : dir;
+}
+
+// Validate what one source set. `raw` values are strings from env/flags, or any
+// JSON type from the file. Returns the settings in their final form. `named`:
+// the source is a single variable or flag, which already says what the setting is.
+function normalize(raw, source, named = false) {
+    const out = {};
+    for (const [setting, value] of Object.entries(raw)) {
+        if (value === undefined) continue;
+        const fail = (where, problem) => failure(source, where, problem, named);
+        if (!(setting in DEFAULTS)) throw fail(setting, 'unknown setting');
+
+        if (LIST_SETTINGS.includes(setting)) {
+            let list = value;
+            if (typeof list === 'string') list = list.split(',');
+            if (!Array.isArray(list) || list.some(v => typeof v !== 'string' && typeof v !== 'number')) {
+                throw fail(setting, 'expected a list of strings');
+            }
+            list = list.map(v => String(v).trim()).filter(Boolean);
+            list.forEach((spec, i) => {
+                try {
+                    if (setting === 'endpoints') parseEndpoint(spec);
+                    else parsePattern(spec);
+                } catch (e) {
+                    throw fail(Array.isArray(value) ? `${setting}[${i}]` : setting, e.message);
+                }
+            });
+            if (setting === 'endpoints' && !list.length) throw fail(setting, 'needs at least one endpoint');
+            out[setting] = list;
+        } else if (setting === 'bind' || PATH_SETTINGS.includes(setting)) {
+            if (typeof value !== 'string' || !value.trim()) throw fail(setting, 'expected a non-empty string');
+            out[setting] = PATH_SETTINGS.includes(setting) ? path.resolve(expandHome(value.trim())) : value.trim();
+        } else if (setting === 'speed') {
+            const n = Number(value);
+            if (value === '' || typeof value === 'boolean' || !(n > 0) || !Number.isFinite(n)) throw fail(setting, `"${value}" is not a positive number`);
+            out[setting] = n;
+        } else {
+            const n = Number(value);
+            if (value === '' || typeof value === 'boolean' || !Number.isInteger(n)) throw fail(setting, `"${value}" is not a whole number`);
+            if (setting === 'port' && (n < 1 || n > 65535)) throw fail(setting, `${n} is not a port (1-65535)`);
+            if (setting === 'discoveryInterval' && n < 1000) throw fail(setting, 'at least 1000 ms');
+            if (setting === 'pollInterval' && n < 500) throw fail(setting, 'at least 500 ms');
+            if (setting === 'historyMb' && n < 1) throw fail(setting, 'at least 1 MB');
+            out[setting] = n;
+        }
+    }
+    return out;
+}
+
+function readFile(file, required) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT' && !required) return {};
+        throw failure(file, 'file', e.code === 'ENOENT' ? 'not found' : e.message, true);
+    }
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw failure(file, 'file', `not valid JSON (${e.message})`, true);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw failure(file, 'file', 'expected a JSON object', true);
+    return normalize(data, file);
+}
+
+function readEnv(env) {
+    const out = {};
+    for (const [setting, [name]] of Object.entries(SOURCES)) {
+        if (env[name]) Object.assign(out, normalize({ [setting]: env[name] }, name, true));
+    }
+    return out;
+}
+
+function readArgs(argv) {
+    const options = { config: { type: 'string' }, help: { type: 'boolean', short: 'h' } };
+    for (const [setting, [, flag]] of Object.entries(SOURCES)) {
+        options[flag] = { type: 'string', multiple: LIST_SETTINGS.includes(setting) };
+    }
+
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options, strict: true, allowPositionals: false }));
+    } catch (e) {
+        throw failure('command line', 'flags', e.message, true);
+    }
+
+    const cli = {};
+    for (const [setting, [, flag]] of Object.entries(SOURCES)) {
+        if (values[flag] === undefined) continue;
+        const value = LIST_SETTINGS.includes(setting) ? values[flag].join(',') : values[flag];
+        Object.assign(cli, normalize({ [setting]: value }, `--${flag}`, true));
+    }
+    return { cli, file: values.config, help: !!values.help };
+}
+
+function build() {
+    const built = { ...DEFAULTS, ...layers.file, ...layers.env, ...layers.cli, file: configFile };
+    if (built.record && built.replay) throw failure('configuration', 'record', 'record and replay can\'t be used together', true);
+    return Object.freeze(built);
+}
+
+// --- Public API ---
+
+// Reads every source. Throws on the first bad setting; `help` is set when
+// --help was passed (the caller prints USAGE and exits).
+export function loadConfig(argv = process.argv.slice(2), env = process.env) {
+    const args = readArgs(argv);
+    const explicit = args.file || env.AG_MONITOR_CONFIG;
+    configFile = path.resolve(explicit || dataPath('config.json'));
+    layers = { file: readFile(configFile, !!explicit), env: readEnv(env), cli: args.cli };
+    config = build();
+    return { config, help: args.help };
+}
+
+export function getConfig() {
+    return config;
+}
+
+// Where discovery looks: every host:port of every endpoint, once each
+export function endpointList(cfg = config) {
+    const seen = new Map();
+    cfg.endpoints.flatMap(parseEndpoint).forEach(e => seen.set(`${e.host}:${e.port}`, e));
+    return [...seen.values()];
+}
+
+function patternsOf(cfg) {
+    if (!compiled.has(cfg)) compiled.set(cfg, { include: cfg.include.map(parsePattern), exclude: cfg.exclude.map(parsePattern) });
+    return compiled.get(cfg);
+}
+
+// A /json/list target counts as an IDE window if it matches include and not exclude
+export function targetMatches(target, cfg = config) {
+    const { include, exclude } = patternsOf(cfg);
+    const fields = { url: target.url || '', title: target.title || '' };
+    const matches = (patterns) => patterns.some(p => (p.field ? [fields[p.field]] : [fields.url, fields.title]).some(text => p.test(text)));
+    return matches(include) && !matches(exclude);
+}
+
+// Re-read the config file whenever it changes and call onChange(config, changed)
+// with the names of the settings that differ. Environment and flags still win
+// over the file.
+export function watchConfig(onChange) {
+    const dir = path.dirname(configFile);
+    const name = path.basename(configFile);
+    let timer = null;
+
+    const reload = () => {
+        const previous = config;
+        let wanted;
+        try {
+            const file = readFile(configFile, false);
+            const kept = layers;
+            layers = { ...layers, file };
+            try { wanted = build(); } catch (e) { layers = kept; throw e; }
+        } catch (e) {
+            console.error(`⚙️  Config not reloaded, ${e.message}`);
+            return;
+        }
+
+        // Restart-only settings keep the values the server is running with, so
+        // nothing prints an address it isn't listening on
+        const differs = (a, b, k) => JSON.stringify(a[k]) !== JSON.stringify(b[k]);
+        config = Object.freeze({ ...wanted, ...Object.fromEntries(RESTART_SETTINGS.map(k => [k, previous[k]])) });
+        const needRestart = RESTART_SETTINGS.filter(k => differs(wanted, config, k));
+        if (needRestart.length) console.log(`⚙️  ${needRestart.join(' and ')} changed, restart to apply`);
+
+        const changed = Object.keys(DEFAULTS).filter(k => differs(previous, config, k));
+        if (!changed.length) return;
+        console.log(`⚙️  Config reloaded: ${changed.join(', ')}`);
+        onChange(config, changed);
+    };
+
+    // Watch the directory: editors often replace the file rather than write to it
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        const watcher = fs.watch(dir, (event, filename) => {
+            if (filename && String(filename) !== name) return;
+            clearTimeout(timer);
+            timer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+        });
+        watcher.on('error', () => { });
+        return watcher;
+    } catch (e) {
+        console.error(`⚙️  Can't watch ${configFile}: ${e.message}`);
+        return null;
+    }
+}
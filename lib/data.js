@@ -0,0 +1,31 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Where the monitor keeps its own state (paired devices, settings, ...)
+export const DATA_DIR = process.env.AG_MONITOR_DATA || path.join(os.homedir(), '.ag-monitor');
+
+export function dataPath(...parts) {
+    return path.join(DATA_DIR, ...parts);
+}
+
+// Read a JSON file from the data dir, falling back when missing or corrupt
+export function readJson(file, fallback) {
+    try {
+        const p = dataPath(file);
+        if (!fs.existsSync(p)) return fallback;
+        return JSON.parse(fs.readFileSync(p, 'utf8'));
+    } catch (e) {
+        console.error(`Error reading ${file}:`, e.message);
+        return fallback;
+    }
+}
+
+// Write atomically so a crash mid-write never leaves a half file behind
+export function writeJson(file, data) {
+    const p = dataPath(file);
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    const tmp = `${p}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, p);
+}
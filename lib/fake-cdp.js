@@ -0,0 +1,470 @@
+#!/usr/bin/env node
+import http from 'http';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+import { CHUNKS_MARKER } from './snapshot-diff.js';
+
+// Fake CDP server
+//
+// Pretends to be an Antigravity window with --remote-debugging-port: serves
+// /json/list and a DevTools WebSocket per target, and answers the monitor's
+// Runtime.evaluate / callFunctionOn scripts with canned data instead of running
+// them. Lets discovery, snapshots and injection be exercised offline:
+//
+//   const fake = await startFakeCDP({ port: 9000 });
+//   const target = fake.addTarget({ chatTitle: 'Fix tests' });
+//   target.addMessage('agent', '<p>Done!</p>');
+//
+// Or standalone with a demo conversation: `npm run fake-cdp`
+
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// <button>s in the chunks, and enough of an element around one for the monitor's classifier
+const BUTTON = /<button([^>]*)>([\s\S]*?)<\/button>/g;
+
+function buttonElement(attrs, inner) {
+    const attributes = Object.fromEntries([...attrs.matchAll(/([\w-]+)(?:="([^"]*)")?/g)].map(([, name, value]) => [name, value ?? '']));
+    return {
+        disabled: 'disabled' in attributes,
+        getAttribute: (name) => attributes[name] ?? null,
+        textContent: inner.replace(/<[^>]*>/g, '')
+    };
+}
+
+export class FakeTarget {
+    constructor(server, options = {}) {
+        this.server = server;
+        this.id = options.id || crypto.randomUUID();
+        this.chatTitle = options.chatTitle || 'Agent';
+        this.windowTitle = options.windowTitle || `server.js - ${options.project || 'demo-project'} - Antigravity`;
+        this.conversationId = options.conversationId || crypto.randomUUID();
+        this.workspace = options.workspace || null; // Folder the window reports as open
+        this.css = options.css || '#cascade { font-family: sans-serif; }\n.user-message { color: #93c5fd; }';
+        this.chunks = []; // message list children, as HTML
+        this.signals = { stop: false, busy: false, approvals: 0, error: false };
+        this.models = options.models || ['Gemini 3 Pro (High)', 'Gemini 3 Flash', 'Claude Sonnet 4.5'];
+        this.model = options.model || this.models[0];
+        this.mode = options.mode || 'Planning';
+        this.pastConversations = options.pastConversations || []; // [{ conversationId, title }] in the history dropdown
+        this.assets = new Map(); // Map<url, { type, body }> what the page's fetch() can load
+        this.viewport = { width: 1280, height: 800 };
+        // Boxes of workbench parts for the live screen's regions, keyed by a selector they're found with
+        this.regions = { '#cascade': { x: 880, y: 0, width: 400, height: 800 }, ...(options.regions || {}) };
+        this.screencast = null; // { params, timer, acked }
+        this.evaluateHandlers = []; // [{ match, value }] checked before the built-in answers
+        this.calls = []; // [{ method, params }] everything the monitor sent, for assertions
+        this.clicked = []; // labels of the buttons the monitor pressed
+        this.clickSeq = 0;
+        this.contextId = 1;
+        this.bindings = new Set();
+        this.sockets = new Set();
+        this.latency = options.latency || 0;
+    }
+
+    get webSocketDebuggerUrl() {
+        return `ws://127.0.0.1:${this.server.port}/devtools/page/${this.id}`;
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            type: 'page',
+            title: this.windowTitle,
+            url: 'vscode-file://vscode-app/resources/app/out/vs/code/electron-sandbox/workbench/workbench.html',
+            webSocketDebuggerUrl: this.webSocketDebuggerUrl
+        };
+    }
+
+    // --- Scripting ---
+
+    addMessage(role, html) {
+        const cls = role === 'user' ? 'user-message' : 'bot-message';
+        this.chunks.push(`<div class="${cls}">${html}</div>`);
+        this.notifyChange();
+        return this.chunks.length - 1;
+    }
+
+    updateMessage(index, role, html) {
+        const cls = role === 'user' ? 'user-message' : 'bot-message';
+        this.chunks[index] = `<div class="${cls}">${html}</div>`;
+        this.notifyChange();
+    }
+
+    // An agent turn asking for approval, e.g. addPrompt('<p>Run npm test?</p>', ['Run', 'Reject'])
+    addPrompt(html, labels, { disabled = false } = {}) {
+        const buttons = labels.map(label => `<button${disabled ? ' disabled' : ''}>${escapeHtml(label)}</button>`).join('');
+        return this.addMessage('agent', `${html}<div class="actions">${buttons}</div>`);
+    }
+
+    // Make `url` (vscode-file://, blob:, ...) loadable by the page, for the asset proxy
+    addAsset(url, type, body) {
+        this.assets.set(url, { type, body: Buffer.from(body) });
+    }
+
+    // Theme switch, stylesheet loaded later, ...
+    setCss(css) {
+        this.css = css;
+    }
+
+    setSignals(signals) {
+        Object.assign(this.signals, signals);
+        this.notifyChange();
+    }
+
+    // Answer Runtime.evaluate calls whose expression matches (string or RegExp) with `value`
+    // (or value(expression, params) when it's a function)
+    onEvaluate(match, value) {
+        this.evaluateHandlers.push({ match, value });
+    }
+
+    // What the in-page MutationObserver would do
+    notifyChange() {
+        if (!this.observerInstalled) return;
+        this.broadcast('Runtime.bindingCalled', { name: [...this.bindings][0], payload: 'changed', executionContextId: this.contextId });
+    }
+
+    // Simulates a window reload: the old context goes away, a new one appears
+    reload() {
+        this.observerInstalled = false;
+        this.broadcast('Runtime.executionContextDestroyed', { executionContextId: this.contextId });
+        this.contextId++;
+        this.broadcast('Runtime.executionContextCreated', { context: this.context() });
+    }
+
+    // A "frame" of the window: not a real JPEG, just distinct bytes per frame
+    frame(label) {
+        return Buffer.from(`fake-jpeg ${label} ${Date.now()}`).toString('base64');
+    }
+
+    // Like Chrome: the next frame only comes once the previous one was acked
+    startScreencast(ws, params) {
+        this.stopScreencast();
+        let sessionId = 0;
+        this.screencast = { params, acked: true };
+        this.screencast.timer = setInterval(() => {
+            if (!this.screencast.acked) return;
+            this.screencast.acked = false;
+            ws.send(JSON.stringify({
+                method: 'Page.screencastFrame',
+                params: {
+                    data: this.frame(`q${params.quality}`),
+                    metadata: { deviceWidth: this.viewport.width, deviceHeight: this.viewport.height, pageScaleFactor: 1, offsetTop: 0, scrollOffsetX: 0, scrollOffsetY: 0 },
+                    sessionId: ++sessionId
+                }
+            }));
+        }, 100);
+    }
+
+    stopScreencast() {
+        if (this.screencast) clearInterval(this.screencast.timer);
+        this.screencast = null;
+    }
+
+    // Drops every DevTools connection, as if the IDE hiccuped
+    disconnect() {
+        this.stopScreencast();
+        this.sockets.forEach(ws => ws.terminate());
+    }
+
+    context() {
+        return { id: this.contextId, origin: 'vscode-file://vscode-app', name: '', auxData: { isDefault: true } };
+    }
+
+    broadcast(method, params) {
+        this.sockets.forEach(ws => ws.send(JSON.stringify({ method, params })));
+    }
+
+    snapshot() {
+        const skeleton = `<div id="cascade"><div class="messages" data-ag-chunks="">${CHUNKS_MARKER}</div></div>`;
+        return {
+            skeleton,
+            chunks: [...this.chunks],
+            signals: { ...this.signals },
+            controls: { model: this.model, mode: this.mode },
+            bodyBg: 'rgb(24, 24, 24)',
+            bodyColor: 'rgb(204, 204, 204)'
+        };
+    }
+
+    // --- Protocol ---
+
+    evaluate(expression, params) {
+        for (const { match, value } of this.evaluateHandlers) {
+            const hit = match instanceof RegExp ? match.test(expression) : expression.includes(match);
+            if (hit) return typeof value === 'function' ? value(expression, params) : value;
+        }
+
+        if (expression.includes('possibleTitleSelectors')) {
+            return { found: true, chatTitle: this.chatTitle, isActive: true, conversationId: this.conversationId, url: 'vscode-file://vscode-app/workbench.html' };
+        }
+        if (expression.includes('document.styleSheets')) {
+            // No pruning here, but the same change detection: the signature is the CSS itself
+            const signature = crypto.createHash('sha1').update(this.css).digest('hex');
+            if (expression.includes(JSON.stringify(signature))) return { unchanged: true, signature };
+            return { css: this.css, signature, total: this.css.length };
+        }
+        if (expression.includes('window.vscode')) return { folder: this.workspace, scheme: 'file' };
+        if (expression.includes('__agMonitorObserver')) {
+            if (!this.bindings.size) return { ok: false, reason: 'binding missing' };
+            this.observerInstalled = true;
+            return { ok: true };
+        }
+        if (expression.includes('data-ag-chunks')) {
+            this.tagButtons(this.classifier(expression));
+            return this.snapshot();
+        }
+        if (expression.includes('arrayBuffer')) {
+            const asset = this.assets.get(JSON.parse(expression.match(/fetch\(("(?:[^"\\]|\\.)*")\)/)[1]));
+            return asset ? { status: 200, type: asset.type, data: asset.body.toString('base64') } : { status: 404 };
+        }
+        if (expression.includes('getBoundingClientRect')) {
+            const hit = Object.keys(this.regions).find(selector => expression.includes(selector));
+            return hit ? this.regions[hit] : null;
+        }
+        if (expression.includes('el.click()')) return this.click(expression);
+        if (expression.includes('gone:')) {
+            const id = expression.match(/data-ag-click="(c\d+)"/)[1];
+            return { gone: !this.chunks.some(chunk => chunk.includes(`data-ag-click="${id}"`)) };
+        }
+        return undefined;
+    }
+
+    // The button classifier the monitor's script carries, so tagging and clicking
+    // decide what is allow-listed exactly as they would in the page
+    classifier(expression) {
+        const source = expression.match(/const classify = (\(el\) => \{[\s\S]*?\n\});/)[1];
+        return new Function(`return ${source}`)();
+    }
+
+    // What the capture script does to the live DOM: allow-listed buttons get a click
+    // id they keep from then on, the others lose theirs
+    tagButtons(classify) {
+        this.chunks = this.chunks.map(chunk => chunk.replace(BUTTON, (all, attrs, inner) => {
+            const el = buttonElement(attrs, inner);
+            const info = el.disabled ? null : classify(el);
+            const plain = attrs.replace(/ data-ag-(click|kind)="[^"]*"/g, '');
+            if (!info) return `<button${plain}>${inner}</button>`;
+            const id = el.getAttribute('data-ag-click') || `c${++this.clickSeq}`;
+            return `<button${plain} data-ag-click="${id}" data-ag-kind="${info.kind}">${inner}</button>`;
+        }));
+    }
+
+    // What the click script does: the same checks on the live button, then the IDE
+    // takes the prompt's buttons away once one is pressed
+    click(expression) {
+        const id = expression.match(/data-ag-click="(c\d+)"/)[1];
+        const expected = JSON.parse(expression.match(/if \((null|"\w+") && info\.kind/)[1]);
+        const index = this.chunks.findIndex(chunk => chunk.includes(`data-ag-click="${id}"`));
+        if (index === -1) return { ok: false, reason: 'element no longer exists' };
+
+        const [, attrs, inner] = [...this.chunks[index].matchAll(BUTTON)].find(([, attrs]) => attrs.includes(`data-ag-click="${id}"`));
+        const el = buttonElement(attrs, inner);
+        if (el.disabled) return { ok: false, reason: 'element is disabled' };
+        const info = this.classifier(expression)(el);
+        if (!info) return { ok: false, reason: 'element is not clickable' };
+        if (expected && info.kind !== expected) return { ok: false, reason: 'element changed to ' + info.kind };
+
+        this.clicked.push(info.label);
+        this.chunks[index] = this.chunks[index].replace(/<div class="actions">[\s\S]*?<\/div>/, '');
+        this.notifyChange();
+        return { ok: true, kind: info.kind, label: info.label };
+    }
+
+    callFunctionOn(params) {
+        // Message injection: show it as a user turn, like the IDE would
+        if (params.functionDeclaration.includes('ClipboardEvent')) {
+            const text = params.arguments?.[0]?.value || '';
+            const images = params.arguments?.[1]?.value || [];
+            const attached = images.map(img => `<p>[image: ${escapeHtml(img.name)}]</p>`).join('');
+            setTimeout(() => this.addMessage('user', `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>${attached}`), 50);
+            return { ok: true, cleared: true };
+        }
+        if (params.functionDeclaration.includes('list_models')) {
+            const [action, value] = (params.arguments || []).map(a => a.value);
+            return this.control(action, value);
+        }
+        if (params.functionDeclaration.includes('past conversations')) {
+            const [titles, conversationId] = (params.arguments || []).map(a => a.value);
+            return this.openConversation(titles, conversationId);
+        }
+        return undefined;
+    }
+
+    // What picking an entry from the IDE's conversation history would do
+    openConversation(titles, conversationId) {
+        const past = this.pastConversations.find(p => p.conversationId === conversationId ||
+            titles.some(t => p.title.toLowerCase().includes(t.toLowerCase())));
+        if (!past) return { ok: false, reason: 'conversation not found in the history list' };
+        this.conversationId = past.conversationId;
+        this.chatTitle = past.title;
+        this.chunks = [];
+        this.notifyChange();
+        return { ok: true, label: past.title };
+    }
+
+    // What clicking through the IDE's own controls would do
+    control(action, value) {
+        if (action === 'stop') {
+            if (!this.signals.stop) return { ok: false, reason: 'nothing is running' };
+            this.setSignals({ stop: false, busy: false });
+            return { ok: true };
+        }
+        if (action === 'new_conversation') {
+            this.chunks = [];
+            this.conversationId = crypto.randomUUID();
+            this.notifyChange();
+            return { ok: true, method: 'button' };
+        }
+        if (action === 'list_models') return { ok: true, options: this.models };
+        if (action === 'set_model') {
+            const model = this.models.find(m => m.toLowerCase().includes(String(value).toLowerCase()));
+            if (!model) return { ok: false, reason: `no option matching "${value}"`, options: this.models };
+            this.model = model;
+            this.notifyChange();
+            return { ok: true, selected: model, options: this.models };
+        }
+        if (action === 'set_mode') {
+            this.mode = value[0].toUpperCase() + value.slice(1).toLowerCase();
+            this.notifyChange();
+            return { ok: true, selected: this.mode };
+        }
+        return { ok: false, reason: 'unknown action' };
+    }
+
+    async handle(ws, msg) {
+        const { id, method, params = {} } = msg;
+        this.calls.push({ method, params });
+        if (this.latency) await new Promise(r => setTimeout(r, this.latency));
+
+        const reply = (result) => ws.send(JSON.stringify({ id, result }));
+        const fail = (message, code = -32601) => ws.send(JSON.stringify({ id, error: { code, message } }));
+
+        switch (method) {
+            case 'Runtime.enable':
+                ws.send(JSON.stringify({ method: 'Runtime.executionContextCreated', params: { context: this.context() } }));
+                return reply({});
+            case 'Runtime.addBinding':
+                this.bindings.add(params.name);
+                return reply({});
+            case 'Runtime.evaluate':
+                if (params.contextId && params.contextId !== this.contextId) return fail('Cannot find context with specified id', -32000);
+                return reply({ result: { type: 'object', value: this.evaluate(params.expression || '', params) } });
+            case 'Runtime.callFunctionOn':
+                return reply({ result: { type: 'object', value: this.callFunctionOn(params) } });
+            case 'Page.startScreencast':
+                this.startScreencast(ws, params);
+                return reply({});
+            case 'Page.stopScreencast':
+                this.stopScreencast();
+                return reply({});
+            case 'Page.screencastFrameAck':
+                if (this.screencast) this.screencast.acked = true;
+                return reply({});
+            case 'Page.captureScreenshot':
+                return reply({ data: this.frame(`clip ${JSON.stringify(params.clip)}`) });
+            case 'Page.getLayoutMetrics':
+                return reply({ cssLayoutViewport: { pageX: 0, pageY: 0, clientWidth: this.viewport.width, clientHeight: this.viewport.height } });
+            case 'Input.dispatchKeyEvent':
+            case 'Input.dispatchMouseEvent':
+            case 'Runtime.releaseObject':
+                return reply({});
+            default:
+                return fail(`'${method}' wasn't found`);
+        }
+    }
+}
+
+export async function startFakeCDP({ port = 0, host = '127.0.0.1' } = {}) {
+    const server = { port: null, targets: new Map() };
+
+    const httpServer = http.createServer((req, res) => {
+        const path = req.url.split('?')[0];
+        if (path === '/json/list' || path === '/json') {
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify([...server.targets.values()].map(t => t.describe())));
+        }
+        if (path === '/json/version') {
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify({ Browser: 'FakeCDP/1.0', 'Protocol-Version': '1.3' }));
+        }
+        res.statusCode = 404;
+        res.end();
+    });
+
+    const wss = new WebSocketServer({ server: httpServer });
+    wss.on('connection', (ws, req) => {
+        const target = server.targets.get(req.url.split('/').pop());
+        if (!target) return ws.close();
+
+        target.sockets.add(ws);
+        ws.on('close', () => target.sockets.delete(ws));
+        ws.on('message', (raw) => {
+            try { target.handle(ws, JSON.parse(raw)); } catch (e) { }
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, resolve);
+    });
+    server.port = httpServer.address().port;
+
+    server.addTarget = (options) => {
+        const target = new FakeTarget(server, options);
+        server.targets.set(target.id, target);
+        return target;
+    };
+
+    server.removeTarget = (id) => {
+        const target = server.targets.get(id);
+        if (!target) return;
+        target.disconnect();
+        server.targets.delete(id);
+    };
+
+    server.close = () => new Promise((resolve) => {
+        server.targets.forEach(t => t.disconnect());
+        wss.close();
+        httpServer.close(() => resolve());
+    });
+
+    return server;
+}
+
+// --- Standalone demo ---
+
+async function demo() {
+    const portArg = process.argv.indexOf('--port');
+    const port = portArg !== -1 ? Number(process.argv[portArg + 1]) : 9000;
+    const fake = await startFakeCDP({ port });
+
+    const target = fake.addTarget({ chatTitle: 'Refactor the parser', project: 'demo-project' });
+    target.addMessage('user', '<p>Can you make the parser errors more readable?</p>');
+    target.addMessage('agent', '<p>Sure. I\'ll start by looking at <code>parser.js</code>.</p><pre><code class="language-js">throw new ParseError(`Unexpected ${token.type}`, token.loc);</code></pre>');
+
+    // Stream a reply word by word every so often, so changes show up on the phone
+    const words = 'I updated the error messages to include the line and column, and added a caret pointing at the bad token.'.split(' ');
+    let current = null;
+    let shown = 0;
+    setInterval(() => {
+        if (current === null) {
+            if (target.chunks.length > 20) target.chunks.splice(2, target.chunks.length - 2); // Keep the demo short
+            current = target.addMessage('agent', '<p></p>');
+            target.setSignals({ stop: true });
+        }
+        shown++;
+        target.updateMessage(current, 'agent', `<p>${words.slice(0, shown).join(' ')}</p>`);
+        if (shown >= words.length) {
+            target.setSignals({ stop: false });
+            current = null;
+            shown = 0;
+        }
+    }, 1500);
+
+    console.log(`🧪 Fake CDP listening on 127.0.0.1:${fake.port} with 1 target`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) demo();
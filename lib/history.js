@@ -0,0 +1,296 @@
+import fs from 'fs';
+import { dataPath, readJson, writeJson } from './data.js';
+
+// Conversation history
+//
+// Every conversation the monitor sees is kept on disk, keyed by conversationId,
+// so it outlives the IDE window and server restarts. Each conversation is an
+// append-only event log (history/<conversationId>.jsonl):
+//
+//   { at, action: 'added' | 'updated', index, message }   one structured turn
+//   { at, action: 'reset', messages }                     the window started over
+//   { at, action: 'artifacts', artifacts }                brain files (plan, task, walkthrough)
+//
+// Replaying the log up to a timestamp gives the conversation as it was then,
+// which is what the timeline scrubber shows. Oldest conversations are pruned
+// once the whole store goes over its size budget. Search never reads the logs:
+// it looks through the latest text of each turn, kept in memory.
+
+const INDEX_FILE = 'history/index.json';
+const FLUSH_MS = 5000; // Streaming rewrites the last turn per token, only keep the latest every few seconds
+const SNIPPET_RADIUS = 60;
+
+let maxBytes = 200 * 1024 * 1024; // historyMb in the config
+let index = {}; // { [conversationId]: { conversationId, title, project, firstSeen, lastSeen, messageCount, bytes } }
+const current = new Map(); // Map<conversationId, messages[]>, replayed state of conversations written this run
+const currentArtifacts = new Map(); // Map<conversationId, JSON>, the last artifacts recorded, same idea
+const pending = new Map(); // Map<conversationId, Map<index, event>>, updates waiting for the next flush
+const searchable = new Map(); // Map<conversationId, { index, role, markdown }[]>, what search() looks through
+let flushTimer = null;
+
+function logFile(conversationId) {
+    return dataPath('history', `${conversationId}.jsonl`);
+}
+
+// Conversation ids come from the page, never let one escape the history dir
+export function isValidId(conversationId) {
+    return typeof conversationId === 'string' && /^[\w-]{1,128}$/.test(conversationId);
+}
+
+// The size budget, applied from the next write on
+export function setMaxSize(mb) {
+    maxBytes = mb * 1024 * 1024;
+}
+
+export function loadHistory() {
+    index = readJson(INDEX_FILE, {});
+    fs.mkdirSync(dataPath('history'), { recursive: true });
+    indexStored().catch(e => console.error('History search index failed:', e.message));
+}
+
+function saveIndex() {
+    writeJson(INDEX_FILE, index);
+}
+
+function parseEvents(text) {
+    return text
+        .split('\n')
+        .filter(Boolean)
+        .map(line => { try { return JSON.parse(line); } catch (e) { return null; } }) // Torn last line after a crash
+        .filter(Boolean);
+}
+
+function readEvents(conversationId) {
+    try {
+        return parseEvents(fs.readFileSync(logFile(conversationId), 'utf8'));
+    } catch (e) {
+        return [];
+    }
+}
+
+function replay(events, until = Infinity) {
+    let messages = [];
+    let artifacts = null;
+    for (const e of events) {
+        if (e.at > until) continue;
+        if (e.action === 'reset') messages = e.messages.slice();
+        else if (e.action === 'artifacts') artifacts = e.artifacts;
+        else messages[e.index] = e.message;
+    }
+    return { messages: messages.filter(Boolean), artifacts };
+}
+
+// The log is read once per conversation per run, after that the state is kept up to date in memory
+function load(conversationId) {
+    const { messages, artifacts } = replay(readEvents(conversationId));
+    if (!current.has(conversationId)) current.set(conversationId, messages);
+    if (!currentArtifacts.has(conversationId)) currentArtifacts.set(conversationId, JSON.stringify(artifacts));
+    if (!searchable.has(conversationId)) indexText(conversationId, current.get(conversationId));
+}
+
+function stateOf(conversationId) {
+    if (!current.has(conversationId)) load(conversationId);
+    return current.get(conversationId);
+}
+
+// --- Search Index ---
+
+const searchEntry = (message, i) => ({ index: message.index ?? i, role: message.role, markdown: message.markdown || '' });
+
+function indexText(conversationId, messages) {
+    searchable.set(conversationId, messages.map(searchEntry));
+}
+
+function indexTurn(conversationId, i, message) {
+    const texts = searchable.get(conversationId);
+    if (texts) texts[i] = searchEntry(message, i);
+}
+
+// Conversations stored before this run, read one at a time in the background.
+// Anything recorded meanwhile is indexed by record() and wins.
+async function indexStored() {
+    for (const { conversationId } of listConversations()) {
+        if (searchable.has(conversationId)) continue;
+        let events;
+        try {
+            events = parseEvents(await fs.promises.readFile(logFile(conversationId), 'utf8'));
+        } catch (e) {
+            continue;
+        }
+        if (!searchable.has(conversationId) && index[conversationId]) indexText(conversationId, replay(events).messages);
+    }
+}
+
+function append(conversationId, events) {
+    if (!events.length) return;
+    const data = events.map(e => JSON.stringify(e)).join('\n') + '\n';
+    fs.appendFileSync(logFile(conversationId), data, { mode: 0o600 });
+
+    const entry = index[conversationId];
+    entry.bytes = (entry.bytes || 0) + Buffer.byteLength(data);
+    entry.lastSeen = events[events.length - 1].at;
+    entry.messageCount = stateOf(conversationId).length;
+}
+
+function touch(conversationId, { title, project } = {}) {
+    const now = Date.now();
+    if (!index[conversationId]) {
+        index[conversationId] = { conversationId, title: null, project: null, firstSeen: now, lastSeen: now, messageCount: 0, bytes: 0 };
+    }
+    const entry = index[conversationId];
+    if (title) entry.title = title;
+    if (project) entry.project = project;
+}
+
+// --- Recording ---
+
+// Record the current turns of a conversation. Only turns that differ from what's
+// already stored are written, so re-recording after a restart adds nothing.
+export function record(conversationId, messages, meta = {}) {
+    if (!isValidId(conversationId)) return;
+    touch(conversationId, meta);
+
+    const stored = stateOf(conversationId);
+    const at = Date.now();
+
+    // Fewer turns than stored means the window started over (or was cleared)
+    if (messages.length < stored.length) {
+        if (pending.has(conversationId)) flush();
+        current.set(conversationId, messages.slice());
+        indexText(conversationId, messages);
+        append(conversationId, [{ at, action: 'reset', messages }]);
+        saveIndex();
+        return;
+    }
+
+    let queued = pending.get(conversationId);
+    messages.forEach((message, i) => {
+        if (stored[i]?.hash === message.hash) return;
+        const action = stored[i] ? 'updated' : 'added';
+        stored[i] = message;
+        indexTurn(conversationId, i, message);
+        if (!queued) pending.set(conversationId, queued = new Map());
+        // Keep the first action for the index: added-then-updated is still an add
+        queued.set(i, { at, action: queued.get(i)?.action || action, index: i, message });
+    });
+
+    index[conversationId].messageCount = stored.length;
+    if (queued && !flushTimer) flushTimer = setTimeout(flush, FLUSH_MS);
+}
+
+export function recordArtifacts(conversationId, artifacts) {
+    if (!isValidId(conversationId) || !artifacts) return;
+    if (!Object.values(artifacts).some(Boolean)) return;
+    if (pending.has(conversationId)) flush(); // Keep the log in time order
+
+    if (!currentArtifacts.has(conversationId)) load(conversationId);
+    const json = JSON.stringify(artifacts);
+    if (currentArtifacts.get(conversationId) === json) return;
+
+    touch(conversationId);
+    append(conversationId, [{ at: Date.now(), action: 'artifacts', artifacts }]);
+    currentArtifacts.set(conversationId, json);
+    saveIndex();
+}
+
+export function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!pending.size) return;
+
+    for (const [conversationId, queued] of pending) {
+        try {
+            append(conversationId, [...queued.values()]);
+        } catch (e) {
+            console.error(`History write failed for ${conversationId}:`, e.message);
+        }
+    }
+    pending.clear();
+    prune();
+    saveIndex();
+}
+
+// Drop the least recently seen conversations until the store fits its budget.
+// The most recent one always stays, even if it's bigger than the whole budget.
+function prune() {
+    const entries = Object.values(index).sort((a, b) => a.lastSeen - b.lastSeen);
+    let total = entries.reduce((sum, e) => sum + (e.bytes || 0), 0);
+
+    for (const entry of entries.slice(0, -1)) {
+        if (total <= maxBytes) break;
+        total -= entry.bytes || 0;
+        remove(entry.conversationId);
+        console.log(`🧹 Pruned history for ${entry.title || entry.conversationId}`);
+    }
+}
+
+export function remove(conversationId) {
+    if (!index[conversationId]) return false;
+    try { fs.unlinkSync(logFile(conversationId)); } catch (e) { }
+    delete index[conversationId];
+    current.delete(conversationId);
+    currentArtifacts.delete(conversationId);
+    searchable.delete(conversationId);
+    pending.delete(conversationId);
+    saveIndex();
+    return true;
+}
+
+// --- Browsing ---
+
+export function getEntry(conversationId) {
+    return index[conversationId] || null;
+}
+
+export function listConversations() {
+    return Object.values(index).sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+// A conversation as it was at `at` (default: now), plus its timeline: one point
+// per recorded change, without message bodies, for the scrubber.
+export function getConversation(conversationId, at = Infinity) {
+    if (!isValidId(conversationId) || !index[conversationId]) return null;
+    if (pending.has(conversationId)) flush();
+
+    const events = readEvents(conversationId);
+    const { messages, artifacts } = replay(events, at);
+    const timeline = events.map(e => ({
+        at: e.at,
+        action: e.action,
+        index: e.index ?? null,
+        role: e.message?.role || null
+    }));
+
+    return { ...index[conversationId], at: Number.isFinite(at) ? at : null, messages, artifacts, timeline };
+}
+
+// Case-insensitive search over the latest version of every stored conversation.
+// Conversations from before this run are found once the background index got to them.
+export function search(query, { limit = 50 } = {}) {
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) return [];
+
+    const results = [];
+    for (const entry of listConversations()) {
+        for (const message of searchable.get(entry.conversationId) || []) {
+            if (!message) continue;
+            const text = message.markdown || '';
+            const pos = text.toLowerCase().indexOf(q);
+            if (pos === -1) continue;
+
+            const start = Math.max(0, pos - SNIPPET_RADIUS);
+            const end = Math.min(text.length, pos + q.length + SNIPPET_RADIUS);
+            results.push({
+                conversationId: entry.conversationId,
+                title: entry.title,
+                project: entry.project,
+                lastSeen: entry.lastSeen,
+                index: message.index,
+                role: message.role,
+                snippet: (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '')
+            });
+            if (results.length >= limit) return results;
+        }
+    }
+    return results;
+}
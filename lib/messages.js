@@ -0,0 +1,226 @@
+import { parse } from 'node-html-parser';
+
+// Conversation extraction
+//
+// Turns the captured #cascade HTML into structured messages. Everything that
+// depends on Antigravity's markup lives in this file, so when the IDE changes
+// its DOM this is the only place that needs fixing.
+
+// Markup heuristics. Attribute-substring selectors on purpose: class names are
+// generated and change between builds, the words in them mostly don't.
+export const SELECTORS = {
+    userTurn: '[data-message-author-role="user"], [data-role="user"], [class*="user-message"], [class*="userMessage"], [class*="user-input"], [class*="human"]',
+    step: '[class*="tool-call"], [class*="toolCall"], [class*="tool_call"], [class*="command"], [class*="terminal"], [data-tool-name]',
+    stepCommand: 'code, pre, [class*="command-line"], [class*="commandLine"]',
+    ignore: 'style, script, noscript, svg, button, [aria-hidden="true"], [class*="codicon"], [class*="sr-only"]'
+};
+
+const STEP_STATUSES = [
+    ['failed', /\b(error|errored|fail(ed|ure)?)\b/i],
+    ['cancelled', /\b(cancel(l)?ed|rejected|skipped)\b/i],
+    ['waiting', /\b(pending|waiting|approve|accept|requires? approval)\b/i],
+    ['running', /\b(running|in[-_ ]progress|spinner|loading|executing)\b/i],
+    ['done', /\b(done|success(ful)?|succeeded|completed?|finished|ran)\b/i]
+];
+
+const PARSE_OPTIONS = { blockTextElements: { script: true, noscript: true, style: true } };
+
+// Every image in a turn shows up as ![alt], ![image] when it has no alt text, so
+// "this turn has an image" doesn't depend on how the IDE labels it
+const IMAGE_ALT = 'image';
+const IMAGE_MARKER = /!\[[^\]\n]*\]/;
+
+// --- Helpers ---
+
+function hashString(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) - hash) + str.charCodeAt(i);
+        hash = hash & hash;
+    }
+    return hash.toString(36);
+}
+
+function isElement(node) {
+    return node.nodeType === 1;
+}
+
+function codeLanguage(pre) {
+    const candidates = [pre, pre.querySelector('code')].filter(Boolean);
+    for (const el of candidates) {
+        const lang = el.getAttribute('data-language') || el.getAttribute('data-lang');
+        if (lang) return lang;
+        const cls = (el.getAttribute('class') || '').match(/(?:language|lang)-([\w+#.-]+)/);
+        if (cls) return cls[1];
+    }
+    return null;
+}
+
+function stepStatus(el) {
+    const haystack = `${el.getAttribute('class') || ''} ${el.getAttribute('data-status') || ''} ${el.getAttribute('aria-label') || ''} ${el.text.slice(0, 200)}`;
+    for (const [status, re] of STEP_STATUSES) {
+        if (re.test(haystack)) return status;
+    }
+    return 'unknown';
+}
+
+// --- HTML -> Markdown ---
+
+function inline(text) {
+    return text.replace(/\s+/g, ' ');
+}
+
+function toMarkdown(node, ctx = { list: null, depth: 0 }) {
+    if (!isElement(node)) return node.nodeType === 3 ? inline(node.text) : '';
+    if (node.matches(SELECTORS.ignore)) return '';
+
+    const tag = (node.rawTagName || '').toLowerCase();
+    const children = (c = ctx) => node.childNodes.map(n => toMarkdown(n, c)).join('');
+
+    switch (tag) {
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+            return `\n\n${'#'.repeat(Number(tag[1]))} ${children().trim()}\n\n`;
+        case 'p':
+            return `\n\n${children().trim()}\n\n`;
+        case 'br':
+            return '\n';
+        case 'hr':
+            return '\n\n---\n\n';
+        case 'strong': case 'b':
+            return `**${children().trim()}**`;
+        case 'em': case 'i':
+            return `*${children().trim()}*`;
+        case 'del': case 's':
+            return `~~${children().trim()}~~`;
+        case 'code':
+            return `\`${node.text}\``;
+        case 'pre': {
+            const lang = codeLanguage(node) || '';
+            return `\n\n\`\`\`${lang}\n${node.text.replace(/\n$/, '')}\n\`\`\`\n\n`;
+        }
+        case 'a': {
+            const href = node.getAttribute('href');
+            const label = children().trim();
+            return href && !href.startsWith('#') ? `[${label}](${href})` : label;
+        }
+        case 'img': {
+            const alt = inline(node.getAttribute('alt') || '').replace(/[[\]]/g, '').trim();
+            return `![${alt || IMAGE_ALT}]`;
+        }
+        case 'blockquote':
+            return `\n\n${children().trim().split('\n').map(l => `> ${l}`).join('\n')}\n\n`;
+        case 'ul': case 'ol':
+            return `\n${children({ list: tag, depth: ctx.list ? ctx.depth + 1 : 0, n: 0 })}\n`;
+        case 'li': {
+            const bullet = ctx.list === 'ol' ? `${++ctx.n}.` : '-';
+            const pad = '  '.repeat(ctx.depth || 0);
+            const checkbox = node.querySelector('input[type="checkbox"]');
+            const box = checkbox ? (checkbox.hasAttribute('checked') ? '[x] ' : '[ ] ') : '';
+            return `${pad}${bullet} ${box}${children().trim()}\n`;
+        }
+        case 'table': {
+            const rows = node.querySelectorAll('tr').map(tr => tr.querySelectorAll('th, td').map(td => inline(td.text).trim()));
+            if (!rows.length) return '';
+            const head = `| ${rows[0].join(' | ')} |\n| ${rows[0].map(() => '---').join(' | ')} |\n`;
+            return `\n\n${head}${rows.slice(1).map(r => `| ${r.join(' | ')} |`).join('\n')}\n\n`;
+        }
+        case 'div': case 'section': case 'article': case 'header': case 'footer': case 'details': case 'summary':
+            return `\n${children()}\n`;
+        default:
+            return children();
+    }
+}
+
+function cleanMarkdown(md) {
+    return md
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// --- Extraction ---
+
+function extractSteps(el) {
+    // Outermost matches only, a step's own "command" child shouldn't count twice
+    const matches = el.querySelectorAll(SELECTORS.step);
+    const outer = matches.filter(m => !matches.some(other => other !== m && isAncestor(other, m)));
+
+    return outer.map(step => {
+        const commandEl = step.querySelector(SELECTORS.stepCommand);
+        const text = step.childNodes.map(n => n.text).join(' ');
+        const label = inline(step.getAttribute('aria-label') || text).trim().slice(0, 200);
+        return {
+            kind: step.getAttribute('data-tool-name') || (/terminal|command/i.test(step.getAttribute('class') || '') ? 'command' : 'tool'),
+            label,
+            command: commandEl ? commandEl.text.trim() : null,
+            status: stepStatus(step)
+        };
+    });
+}
+
+function isAncestor(a, b) {
+    for (let p = b.parentNode; p; p = p.parentNode) {
+        if (p === a) return true;
+    }
+    return false;
+}
+
+// Parse one snapshot chunk (a child of the message list) into a turn, or null
+export function parseChunk(html) {
+    const root = parse(html, PARSE_OPTIONS);
+    const el = root.childNodes.find(isElement);
+    if (!el) return null;
+
+    const markdown = cleanMarkdown(toMarkdown(el));
+    const codeBlocks = el.querySelectorAll('pre').map(pre => ({
+        language: codeLanguage(pre),
+        code: pre.text.replace(/\n$/, '')
+    }));
+    const steps = extractSteps(el);
+    if (!markdown && !steps.length) return null;
+
+    const isUser = el.matches(SELECTORS.userTurn) || !!el.querySelector(SELECTORS.userTurn);
+    return {
+        role: isUser ? 'user' : 'agent',
+        markdown,
+        codeBlocks,
+        steps
+    };
+}
+
+// Build the ordered message list from snapshot chunks. `cache` (Map<chunkHash, turn>)
+// is kept per cascade so only chunks that changed get re-parsed.
+export function extractMessages(chunks, chunkHashes, cache = new Map()) {
+    const messages = [];
+    const seen = new Set();
+
+    chunks.forEach((html, i) => {
+        const chunkHash = chunkHashes[i];
+        seen.add(chunkHash);
+        if (!cache.has(chunkHash)) cache.set(chunkHash, parseChunk(html));
+
+        const turn = cache.get(chunkHash);
+        if (!turn) return;
+        messages.push({ index: messages.length, hash: hashString(JSON.stringify(turn)), ...turn });
+    });
+
+    for (const key of cache.keys()) {
+        if (!seen.has(key)) cache.delete(key);
+    }
+    return messages;
+}
+
+// Whether a turn's markdown shows an image
+export function hasImage(markdown) {
+    return IMAGE_MARKER.test(markdown || '');
+}
+
+// Compare two message lists: [{ action: 'added' | 'updated', message }]
+export function diffMessages(prev, next) {
+    const changes = [];
+    next.forEach((m, i) => {
+        if (!prev[i]) changes.push({ action: 'added', message: m });
+        else if (prev[i].hash !== m.hash) changes.push({ action: 'updated', message: m });
+    });
+    return changes;
+}
@@ -0,0 +1,140 @@
+import webpush from 'web-push';
+import { readJson, writeJson } from './data.js';
+
+// Notifications
+//
+// Fired on agent state transitions. Two channels:
+//   - Web Push to browsers that subscribed (needs HTTPS or localhost on the phone)
+//   - A generic webhook (NOTIFY_WEBHOOK_URL), e.g. a local ntfy or Gotify instance
+
+const VAPID_FILE = 'vapid.json';
+const SUBSCRIPTIONS_FILE = 'push-subscriptions.json';
+const MUTES_FILE = 'mutes.json';
+
+let subscriptions = []; // [{ deviceId, subscription }]
+let mutes = {}; // { [cascadeId]: { until: timestamp | null } }
+let vapidPublicKey = null;
+
+let webhook = {
+    url: process.env.NOTIFY_WEBHOOK_URL || null,
+    format: process.env.NOTIFY_WEBHOOK_FORMAT || 'json' // 'json' (Gotify, generic) or 'text' (ntfy)
+};
+
+// --- Setup ---
+
+export function initNotifications() {
+    let keys = readJson(VAPID_FILE, null);
+    if (!keys?.publicKey || !keys?.privateKey) {
+        keys = webpush.generateVAPIDKeys();
+        writeJson(VAPID_FILE, keys);
+    }
+    webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:ag-monitor@localhost', keys.publicKey, keys.privateKey);
+    vapidPublicKey = keys.publicKey;
+
+    subscriptions = readJson(SUBSCRIPTIONS_FILE, []);
+    mutes = readJson(MUTES_FILE, {});
+}
+
+export function getVapidPublicKey() {
+    return vapidPublicKey;
+}
+
+export function setWebhook(url, format = 'json') {
+    webhook = { url: url || null, format };
+}
+
+// --- Push Subscriptions ---
+
+export function addSubscription(deviceId, subscription) {
+    if (!subscription?.endpoint) throw new Error('Invalid subscription');
+    subscriptions = subscriptions.filter(s => s.subscription.endpoint !== subscription.endpoint);
+    subscriptions.push({ deviceId, subscription });
+    writeJson(SUBSCRIPTIONS_FILE, subscriptions);
+}
+
+export function removeSubscription(endpoint) {
+    const before = subscriptions.length;
+    subscriptions = subscriptions.filter(s => s.subscription.endpoint !== endpoint);
+    if (subscriptions.length !== before) writeJson(SUBSCRIPTIONS_FILE, subscriptions);
+}
+
+// Revoked devices shouldn't keep getting notifications
+export function removeDeviceSubscriptions(deviceId) {
+    const before = subscriptions.length;
+    subscriptions = subscriptions.filter(s => s.deviceId !== deviceId);
+    if (subscriptions.length !== before) writeJson(SUBSCRIPTIONS_FILE, subscriptions);
+}
+
+// --- Mutes ---
+
+export function isMuted(cascadeId) {
+    const mute = mutes[cascadeId];
+    if (!mute) return false;
+    if (mute.until && mute.until < Date.now()) {
+        delete mutes[cascadeId];
+        writeJson(MUTES_FILE, mutes);
+        return false;
+    }
+    return true;
+}
+
+export function getMute(cascadeId) {
+    return isMuted(cascadeId) ? { muted: true, until: mutes[cascadeId].until } : { muted: false, until: null };
+}
+
+export function setMute(cascadeId, muted, until = null) {
+    if (muted) mutes[cascadeId] = { until: until ? Number(until) : null };
+    else delete mutes[cascadeId];
+    writeJson(MUTES_FILE, mutes);
+    return getMute(cascadeId);
+}
+
+export function moveMute(fromId, toId) {
+    if (!mutes[fromId]) return;
+    mutes[toId] = mutes[fromId];
+    delete mutes[fromId];
+    writeJson(MUTES_FILE, mutes);
+}
+
+// --- Sending ---
+
+async function sendPush(payload) {
+    const body = JSON.stringify(payload);
+    await Promise.all(subscriptions.map(async ({ subscription }) => {
+        try {
+            await webpush.sendNotification(subscription, body, { TTL: 60 * 60 });
+        } catch (e) {
+            // Gone / not found: the browser dropped the subscription
+            if (e.statusCode === 404 || e.statusCode === 410) removeSubscription(subscription.endpoint);
+            else console.error('Push failed:', e.message);
+        }
+    }));
+}
+
+async function sendWebhook(payload) {
+    if (!webhook.url) return;
+    try {
+        const res = webhook.format === 'text'
+            ? await fetch(webhook.url, {
+                method: 'POST',
+                headers: { 'Title': payload.title, 'Tags': payload.event },
+                body: payload.message
+            })
+            : await fetch(webhook.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+        if (!res.ok) console.error(`Webhook responded ${res.status}`);
+    } catch (e) {
+        console.error('Webhook failed:', e.message);
+    }
+}
+
+// payload: { event, cascadeId, title, message, state, previousState }
+export async function notify(payload) {
+    if (isMuted(payload.cascadeId)) return;
+    const full = { ...payload, timestamp: Date.now() };
+    console.log(`🔔 ${full.title}: ${full.message}`);
+    await Promise.all([sendPush(full), sendWebhook(full)]);
+}
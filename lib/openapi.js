@@ -0,0 +1,328 @@
+import { BASE } from './api.js';
+
+// OpenAPI description of /api/v1, served at /api/v1/openapi.json. Kept by hand
+// next to the routes in server.js: a route added there gets its entry here.
+
+const schema = (name) => ({ $ref: `#/components/schemas/${name}` });
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+const nullable = (type) => ({ type, nullable: true });
+const list = (items) => ({ type: 'array', items });
+
+const STATUS_TEXT = {
+    204: 'Done',
+    304: 'Not modified since the ETag sent in If-None-Match',
+    400: 'Bad request',
+    401: 'Missing or invalid device token',
+    403: 'The device\'s role is too low',
+    404: 'Not found',
+    409: 'The IDE didn\'t do it (reason in message, result in details)',
+    413: 'Upload too large',
+    429: 'Too many wrong pairing codes from this address, see Retry-After',
+    502: 'The IDE couldn\'t be reached, or didn\'t take the message'
+};
+
+const jsonBody = (s) => ({ required: true, content: { 'application/json': { schema: s } } });
+
+// One operation. `role`: 'viewer' | 'controller' | null (no token needed).
+// `response`: JSON schema of the 200 body, null for 204; `responses` adds or replaces.
+function op(summary, { role = 'viewer', params = [], query = [], body = null, response = null, responses: extra = {}, errors = [], tags = [] } = {}) {
+    const responses = {};
+    if (response !== null) responses[200] = { description: 'OK', content: { 'application/json': { schema: response } } };
+    else if (!extra[200]) responses[204] = { description: STATUS_TEXT[204] };
+    Object.assign(responses, extra);
+    const statuses = [...(role ? [401, 403] : []), ...errors];
+    for (const status of statuses) responses[status] = { $ref: `#/components/responses/Error${status}` };
+
+    return {
+        summary,
+        tags,
+        ...(role ? { description: `Requires the ${role} role.` } : { security: [] }),
+        parameters: [
+            ...params.map(name => ({ $ref: `#/components/parameters/${name}` })),
+            ...query.map(([name, type, description]) => ({ name, in: 'query', required: false, schema: { type }, description }))
+        ],
+        ...(body ? { requestBody: body } : {}),
+        responses
+    };
+}
+
+const cascadeOp = (summary, options = {}) => op(summary, { tags: ['Cascades'], ...options, params: ['cascadeId', ...(options.params || [])], errors: [404, ...(options.errors || [])] });
+const artifactQuery = [['name', 'string', 'Artifact path inside the conversation\'s brain directory, e.g. task.md']];
+const queueResponse = object({ queue: list(schema('QueueEntry')) });
+
+export const OPENAPI = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Antigravity Monitor API',
+        version: '1.0.0',
+        description: 'Read and drive Antigravity agent chats. Authenticate with a device token from POST /auth/pair, ' +
+            'sent as `Authorization: Bearer <token>` (or `?token=` where headers can\'t be set, like EventSource). ' +
+            'Errors are `{ error: { code, message, details? } }`.'
+    },
+    servers: [{ url: BASE }],
+    security: [{ bearer: [] }, { token: [] }],
+    tags: [
+        { name: 'Auth' }, { name: 'Cascades', description: 'Agent chats in open IDE windows' },
+        { name: 'History', description: 'Conversations stored on disk, also after the window closed' },
+        { name: 'Events' }
+    ],
+    paths: {
+        '/auth/pair': {
+            post: op('Exchange a pairing code for a device token', {
+                role: null, tags: ['Auth'],
+                body: jsonBody(object({ code: { type: 'string' }, name: { type: 'string' } }, ['code'])),
+                response: object({ token: { type: 'string' }, device: schema('Device') }),
+                errors: [401, 429]
+            })
+        },
+        '/auth/me': { get: op('The device making the request', { tags: ['Auth'], response: schema('Device') }) },
+        '/auth/pairing-codes': {
+            post: op('Issue a pairing code for another device', {
+                role: 'controller', tags: ['Auth'],
+                body: jsonBody(object({ role: { type: 'string', enum: ['viewer', 'controller'] } }, [])),
+                response: object({ code: { type: 'string' }, role: { type: 'string' }, expires: { type: 'integer' } }),
+                errors: [400]
+            })
+        },
+        '/devices': { get: op('Paired devices', { role: 'controller', tags: ['Auth'], response: object({ devices: list(schema('Device')) }) }) },
+        '/devices/{deviceId}': {
+            delete: op('Revoke a device, closing its sockets and event streams', { role: 'controller', tags: ['Auth'], params: ['deviceId'], response: schema('Device'), errors: [404] })
+        },
+        '/push/key': { get: op('VAPID public key for Web Push', { tags: ['Auth'], response: object({ publicKey: { type: 'string' } }) }) },
+        '/push/subscriptions': {
+            post: op('Subscribe this device to notifications', { tags: ['Auth'], body: jsonBody(object({ subscription: { type: 'object' } })), errors: [400] }),
+            delete: op('Unsubscribe a push endpoint', { tags: ['Auth'], body: jsonBody(object({ endpoint: { type: 'string' } })) })
+        },
+
+        '/cascades': { get: op('Open agent chats', { tags: ['Cascades'], response: object({ cascades: list(schema('Cascade')) }) }) },
+        '/cascades/{cascadeId}': { get: cascadeOp('One chat', { response: schema('Cascade') }) },
+        '/cascades/{cascadeId}/mute': {
+            put: cascadeOp('Mute or unmute its notifications', {
+                role: 'controller',
+                body: jsonBody(object({ muted: { type: 'boolean' }, until: nullable('integer') }, ['muted'])),
+                response: schema('Cascade')
+            })
+        },
+        '/cascades/{cascadeId}/snapshot': { get: cascadeOp('Sanitized HTML of the chat', { response: schema('Snapshot') }) },
+        '/cascades/{cascadeId}/styles': {
+            get: cascadeOp('The chat\'s CSS, pruned to what it uses, with an ETag', {
+                response: object({ css: { type: 'string' }, hash: nullable('string') }),
+                responses: { 304: { description: STATUS_TEXT[304] } }
+            })
+        },
+        '/cascades/{cascadeId}/messages': {
+            get: cascadeOp('Structured turns of the conversation', {
+                response: object({ cascadeId: { type: 'string' }, conversationId: nullable('string'), messages: list(schema('Message')) })
+            }),
+            post: cascadeOp('Send a message, as typed into the chat', {
+                role: 'controller',
+                body: {
+                    required: true,
+                    content: {
+                        'application/json': { schema: object({ message: { type: 'string' }, clientMessageId: { type: 'string', description: 'Retries with the same id are answered from the first attempt' } }, ['message']) },
+                        'multipart/form-data': { schema: object({ message: { type: 'string' }, clientMessageId: { type: 'string' }, files: list({ type: 'string', format: 'binary' }) }, []) }
+                    }
+                },
+                response: schema('SendResult'),
+                errors: [400, 413, 502]
+            })
+        },
+        '/cascades/{cascadeId}/new': { post: cascadeOp('Start a new conversation in the window', { role: 'controller' }) },
+        '/cascades/{cascadeId}/control': {
+            post: cascadeOp('Stop the agent, switch model or mode, list models', {
+                role: 'controller',
+                body: jsonBody(object({ action: { type: 'string', enum: ['stop', 'set_model', 'set_mode', 'new_conversation', 'list_models'] }, value: { type: 'string' } }, ['action'])),
+                response: { type: 'object', additionalProperties: true },
+                errors: [409]
+            })
+        },
+        '/cascades/{cascadeId}/click': {
+            post: cascadeOp('Press an action button tagged in the snapshot (data-ag-click)', {
+                role: 'controller',
+                body: jsonBody(object({ target: { type: 'string', example: 'c12' }, kind: { type: 'string', enum: ['accept', 'reject', 'run', 'continue'] } }, ['target'])),
+                response: object({ kind: { type: 'string' }, label: { type: 'string' }, verified: { type: 'boolean' } }, ['kind']),
+                errors: [400, 409]
+            })
+        },
+        '/cascades/{cascadeId}/screen/tap': {
+            post: cascadeOp('Click at a point of the window, in page coordinates', {
+                role: 'controller', body: jsonBody(object({ x: { type: 'number' }, y: { type: 'number' } })), errors: [400]
+            })
+        },
+        '/cascades/{cascadeId}/brain': {
+            get: cascadeOp('Plan, task list and walkthrough of the conversation, and every artifact', { response: schema('Brain') })
+        },
+        '/cascades/{cascadeId}/brain/file': {
+            get: cascadeOp('An artifact\'s content', {
+                query: artifactQuery,
+                responses: { 200: { description: 'The file, as text, an image or a download' } }
+            })
+        },
+        '/cascades/{cascadeId}/brain/revisions': {
+            get: cascadeOp('Earlier versions of a text artifact', {
+                query: artifactQuery,
+                response: object({ name: { type: 'string' }, revisions: list(object({ at: { type: 'integer' }, content: { type: 'string' } })) })
+            })
+        },
+        '/cascades/{cascadeId}/brain/diff': {
+            get: cascadeOp('What changed in an artifact since a point in time', {
+                query: [...artifactQuery, ['since', 'integer', 'Timestamp (ms), e.g. when the client last looked']],
+                response: object({
+                    name: { type: 'string' }, from: nullable('integer'), to: { type: 'integer' }, changed: { type: 'boolean' },
+                    lines: list(object({ op: { type: 'string', enum: [' ', '+', '-'] }, text: { type: 'string' } }))
+                })
+            })
+        },
+        '/cascades/{cascadeId}/conversations': {
+            get: cascadeOp('Past conversations of the window\'s project', {
+                query: [['all', 'string', '1 for every conversation, not just this project\'s']],
+                response: object({ cascadeId: { type: 'string' }, workspace: nullable('string'), conversations: list(schema('PastConversation')) })
+            })
+        },
+        '/cascades/{cascadeId}/conversations/{conversationId}/open': {
+            post: cascadeOp('Switch the window to a past conversation', { role: 'controller', params: ['conversationId'], response: { type: 'object', additionalProperties: true }, errors: [409] })
+        },
+        '/cascades/{cascadeId}/changes': {
+            get: cascadeOp('Uncommitted changes in the window\'s workspace, per git', { response: schema('Changes') })
+        },
+        '/cascades/{cascadeId}/changes/{action}': {
+            post: cascadeOp('Stage, unstage or revert one changed file', {
+                role: 'controller', params: ['action'], body: jsonBody(object({ path: { type: 'string' } })), errors: [400]
+            })
+        },
+        '/cascades/{cascadeId}/queue': {
+            get: cascadeOp('Prompts waiting to be sent when the agent is idle', { response: queueResponse }),
+            post: cascadeOp('Queue a prompt', {
+                role: 'controller',
+                body: jsonBody(object({ text: { type: 'string' }, at: { type: 'string', description: 'HH:MM, next occurrence' }, sendAt: { type: 'integer' } }, ['text'])),
+                response: queueResponse, errors: [400]
+            }),
+            put: cascadeOp('Reorder the queue', { role: 'controller', body: jsonBody(object({ ids: list({ type: 'string' }) })), response: queueResponse, errors: [400] })
+        },
+        '/cascades/{cascadeId}/queue/{entryId}': {
+            delete: cascadeOp('Cancel a queued prompt', { role: 'controller', params: ['entryId'], response: queueResponse })
+        },
+        '/cascades/{cascadeId}/queue/{entryId}/retry': {
+            post: cascadeOp('Queue a failed prompt again', { role: 'controller', params: ['entryId'], response: queueResponse })
+        },
+
+        '/history': { get: op('Stored conversations, most recent first', { tags: ['History'], response: object({ conversations: list(schema('HistoryEntry')) }) }) },
+        '/history/search': {
+            get: op('Search stored messages', {
+                tags: ['History'],
+                query: [['q', 'string', 'Text to look for, case-insensitive'], ['limit', 'integer', 'At most 200, default 50']],
+                response: object({ results: list(schema('SearchResult')) })
+            })
+        },
+        '/history/{conversationId}': {
+            get: op('A stored conversation, as it was at a point in time', {
+                tags: ['History'], params: ['conversationId'],
+                query: [['at', 'integer', 'Timestamp (ms), default now']],
+                response: { type: 'object', additionalProperties: true, description: 'HistoryEntry plus at, messages, artifacts and timeline' },
+                errors: [404]
+            }),
+            delete: op('Delete a stored conversation', { role: 'controller', tags: ['History'], params: ['conversationId'], errors: [404] })
+        },
+
+        '/events': {
+            get: op('Live events: everything the WebSocket broadcasts, as Server-Sent Events', {
+                tags: ['Events'],
+                query: [
+                    ['types', 'string', 'Comma separated event types to receive, default all'],
+                    ['cascadeId', 'string', 'Only events about this cascade (and cascade_list)'],
+                    ['lastEventId', 'integer', 'Resume after this event, for clients that can\'t send Last-Event-ID']
+                ],
+                responses: {
+                    200: {
+                        description: 'An event stream. Each event is named after the message type (cascade_list, snapshot_update, styles_update, ' +
+                            'message, messages_reset, brain_update, queue_update, queue_sent, cascade_moved) and carries the message as JSON. ' +
+                            'The current cascade_list comes first, without an id.',
+                        content: { 'text/event-stream': { schema: { type: 'string' } } }
+                    }
+                }
+            })
+        },
+        '/openapi.json': { get: { summary: 'This document', security: [], responses: { 200: { description: 'OpenAPI 3.0 document' } } } }
+    },
+    components: {
+        securitySchemes: {
+            bearer: { type: 'http', scheme: 'bearer' },
+            token: { type: 'apiKey', in: 'query', name: 'token' }
+        },
+        parameters: {
+            cascadeId: { name: 'cascadeId', in: 'path', required: true, schema: { type: 'string' } },
+            conversationId: { name: 'conversationId', in: 'path', required: true, schema: { type: 'string' } },
+            deviceId: { name: 'deviceId', in: 'path', required: true, schema: { type: 'string' } },
+            entryId: { name: 'entryId', in: 'path', required: true, schema: { type: 'string' } },
+            action: { name: 'action', in: 'path', required: true, schema: { type: 'string', enum: ['stage', 'unstage', 'revert'] } }
+        },
+        responses: Object.fromEntries([400, 401, 403, 404, 409, 413, 502].map(status => [`Error${status}`, {
+            description: STATUS_TEXT[status],
+            content: { 'application/json': { schema: schema('Error') } }
+        }])),
+        schemas: {
+            Error: object({
+                error: object({
+                    code: { type: 'string', description: 'Stable, e.g. cascade_not_found, invalid_pairing_code, not_delivered' },
+                    message: { type: 'string' },
+                    details: { type: 'object', additionalProperties: true }
+                }, ['code', 'message'])
+            }),
+            Device: object({ id: { type: 'string' }, name: { type: 'string' }, role: { type: 'string', enum: ['viewer', 'controller'] }, createdAt: { type: 'integer' }, lastSeen: nullable('integer') }, ['id', 'name', 'role']),
+            Cascade: object({
+                id: { type: 'string' },
+                title: { type: 'string', description: 'Chat title' },
+                window: { type: 'string', description: 'Window title' },
+                projectName: { type: 'string' },
+                active: { type: 'boolean', description: 'The window has focus' },
+                state: { ...nullable('string'), enum: ['idle', 'generating', 'waiting_approval', 'errored', null] },
+                model: nullable('string'),
+                mode: nullable('string'),
+                models: list({ type: 'string' }),
+                connection: { type: 'string', enum: ['connecting', 'open', 'reconnecting', 'closed'] },
+                muted: { type: 'boolean' },
+                conversationId: nullable('string'),
+                conversationGuessed: { type: 'boolean', description: 'The page doesn\'t say which conversation it shows, conversationId is our best guess' },
+                workspace: nullable('string')
+            }),
+            Snapshot: object({ html: { type: 'string' }, bodyBg: { type: 'string' }, bodyColor: { type: 'string' } }),
+            Message: object({
+                index: { type: 'integer' },
+                hash: { type: 'string' },
+                role: { type: 'string', enum: ['user', 'agent'] },
+                markdown: { type: 'string' },
+                codeBlocks: list({ type: 'object', additionalProperties: true }),
+                steps: list({ type: 'object', additionalProperties: true })
+            }),
+            SendResult: object({
+                status: { type: 'string', enum: ['delivered', 'sent'], description: 'sent: submitted, not seen in the conversation yet' },
+                reason: nullable('string'),
+                duplicate: { type: 'boolean', description: 'Answered from an earlier request with the same clientMessageId' }
+            }, ['status']),
+            Brain: object({
+                conversationId: nullable('string'),
+                implementation_plan: nullable('string'),
+                task: nullable('string'),
+                walkthrough: nullable('string'),
+                artifacts: list(object({ name: { type: 'string' }, type: { type: 'string', enum: ['markdown', 'image', 'text', 'other'] }, size: { type: 'integer' }, mtime: { type: 'number' }, revisions: { type: 'integer' } }))
+            }),
+            PastConversation: object({ conversationId: { type: 'string' }, title: { type: 'string' }, task: nullable('string'), mtime: { type: 'number' }, current: { type: 'boolean' } }),
+            Changes: object({
+                cascadeId: { type: 'string' }, workspace: { type: 'string' }, root: { type: 'string' }, branch: nullable('string'), head: nullable('string'),
+                files: list({ type: 'object', additionalProperties: true })
+            }),
+            QueueEntry: object({
+                id: { type: 'string' }, text: { type: 'string' }, createdAt: { type: 'integer' }, sendAt: nullable('integer'),
+                status: { type: 'string', enum: ['queued', 'sending', 'failed'] }, error: nullable('string')
+            }),
+            HistoryEntry: object({
+                conversationId: { type: 'string' }, title: nullable('string'), project: nullable('string'),
+                firstSeen: { type: 'integer' }, lastSeen: { type: 'integer' }, messageCount: { type: 'integer' }, bytes: { type: 'integer' }
+            }),
+            SearchResult: object({
+                conversationId: { type: 'string' }, title: nullable('string'), project: nullable('string'), lastSeen: { type: 'integer' },
+                index: { type: 'integer' }, role: { type: 'string' }, snippet: { type: 'string' }
+            })
+        }
+    }
+};
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { readJson, writeJson } from './data.js';
+
+// Prompt queue
+//
+// Per-cascade list of prompts waiting to be sent. The server pops the head once
+// the agent is idle (and its send time, if any, has passed). Kept on disk so a
+// restart doesn't lose anything.
+
+const QUEUE_FILE = 'queue.json';
+const MAX_TEXT = 20000;
+
+let queues = {}; // { [cascadeId]: [{ id, text, createdAt, sendAt, status, error }] }
+
+function save() {
+    writeJson(QUEUE_FILE, queues);
+}
+
+export function loadQueues() {
+    queues = readJson(QUEUE_FILE, {});
+    // Anything caught mid-send by a crash goes back in line
+    for (const list of Object.values(queues)) {
+        list.forEach(e => { if (e.status === 'sending') e.status = 'queued'; });
+    }
+}
+
+// "HH:MM" -> next time the clock shows it (today or tomorrow), in server local time
+export function nextOccurrence(hhmm, now = new Date()) {
+    const m = String(hhmm).match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    if (!m) throw new Error(`Invalid time "${hhmm}", expected HH:MM`);
+
+    const at = new Date(now);
+    at.setHours(Number(m[1]), Number(m[2]), 0, 0);
+    if (at <= now) at.setDate(at.getDate() + 1);
+    return at.getTime();
+}
+
+export function getQueue(cascadeId) {
+    return queues[cascadeId] || [];
+}
+
+export function addEntry(cascadeId, { text, at, sendAt } = {}) {
+    text = String(text || '').trim();
+    if (!text) throw new Error('Empty prompt');
+    if (text.length > MAX_TEXT) throw new Error(`Prompt longer than ${MAX_TEXT} characters`);
+    // NaN would read as "no time set" and go out right away
+    if (!at && sendAt && !Number.isFinite(Number(sendAt))) throw new Error(`Invalid sendAt "${sendAt}", expected a timestamp in ms`);
+
+    const entry = {
+        id: crypto.randomUUID(),
+        text,
+        createdAt: Date.now(),
+        sendAt: at ? nextOccurrence(at) : (sendAt ? Number(sendAt) : null),
+        status: 'queued',
+        error: null
+    };
+    if (!queues[cascadeId]) queues[cascadeId] = [];
+    queues[cascadeId].push(entry);
+    save();
+    return entry;
+}
+
+export function removeEntry(cascadeId, entryId) {
+    const list = getQueue(cascadeId);
+    const idx = list.findIndex(e => e.id === entryId);
+    if (idx === -1) return null;
+
+    const [entry] = list.splice(idx, 1);
+    if (!list.length) delete queues[cascadeId];
+    save();
+    return entry;
+}
+
+// Reorder by id list; ids that aren't mentioned keep their relative order at the end
+export function reorder(cascadeId, ids) {
+    const list = getQueue(cascadeId);
+    const byId = new Map(list.map(e => [e.id, e]));
+    const ordered = ids.map(id => byId.get(id)).filter(Boolean);
+    const rest = list.filter(e => !ids.includes(e.id));
+    if (!list.length) return [];
+
+    queues[cascadeId] = [...ordered, ...rest];
+    save();
+    return queues[cascadeId];
+}
+
+// The entry to send now, if any. Strict order: a scheduled head holds back everything
+// behind it (that's the point of "send at 14:00 when the quota resets"). Failed
+// entries are skipped until retried or cancelled.
+export function nextReady(cascadeId, now = Date.now()) {
+    const head = getQueue(cascadeId).find(e => e.status === 'queued');
+    if (!head) return null;
+    if (head.sendAt && head.sendAt > now) return null;
+    return head;
+}
+
+export function updateEntry(cascadeId, entryId, changes) {
+    const entry = getQueue(cascadeId).find(e => e.id === entryId);
+    if (!entry) return null;
+    Object.assign(entry, changes);
+    save();
+    return entry;
+}
+
+export function cascadeIds() {
+    return Object.keys(queues);
+}
+
+// The cascade came back under another id: its prompts follow it
+export function moveQueue(fromId, toId) {
+    if (!queues[fromId]) return;
+    queues[toId] = [...(queues[toId] || []), ...queues[fromId]];
+    delete queues[fromId];
+    save();
+}
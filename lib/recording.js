@@ -0,0 +1,353 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { CDPError } from './cdp.js';
+import * as brain from './brain.js';
+
+// Recording and replay
+//
+// --record <dir> saves what the monitor reads from each window, as it reads it:
+// the raw snapshot captures, the captured CSS, the page metadata and the brain
+// files of the window's conversation. --replay <dir> plays that back through the
+// same pipeline (sanitizing, diffing, message extraction, state, the whole API)
+// with no IDE and no CDP connection, at real speed or faster. Markup changes can
+// then be reproduced, demoed and debugged from a directory.
+//
+// <dir>/recording.jsonl, one event per line, `at` in ms:
+//   { at, type: 'start', version }
+//   { at, type: 'window', window, url, title, workspace }     a window was found
+//   { at, type: 'metadata', window, metadata }                 what extractMetadata() returned
+//   { at, type: 'snapshot', window, skeleton?, chunks, bodies, signals, controls, bodyBg, bodyColor }
+//   { at, type: 'css', window, css, total }                    what captureCSS() returned
+//   { at, type: 'closed', window }
+//   { at, type: 'brain', conversationId, name, blob }          blob null: the file was deleted
+// Snapshot chunks are listed by hash, `bodies` only has the ones not recorded
+// before, and `skeleton` is left out while it doesn't change. Brain file contents
+// are stored once each in <dir>/blobs/<hash>.
+
+const FORMAT_VERSION = 1;
+const EVENTS_FILE = 'recording.jsonl';
+const MAX_BRAIN_DEPTH = 3;
+
+function digest(data) {
+    return crypto.createHash('sha1').update(data).digest('hex').slice(0, 16);
+}
+
+// --- Recording ---
+
+export class Recorder {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        this.file = path.join(this.dir, EVENTS_FILE);
+        if (fs.existsSync(this.file)) {
+            throw Object.assign(new Error(`${this.dir} already has a recording, pick another directory`), { status: 409 });
+        }
+        fs.mkdirSync(path.join(this.dir, 'blobs'), { recursive: true });
+
+        this.chunks = new Set(); // Chunk hashes already written
+        this.blobs = new Set();
+        this.windows = new Map(); // Map<cascadeId, { skeleton, metadata, conversationId, snapshot }>, to leave out what didn't change
+        this.write({ type: 'start', version: FORMAT_VERSION });
+    }
+
+    write(event) {
+        fs.appendFileSync(this.file, JSON.stringify({ at: Date.now(), ...event }) + '\n');
+    }
+
+    window(c) {
+        this.windows.set(c.id, { skeleton: null, metadata: null, conversationId: null, snapshot: null });
+        this.write({ type: 'window', window: c.id, url: c.cdp.url, title: c.metadata.windowTitle, workspace: c.metadata.workspace || null });
+        this.metadata(c);
+    }
+
+    // Also records the brain files of a conversation the first time the window shows it
+    metadata(c) {
+        const state = this.windows.get(c.id);
+        if (!state) return;
+        const { chatTitle, isActive, conversationId, url } = c.metadata;
+        const metadata = { chatTitle, isActive, conversationId, url };
+        const json = JSON.stringify(metadata);
+        if (json === state.metadata) return;
+        state.metadata = json;
+        this.write({ type: 'metadata', window: c.id, metadata });
+
+        if (conversationId && conversationId !== state.conversationId) {
+            state.conversationId = conversationId;
+            this.brain(conversationId);
+        }
+    }
+
+    snapshot(c, raw) {
+        const state = this.windows.get(c.id);
+        if (!state) return;
+
+        const bodies = {};
+        const chunks = raw.chunks.map(html => {
+            const hash = digest(html);
+            if (!this.chunks.has(hash)) {
+                this.chunks.add(hash);
+                bodies[hash] = html;
+            }
+            return hash;
+        });
+        const skeleton = raw.skeleton === state.skeleton ? undefined : raw.skeleton;
+        state.skeleton = raw.skeleton;
+
+        const { signals, controls, bodyBg, bodyColor } = raw;
+        const json = JSON.stringify({ skeleton: raw.skeleton, chunks, signals, controls, bodyBg, bodyColor });
+        if (json === state.snapshot) return; // Polled again, nothing moved
+        state.snapshot = json;
+        this.write({ type: 'snapshot', window: c.id, skeleton, chunks, bodies, signals, controls, bodyBg, bodyColor });
+    }
+
+    css(c, result) {
+        if (!this.windows.has(c.id)) return;
+        this.write({ type: 'css', window: c.id, css: result.css, total: result.total });
+    }
+
+    closed(c) {
+        if (!this.windows.delete(c.id)) return;
+        this.write({ type: 'closed', window: c.id });
+    }
+
+    // Files of a conversation's brain dir, `names` only (or all of them)
+    brain(conversationId, names = null) {
+        const dir = brain.brainPath(conversationId);
+        if (!dir || !fs.existsSync(dir)) return;
+        for (const name of names || listFiles(dir)) {
+            const file = brain.resolveArtifact(conversationId, name);
+            if (!file) continue;
+            let blob = null;
+            try {
+                if (!fs.statSync(file).isFile()) continue;
+                const data = fs.readFileSync(file);
+                blob = digest(data);
+                if (!this.blobs.has(blob)) {
+                    fs.writeFileSync(path.join(this.dir, 'blobs', blob), data);
+                    this.blobs.add(blob);
+                }
+            } catch (e) {
+                if (e.code !== 'ENOENT') continue;
+            }
+            this.write({ type: 'brain', conversationId, name, blob });
+        }
+    }
+}
+
+// Every file under `dir`, as relative names with forward slashes
+function listFiles(dir, rel = '', depth = 1) {
+    let entries;
+    try { entries = fs.readdirSync(path.join(dir, rel), { withFileTypes: true }); } catch (e) { return []; }
+    return entries.flatMap(e => {
+        const name = rel ? `${rel}/${e.name}` : e.name;
+        if (e.isDirectory()) return depth < MAX_BRAIN_DEPTH ? listFiles(dir, name, depth + 1) : [];
+        return e.isFile() ? [name] : [];
+    });
+}
+
+// --- Replay ---
+
+// Stands in for a CDPSession: the monitor reads the recording through it, and
+// everything that would act on the IDE fails, a replay is read-only
+class ReplaySession extends EventEmitter {
+    constructor(player, windowId, url) {
+        super();
+        this.player = player;
+        this.windowId = windowId;
+        this.url = url;
+        this.replayed = true;
+        this.state = 'closed';
+        this.contexts = [{ id: 1 }];
+        this.rootContextId = 1;
+        this.bindings = new Set();
+    }
+
+    get isOpen() {
+        return this.state === 'open';
+    }
+
+    async connect() {
+        this.state = 'open';
+        this.player.sessions.add(this);
+        return this;
+    }
+
+    close() {
+        this.state = 'closed';
+        this.player.sessions.delete(this);
+    }
+
+    async addBinding(name) {
+        this.bindings.add(name);
+    }
+
+    async call(method) {
+        throw new CDPError('Not available in a replay', { method });
+    }
+
+    get window() {
+        return this.player.windows.get(this.windowId) || null;
+    }
+
+    // What captureHTML(), captureCSS(), extractMetadata() and findWorkspace() would have returned now
+    recorded(kind, signature = null) {
+        const w = this.window;
+        if (!w || w.closed) return null;
+        if (kind === 'workspace') return w.workspace;
+        if (kind === 'metadata') return w.metadata && { found: true, ...w.metadata, contextId: this.rootContextId };
+        if (kind === 'snapshot') return w.snapshot;
+        if (kind === 'css') {
+            if (w.css === null) return null;
+            return signature === String(w.cssVersion) ? { unchanged: true, signature } : { css: w.css, signature: String(w.cssVersion), total: w.cssTotal };
+        }
+        return null;
+    }
+
+    // What the in-page observer would do when the DOM changes
+    changed() {
+        for (const name of this.bindings) this.emit('Runtime.bindingCalled', { name, payload: 'changed', executionContextId: 1 });
+    }
+}
+
+// Plays a recording back in time. Emits 'windows' when windows appear or go away,
+// 'styles' when a window's CSS changes and 'finished' after the last event.
+// Brain files are written to a scratch directory as they change, for the monitor
+// to read and watch like the real one.
+export class Player extends EventEmitter {
+    constructor(dir, { speed = 1 } = {}) {
+        super();
+        this.dir = path.resolve(dir);
+        this.speed = speed;
+        this.events = readEvents(path.join(this.dir, EVENTS_FILE));
+        this.brainDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ag-monitor-replay-'));
+        this.windows = new Map(); // Map<windowId, { url, title, workspace, metadata, snapshot, css, closed }>
+        this.sessions = new Set();
+        this.chunks = new Map(); // Map<hash, html>
+        this.timer = null;
+        this.position = 0;
+    }
+
+    get duration() {
+        return this.events.length ? this.events[this.events.length - 1].at - this.events[0].at : 0;
+    }
+
+    start() {
+        this.next();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.sessions.forEach(s => s.close());
+        fs.rmSync(this.brainDir, { recursive: true, force: true });
+    }
+
+    // Apply every event that's due, then sleep until the next one
+    next() {
+        const startAt = this.events[this.position]?.at;
+        while (this.position < this.events.length && this.events[this.position].at === startAt) {
+            this.apply(this.events[this.position++]);
+        }
+
+        if (this.position >= this.events.length) return this.emit('finished');
+        const delay = (this.events[this.position].at - startAt) / this.speed;
+        this.timer = setTimeout(() => this.next(), delay);
+    }
+
+    apply(event) {
+        const w = this.windows.get(event.window);
+        switch (event.type) {
+            case 'window':
+                this.windows.set(event.window, {
+                    url: event.url, title: event.title, workspace: event.workspace,
+                    metadata: null, snapshot: null, skeleton: null,
+                    css: null, cssTotal: 0, cssVersion: 0, closed: false
+                });
+                break;
+            case 'metadata': {
+                if (!w) break;
+                const first = !w.metadata;
+                w.metadata = event.metadata;
+                if (first) this.emit('windows'); // Only now can the monitor pick it up
+                break;
+            }
+            case 'snapshot': {
+                if (!w) break;
+                Object.entries(event.bodies || {}).forEach(([hash, html]) => this.chunks.set(hash, html));
+                if (event.skeleton !== undefined) w.skeleton = event.skeleton;
+                w.snapshot = {
+                    skeleton: w.skeleton,
+                    chunks: event.chunks.map(hash => this.chunks.get(hash) ?? ''),
+                    signals: event.signals,
+                    controls: event.controls,
+                    bodyBg: event.bodyBg,
+                    bodyColor: event.bodyColor
+                };
+                this.sessionsOf(event.window).forEach(s => s.changed());
+                break;
+            }
+            case 'css':
+                if (!w) break;
+                w.css = event.css;
+                w.cssTotal = event.total;
+                w.cssVersion++;
+                this.emit('styles', event.window);
+                break;
+            case 'closed':
+                if (!w) break;
+                w.closed = true;
+                this.emit('windows');
+                break;
+            case 'brain':
+                this.writeBrainFile(event);
+                break;
+        }
+    }
+
+    writeBrainFile({ conversationId, name, blob }) {
+        const dir = path.join(this.brainDir, conversationId);
+        const file = path.resolve(dir, name);
+        if (!/^[\w-]{1,128}$/.test(conversationId) || !file.startsWith(dir + path.sep)) return;
+        try {
+            if (!blob) return fs.rmSync(file, { force: true });
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.copyFileSync(path.join(this.dir, 'blobs', blob), file);
+        } catch (e) {
+            console.error(`  ⚠️  Replay: can't restore ${conversationId}/${name}: ${e.message}`);
+        }
+    }
+
+    sessionsOf(windowId) {
+        return [...this.sessions].filter(s => s.windowId === windowId);
+    }
+
+    // Open windows, shaped like /json/list entries
+    targets() {
+        return [...this.windows.entries()]
+            .filter(([, w]) => w.metadata && !w.closed)
+            .map(([id, w]) => ({ id, title: w.title, url: w.metadata?.url || '', webSocketDebuggerUrl: w.url }));
+    }
+
+    session(target) {
+        return new ReplaySession(this, target.id, target.webSocketDebuggerUrl);
+    }
+
+}
+
+function readEvents(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        throw Object.assign(new Error(`No recording at ${path.dirname(file)} (${e.code === 'ENOENT' ? `missing ${EVENTS_FILE}` : e.message})`), { status: 404 });
+    }
+    const events = text.split('\n').filter(Boolean)
+        .map(line => { try { return JSON.parse(line); } catch (e) { return null; } }) // Torn last line if the recorder was killed
+        .filter(Boolean);
+    const start = events.find(e => e.type === 'start');
+    if (start && start.version > FORMAT_VERSION) {
+        throw Object.assign(new Error(`Recording format ${start.version} is newer than this monitor understands (${FORMAT_VERSION})`), { status: 400 });
+    }
+    return events.filter(e => e.type !== 'start').sort((a, b) => a.at - b.at);
+}
@@ -0,0 +1,138 @@
+import { parse, TextNode } from 'node-html-parser';
+import { CHUNKS_MARKER } from './snapshot-diff.js';
+
+// Snapshot sanitization
+//
+// Captured HTML comes straight out of the IDE's DOM and is rendered with
+// innerHTML on the phone, in our own origin. Before it leaves the server:
+//   - elements that run or load code (script, iframe, object, ...) are dropped
+//   - on* handlers and javascript:/vbscript: URLs are dropped
+//   - workbench resources (vscode-file://, blob:, relative paths) are handed to
+//     `proxy(url)`, which points them at /asset; other schemes are dropped
+//   - CSS, inline or in <style>, gets the same url() treatment
+//   - comments are dropped, except the marker the snapshot diff splits on, and
+//     text can't turn back into markup
+// Everything else, data-ag-* tagging included, is left as it was.
+
+const DROP_ELEMENTS = new Set(['script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'meta', 'link', 'noscript', 'template', 'portal']);
+const DROP_ATTRIBUTES = new Set(['srcdoc', 'formaction', 'action', 'ping']);
+const URL_ATTRIBUTES = new Set(['src', 'href', 'xlink:href', 'poster', 'background', 'data', 'manifest', 'cite', 'longdesc', 'lowsrc', 'dynsrc']);
+const LINK_ELEMENTS = new Set(['a', 'area']); // Navigations: web links only, never assets
+
+const WEB_SCHEMES = ['http:', 'https:', 'mailto:'];
+const PROXY_SCHEMES = ['vscode-file:', 'vscode-resource:', 'vscode-webview-resource:', 'file:', 'blob:'];
+const WEBVIEW_HOSTS = /(^|\.)vscode-(cdn|resource)\.net$/i; // Webview resources come over https but only exist in the IDE
+const SAFE_DATA = /^data:(image\/(png|jpe?g|gif|webp|avif|bmp|svg\+xml)|font\/[\w.+-]+|application\/(font-[\w.+-]+|x-font-[\w.+-]+|vnd\.ms-fontobject))[;,]/i;
+
+const PARSE_OPTIONS = { comment: true, blockTextElements: { script: true, noscript: true, style: true } };
+
+function schemeOf(url) {
+    // Browsers ignore whitespace and control characters inside a scheme ("java\tscript:")
+    const match = url.replace(/[\u0000- \u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    return match ? match[1].toLowerCase() + ':' : null;
+}
+
+// What a URL in the snapshot becomes: itself, a proxied /asset path, or null (drop it)
+export function rewriteUrl(raw, { baseUrl, proxy, link = false } = {}) {
+    const url = String(raw || '').trim();
+    if (!url || url.startsWith('#')) return url;
+
+    const scheme = schemeOf(url);
+    if (scheme === 'data:') return !link && SAFE_DATA.test(url) ? url : null;
+    if (WEB_SCHEMES.includes(scheme)) {
+        try {
+            if (!WEBVIEW_HOSTS.test(new URL(url).hostname)) return url;
+        } catch (e) {
+            return null;
+        }
+    } else if (scheme && !PROXY_SCHEMES.includes(scheme)) {
+        return null; // javascript:, vbscript:, command:, ...
+    }
+
+    // A workbench resource (or a path relative to the workbench page)
+    if (link || !proxy) return null;
+    let absolute = url;
+    if (!scheme) {
+        if (!baseUrl) return null;
+        try { absolute = new URL(url, baseUrl).href; } catch (e) { return null; }
+    }
+    return proxy(absolute);
+}
+
+function rewriteSrcset(value, options) {
+    return value.split(',')
+        .map(candidate => {
+            const [url, ...descriptor] = candidate.trim().split(/\s+/);
+            const rewritten = rewriteUrl(url, options);
+            return rewritten ? [rewritten, ...descriptor].join(' ') : null;
+        })
+        .filter(Boolean)
+        .join(', ');
+}
+
+// url(...) references rewritten, imports and the old script-in-CSS hooks removed
+export function sanitizeCss(css, options = {}) {
+    if (!css) return '';
+    return String(css)
+        .replace(/@import\b[^;]*;?/gi, '')
+        .replace(/expression\s*\(/gi, 'blocked(')
+        .replace(/(-moz-binding|behavior)\s*:/gi, 'blocked:')
+        .replace(/url\(\s*(["']?)(.*?)\1\s*\)/gi, (match, quote, url) => {
+            const rewritten = rewriteUrl(url, options);
+            return rewritten === null ? 'none' : `url("${rewritten.replace(/["\\\n]/g, ch => '\\' + ch)}")`;
+        });
+}
+
+function sanitizeElement(el, options) {
+    const tag = (el.rawTagName || '').toLowerCase();
+
+    if (tag === 'style') {
+        // One text node, never re-parsed as markup. No '<' left at all (CSS reads \3c as
+        // the same character): inside <svg>/<math> a browser parses <style> as markup
+        // instead of raw text, and the text must not be able to close the tag either.
+        el.childNodes = [new TextNode(sanitizeCss(el.rawText, options).replace(/</g, '\\3c '), el)];
+        return;
+    }
+
+    for (const [name, value] of Object.entries(el.attributes)) {
+        const key = name.toLowerCase();
+        if (key.startsWith('on') || DROP_ATTRIBUTES.has(key)) {
+            el.removeAttribute(name);
+        } else if (key === 'style') {
+            const css = sanitizeCss(value, options);
+            if (css !== value) el.setAttribute(name, css);
+        } else if (key === 'srcset' || key === 'imagesrcset') {
+            el.setAttribute(name, rewriteSrcset(value, options));
+        } else if (URL_ATTRIBUTES.has(key)) {
+            const rewritten = rewriteUrl(value, { ...options, link: LINK_ELEMENTS.has(tag) });
+            if (rewritten === null) el.removeAttribute(name);
+            else if (rewritten !== value) el.setAttribute(name, rewritten);
+        } else if (/^(javascript|vbscript):/i.test(value.replace(/[\u0000- \u007f]/g, ''))) {
+            el.removeAttribute(name); // SVG <animate values="javascript:..."> and friends
+        }
+    }
+}
+
+// Options: { baseUrl, proxy(absoluteUrl) -> string }
+export function sanitizeHtml(html, options = {}) {
+    if (!html) return '';
+    const root = parse(html, PARSE_OPTIONS);
+
+    const walk = (node) => {
+        for (const child of [...node.childNodes]) {
+            // Browsers and the parser disagree on where some comments end ("--!>")
+            if (child.nodeType === 8 && child.toString() !== CHUNKS_MARKER) child.remove();
+            // Markup the parser gave up on (an unclosed <style>, say) comes back as text: keep it text
+            if (child.nodeType === 3) child.rawText = child.rawText.replace(/</g, '&lt;');
+            if (child.nodeType !== 1) continue;
+            if (DROP_ELEMENTS.has((child.rawTagName || '').toLowerCase())) {
+                child.remove();
+                continue;
+            }
+            sanitizeElement(child, options);
+            walk(child);
+        }
+    };
+    walk(root);
+    return root.toString();
+}
@@ -0,0 +1,249 @@
+// Live screen
+//
+// Fallback for UI the snapshot can't show: dialogs, terminals, the browser
+// sub-agent's page, permission prompts outside #cascade. Streams JPEG frames of
+// the whole window, or of one region of it, to subscribed clients:
+//   - window: Page.startScreencast, the browser only sends frames when it repaints
+//   - region: Page.captureScreenshot clipped to the region's box, polled
+//
+// Clients ack each frame once drawn and never have more than one in flight.
+// Frames they can't keep up with are dropped (the newest one is sent on the next
+// ack), and the share of dropped frames steers quality and frame rate: down when
+// clients fall behind, back up while they keep up.
+
+export const REGIONS = ['window', 'cascade', 'dialog', 'terminal', 'panel'];
+
+// Where each region lives in the workbench. First visible match wins.
+const REGION_SELECTORS = {
+    cascade: '#cascade',
+    dialog: '.monaco-dialog-box, [role="dialog"], .quick-input-widget, .notification-toast',
+    terminal: '.terminal-outer-container, .xterm',
+    panel: '.part.panel'
+};
+
+const QUALITY = { min: 25, start: 60, max: 80 };
+const INTERVAL = { min: 200, start: 500, max: 2000 }; // Region polling, ms
+const MAX_EVERY_NTH = 4; // Window screencast: skip up to 3 of 4 repaints
+const ADAPT_MS = 2000;
+const ACK_TIMEOUT = 5000; // A client that never acks doesn't block itself forever
+const MAX_BUFFERED = 1024 * 1024; // Socket backlog that counts as falling behind
+const MAX_WIDTH = 1600;
+
+function regionScript(region) {
+    return `(() => {
+        const el = Array.from(document.querySelectorAll(${JSON.stringify(REGION_SELECTORS[region])}))
+            .find(el => { const r = el.getBoundingClientRect(); return r.width > 0 && r.height > 0; });
+        if (!el) return null;
+        const r = el.getBoundingClientRect();
+        return { x: r.left, y: r.top, width: r.width, height: r.height };
+    })()`;
+}
+
+export class Screencast {
+    // send(ws, msg) delivers to one client; the stream stops once the last one leaves
+    constructor(cdp, { cascadeId, region = 'window', send }) {
+        this.cdp = cdp;
+        this.cascadeId = cascadeId;
+        this.region = region;
+        this.send = send;
+        this.subscribers = new Map(); // Map<ws, { inFlight, sentAt, lastSent, maxWidth }>
+        this.quality = QUALITY.start;
+        this.interval = INTERVAL.start;
+        this.everyNth = 1;
+        this.frame = 0;
+        this.latest = null; // Newest frame message, for clients that just acked
+        this.stats = { sent: 0, dropped: 0 };
+        this.running = false;
+        this.casting = null; // { quality, everyNth, maxWidth } the browser screencast runs with
+
+        this.onFrame = (params) => this.screencastFrame(params);
+        this.onReconnect = () => this.running && this.restart();
+    }
+
+    get maxWidth() {
+        const widths = [...this.subscribers.values()].map(s => s.maxWidth).filter(Boolean);
+        return Math.min(MAX_WIDTH, widths.length ? Math.max(...widths) : 1000);
+    }
+
+    // --- Subscribers ---
+
+    add(ws, { maxWidth } = {}) {
+        this.subscribers.set(ws, { inFlight: null, sentAt: 0, lastSent: 0, maxWidth: Number(maxWidth) || null });
+        if (!this.running) this.start();
+        else if (this.latest) this.deliver(ws);
+    }
+
+    remove(ws) {
+        this.subscribers.delete(ws);
+        if (!this.subscribers.size) this.stop();
+    }
+
+    ack(ws, frame) {
+        const sub = this.subscribers.get(ws);
+        if (!sub || sub.inFlight !== frame) return;
+        sub.inFlight = null;
+        if (this.latest && this.latest.frame > sub.lastSent) this.deliver(ws);
+    }
+
+    deliver(ws) {
+        const sub = this.subscribers.get(ws);
+        if (!sub || !this.latest) return;
+
+        const stuck = sub.inFlight !== null && Date.now() - sub.sentAt > ACK_TIMEOUT;
+        if ((sub.inFlight !== null && !stuck) || ws.bufferedAmount > MAX_BUFFERED) {
+            this.stats.dropped++;
+            return;
+        }
+        sub.inFlight = this.latest.frame;
+        sub.sentAt = Date.now();
+        sub.lastSent = this.latest.frame;
+        this.stats.sent++;
+        this.send(ws, this.latest);
+    }
+
+    publish(data, viewport) {
+        this.lastError = null;
+        this.latest = {
+            type: 'screen_frame',
+            cascadeId: this.cascadeId,
+            region: this.region,
+            frame: ++this.frame,
+            data,
+            viewport, // The frame's area in page CSS pixels, for mapping taps
+            quality: this.quality
+        };
+        for (const ws of this.subscribers.keys()) this.deliver(ws);
+    }
+
+    // Said once per problem, not once per poll
+    status(error) {
+        if (error === this.lastError) return;
+        this.lastError = error;
+        for (const ws of this.subscribers.keys()) {
+            this.send(ws, { type: 'screen_status', cascadeId: this.cascadeId, region: this.region, error });
+        }
+    }
+
+    // --- Capture ---
+
+    async start() {
+        this.running = true;
+        this.cdp.on('reconnected', this.onReconnect);
+        this.adaptTimer = setInterval(() => this.adapt(), ADAPT_MS);
+        if (this.region === 'window') {
+            this.cdp.on('Page.screencastFrame', this.onFrame);
+            await this.startScreencast();
+        } else {
+            this.poll();
+        }
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        clearInterval(this.adaptTimer);
+        clearTimeout(this.pollTimer);
+        this.cdp.off('reconnected', this.onReconnect);
+        this.cdp.off('Page.screencastFrame', this.onFrame);
+        if (this.casting) this.cdp.call('Page.stopScreencast').catch(() => { });
+        this.casting = null;
+    }
+
+    async restart() {
+        if (this.region === 'window') await this.startScreencast();
+    }
+
+    async startScreencast() {
+        const params = { quality: this.quality, everyNth: this.everyNth, maxWidth: this.maxWidth };
+        try {
+            if (this.casting) await this.cdp.call('Page.stopScreencast');
+            await this.cdp.call('Page.startScreencast', {
+                format: 'jpeg',
+                quality: params.quality,
+                maxWidth: params.maxWidth,
+                maxHeight: params.maxWidth * 2,
+                everyNthFrame: params.everyNth
+            });
+            // Stopped while the browser was starting: stop() found nothing to stop, so do it here
+            if (!this.running) {
+                this.casting = null;
+                await this.cdp.call('Page.stopScreencast');
+                return;
+            }
+            this.casting = params;
+        } catch (e) {
+            this.casting = null;
+            this.status(`Screencast failed: ${e.message}`);
+        }
+    }
+
+    screencastFrame({ data, metadata, sessionId }) {
+        // Ack right away so the browser keeps sending, pacing happens per client
+        this.cdp.call('Page.screencastFrameAck', { sessionId }).catch(() => { });
+        this.publish(data, { x: 0, y: 0, width: metadata.deviceWidth, height: metadata.deviceHeight });
+    }
+
+    async poll() {
+        if (!this.running) return;
+        try {
+            const res = await this.cdp.call('Runtime.evaluate', {
+                expression: regionScript(this.region),
+                returnByValue: true,
+                contextId: this.cdp.rootContextId
+            });
+            const box = res.result?.value;
+            if (!box) {
+                this.status(`Nothing to show for ${this.region}`);
+            } else {
+                const scale = Math.min(1, this.maxWidth / box.width);
+                const shot = await this.cdp.call('Page.captureScreenshot', {
+                    format: 'jpeg',
+                    quality: this.quality,
+                    clip: { ...box, scale }
+                });
+                // Unchanged screens aren't worth resending
+                if (shot.data !== this.lastShot) this.publish(shot.data, box);
+                this.lastShot = shot.data;
+            }
+        } catch (e) {
+            this.status(`Capture failed: ${e.message}`);
+        }
+        if (this.running) this.pollTimer = setTimeout(() => this.poll(), this.interval);
+    }
+
+    // Share of frames dropped in the last window decides the direction
+    adapt() {
+        const { sent, dropped } = this.stats;
+        this.stats = { sent: 0, dropped: 0 };
+        if (!sent && !dropped) return;
+
+        const dropRate = dropped / (sent + dropped);
+        if (dropRate > 0.3) {
+            this.quality = Math.max(QUALITY.min, this.quality - 10);
+            this.interval = Math.min(INTERVAL.max, Math.round(this.interval * 1.5));
+            this.everyNth = Math.min(MAX_EVERY_NTH, this.everyNth + 1);
+        } else if (dropRate < 0.05) {
+            this.quality = Math.min(QUALITY.max, this.quality + 5);
+            this.interval = Math.max(INTERVAL.min, Math.round(this.interval / 1.25));
+            this.everyNth = Math.max(1, this.everyNth - 1);
+        } else {
+            return;
+        }
+
+        const c = this.casting;
+        if (c && (c.quality !== this.quality || c.everyNth !== this.everyNth || c.maxWidth !== this.maxWidth)) this.startScreencast();
+    }
+}
+
+// A real left click at page CSS coordinates (what a tap on a frame maps to)
+export async function tap(cdp, x, y) {
+    if (![x, y].every(Number.isFinite)) throw Object.assign(new Error('x and y must be numbers'), { status: 400 });
+    const { cssLayoutViewport: viewport } = await cdp.call('Page.getLayoutMetrics');
+    if (x < 0 || y < 0 || x > viewport.clientWidth || y > viewport.clientHeight) {
+        throw Object.assign(new Error('Outside the window'), { status: 400 });
+    }
+
+    await cdp.call('Input.dispatchMouseEvent', { type: 'mouseMoved', x, y });
+    await cdp.call('Input.dispatchMouseEvent', { type: 'mousePressed', x, y, button: 'left', buttons: 1, clickCount: 1 });
+    await cdp.call('Input.dispatchMouseEvent', { type: 'mouseReleased', x, y, button: 'left', buttons: 0, clickCount: 1 });
+}
@@ -0,0 +1,51 @@
+// Snapshot patches
+//
+// captureHTML() splits the cascade into a "skeleton" (everything except the
+// message list) and "chunks" (the message list's children). Clients keep the
+// DOM they were sent and receive splice ops against the chunk list, so a new
+// token in the last message only re-sends that one message.
+
+export const CHUNKS_MARKER = '<!--ag-chunks-->';
+
+export function joinSnapshot(skeleton, chunks) {
+    return skeleton.replace(CHUNKS_MARKER, () => chunks.join(''));
+}
+
+// Diff two lists of chunk hashes into splice ops: [{ index, remove, insert: [chunkIndex...] }]
+// Ops are applied in order; indices refer to the list as it is after earlier ops.
+export function diffChunks(prev, next) {
+    let start = 0;
+    while (start < prev.length && start < next.length && prev[start] === next[start]) start++;
+
+    let prevEnd = prev.length;
+    let nextEnd = next.length;
+    while (prevEnd > start && nextEnd > start && prev[prevEnd - 1] === next[nextEnd - 1]) {
+        prevEnd--;
+        nextEnd--;
+    }
+
+    const ops = [];
+    const removed = prevEnd - start;
+    const inserted = nextEnd - start;
+
+    if (removed === inserted) {
+        // Same shape: only replace the runs that actually differ
+        let i = start;
+        while (i < prevEnd) {
+            if (prev[i] === next[i]) { i++; continue; }
+            const runStart = i;
+            while (i < prevEnd && prev[i] !== next[i]) i++;
+            ops.push({ index: runStart, remove: i - runStart, insert: range(runStart, i) });
+        }
+    } else if (removed || inserted) {
+        ops.push({ index: start, remove: removed, insert: range(start, nextEnd) });
+    }
+
+    return ops;
+}
+
+function range(from, to) {
+    const out = [];
+    for (let i = from; i < to; i++) out.push(i);
+    return out;
+}
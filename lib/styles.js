@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import { sanitizeCss } from './sanitize.js';
+import * as assets from './assets.js';
+
+// Captured styles
+//
+// Each window's CSS is pruned in the page to the rules its chat actually uses,
+// then kept here by content hash: windows with the same theme and extensions
+// share one sanitized copy, and clients see the hash as the ETag of
+// /styles/:id, so they only download styles again when they really changed.
+
+const sheets = new Map(); // Map<hash of captured CSS, { hash, css, urls, cascades: Set<cascadeId> }>
+const current = new Map(); // Map<cascadeId, hash of captured CSS>
+
+function digest(text) {
+    return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+// Store what a window captured. Returns its sheet: { hash, css } with `hash`
+// identifying the sanitized CSS clients get.
+export function update(cascadeId, captured, { baseUrl } = {}) {
+    const key = digest(captured || '');
+    let sheet = sheets.get(key);
+
+    if (!sheet) {
+        const urls = new Set();
+        const proxy = (url) => {
+            urls.add(url);
+            return assets.register(cascadeId, url);
+        };
+        const css = sanitizeCss(captured, { baseUrl, proxy });
+        sheet = { hash: digest(css), css, urls, cascades: new Set() };
+        sheets.set(key, sheet);
+    } else {
+        // Shared sheet: its fonts and icons must be servable through this window too
+        sheet.urls.forEach(url => assets.register(cascadeId, url));
+    }
+
+    if (current.get(cascadeId) !== key) {
+        release(cascadeId);
+        sheet.cascades.add(cascadeId);
+        current.set(cascadeId, key);
+    }
+    return sheet;
+}
+
+export function get(cascadeId) {
+    return sheets.get(current.get(cascadeId)) || null;
+}
+
+export function release(cascadeId) {
+    const key = current.get(cascadeId);
+    current.delete(cascadeId);
+    const sheet = sheets.get(key);
+    if (!sheet) return;
+    sheet.cascades.delete(cascadeId);
+    if (!sheet.cascades.size) sheets.delete(key);
+}
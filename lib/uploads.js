@@ -0,0 +1,60 @@
+import multer from 'multer';
+import path from 'path';
+
+// Uploads from the phone composer
+//
+// Images are pasted into the workbench chat input as real files. Small text files
+// are inlined into the message as fenced code blocks, which every model can read.
+
+export const MAX_FILES = 5;
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+export const MAX_TEXT_BYTES = 256 * 1024;
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const TEXT_EXTENSIONS = ['.txt', '.md', '.log', '.json', '.yaml', '.yml', '.csv', '.xml', '.html', '.css',
+    '.js', '.mjs', '.cjs', '.ts', '.tsx', '.jsx', '.py', '.go', '.rs', '.java', '.kt', '.rb', '.php',
+    '.c', '.h', '.cpp', '.hpp', '.cs', '.sh', '.sql', '.toml', '.ini', '.env.example', '.diff', '.patch'];
+
+function isText(file) {
+    const ext = path.extname(file.originalname).toLowerCase();
+    return file.mimetype.startsWith('text/') || file.mimetype === 'application/json' || TEXT_EXTENSIONS.includes(ext);
+}
+
+// Multer middleware: memory storage, the files are tiny and go straight into CDP
+export const uploadMiddleware = multer({
+    storage: multer.memoryStorage(),
+    limits: { files: MAX_FILES, fileSize: MAX_IMAGE_BYTES },
+    fileFilter: (req, file, cb) => {
+        if (IMAGE_TYPES.includes(file.mimetype) || isText(file)) return cb(null, true);
+        cb(Object.assign(new Error(`Unsupported file type: ${file.originalname} (${file.mimetype})`), { status: 415 }));
+    }
+}).array('files', MAX_FILES);
+
+// Split uploaded files into images to attach and text to inline.
+// Throws (with .status) when a text file is too large or not valid UTF-8.
+export function prepareUploads(text, files = []) {
+    const images = [];
+    const blocks = [];
+
+    for (const file of files) {
+        if (IMAGE_TYPES.includes(file.mimetype)) {
+            images.push({ name: file.originalname, type: file.mimetype, data: file.buffer.toString('base64') });
+            continue;
+        }
+
+        if (file.size > MAX_TEXT_BYTES) {
+            throw Object.assign(new Error(`${file.originalname} is larger than ${MAX_TEXT_BYTES / 1024} KB`), { status: 413 });
+        }
+        const content = file.buffer.toString('utf8');
+        if (content.includes('\uFFFD')) {
+            throw Object.assign(new Error(`${file.originalname} is not a UTF-8 text file`), { status: 415 });
+        }
+
+        const lang = path.extname(file.originalname).slice(1);
+        const fence = content.includes('```') ? '````' : '```';
+        blocks.push(`${file.originalname}:\n${fence}${lang}\n${content.replace(/\n$/, '')}\n${fence}`);
+    }
+
+    const message = [String(text || '').trim(), ...blocks].filter(Boolean).join('\n\n');
+    return { message, images };
+}
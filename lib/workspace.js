@@ -0,0 +1,199 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+
+// Workspace changes
+//
+// Finds the folder a window has open and reports what the agent changed in it,
+// as git sees it: modified, added, deleted and untracked files with unified
+// diffs against HEAD. Controllers can stage, unstage or revert single files.
+
+const GIT_TIMEOUT = 15000;
+const MAX_FILE_DIFF = 200 * 1024; // Per file, larger diffs are cut off
+const MAX_TOTAL_DIFF = 2 * 1024 * 1024;
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904'; // Diff base for repos without commits
+
+// Asks the workbench which folder it has open. VS Code-based windows expose their
+// configuration on window.vscode; older builds don't, then we guess from the title.
+export const WORKSPACE_SCRIPT = `(() => {
+    try {
+        const config = window.vscode?.context?.configuration?.();
+        const uri = config?.workspace?.uri || config?.folderUri || config?.workspace?.configPath;
+        if (!uri) return { folder: null };
+        return { folder: uri.fsPath || uri.path || null, scheme: uri.scheme || 'file' };
+    } catch (e) {
+        return { folder: null, error: e.message };
+    }
+})()`;
+
+// Where Antigravity remembers the folders of its windows
+function storageFiles() {
+    const home = os.homedir();
+    const roots = [
+        path.join(home, '.config', 'Antigravity'),
+        path.join(home, 'Library', 'Application Support', 'Antigravity'),
+        process.env.APPDATA ? path.join(process.env.APPDATA, 'Antigravity') : null
+    ].filter(Boolean);
+    return roots.map(r => path.join(r, 'User', 'globalStorage', 'storage.json'));
+}
+
+function uriToPath(uri) {
+    try {
+        return uri.startsWith('file://') ? fileURLToPath(uri) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Folders of recently open windows, from the IDE's storage and AG_MONITOR_WORKSPACES
+export function knownFolders() {
+    const folders = [];
+    for (const file of storageFiles()) {
+        try {
+            const storage = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const windows = storage.windowsState || {};
+            const uris = [
+                windows.lastActiveWindow?.folder,
+                ...(windows.openedWindows || []).map(w => w.folder),
+                ...(storage.backupWorkspaces?.folders || []).map(f => f.folderUri)
+            ];
+            uris.filter(Boolean).map(uriToPath).filter(Boolean).forEach(f => folders.push(f));
+        } catch (e) { }
+    }
+    (process.env.AG_MONITOR_WORKSPACES || '').split(path.delimiter).filter(Boolean).forEach(f => folders.push(path.resolve(f)));
+    return [...new Set(folders)];
+}
+
+// Best guess at a window's folder: what the page says, else a known folder named like the project
+export function resolveWorkspace({ pageFolder, projectName } = {}) {
+    if (pageFolder && process.platform === 'win32') pageFolder = pageFolder.replace(/^\/([a-zA-Z]:)/, '$1'); // URI path "/c:/..."
+    if (pageFolder && fs.existsSync(pageFolder)) return pageFolder;
+    if (!projectName) return null;
+    return knownFolders().find(f => path.basename(f) === projectName && fs.existsSync(f)) || null;
+}
+
+// --- Git ---
+
+// Paths come from git status, so from file names anyone can pick: never read them as
+// pathspec magic (a file named ":(glob)*" is that file, not every file)
+function git(cwd, args, { okCodes = [0] } = {}) {
+    return new Promise((resolve, reject) => {
+        execFile('git', ['--literal-pathspecs', ...args], { cwd, timeout: GIT_TIMEOUT, maxBuffer: 32 * 1024 * 1024 }, (err, stdout, stderr) => {
+            const code = err ? (typeof err.code === 'number' ? err.code : -1) : 0;
+            if (!okCodes.includes(code)) {
+                return reject(Object.assign(new Error((stderr || err?.message || '').trim() || `git ${args[0]} failed`), { status: 500 }));
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+export async function repoRoot(folder) {
+    try {
+        return (await git(folder, ['rev-parse', '--show-toplevel'])).trim();
+    } catch (e) {
+        throw Object.assign(new Error('Workspace is not a git repository'), { status: 409 });
+    }
+}
+
+// `git status --porcelain -z` -> [{ path, from, index, worktree }]
+function parseStatus(out) {
+    const parts = out.split('\0');
+    const files = [];
+    for (let i = 0; i < parts.length; i++) {
+        const entry = parts[i];
+        if (entry.length < 4) continue;
+        const file = { index: entry[0], worktree: entry[1], path: entry.slice(3), from: null };
+        if (file.index === 'R' || file.index === 'C') file.from = parts[++i]; // Renames carry the old path next
+        files.push(file);
+    }
+    return files;
+}
+
+function describeStatus({ index, worktree }) {
+    if (index === '?') return 'untracked';
+    if (index === 'A') return 'added';
+    if (index === 'R') return 'renamed';
+    if (index === 'D' || worktree === 'D') return 'deleted';
+    if (index === 'U' || worktree === 'U') return 'conflicted';
+    return 'modified';
+}
+
+function countLines(diff) {
+    let additions = 0, deletions = 0;
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('+') && !line.startsWith('+++')) additions++;
+        else if (line.startsWith('-') && !line.startsWith('---')) deletions++;
+    }
+    return { additions, deletions };
+}
+
+// Every changed file in the repo with its diff against HEAD (staged and unstaged together)
+export async function getChanges(folder) {
+    const root = await repoRoot(folder);
+    const [statusOut, branchOut, headOut] = await Promise.all([
+        git(root, ['status', '--porcelain=v1', '-z', '--untracked-files=all']),
+        git(root, ['branch', '--show-current']).catch(() => ''),
+        git(root, ['rev-parse', '--short', 'HEAD']).catch(() => '')
+    ]);
+    const base = headOut.trim() ? 'HEAD' : EMPTY_TREE;
+
+    let budget = MAX_TOTAL_DIFF;
+    const files = [];
+    for (const entry of parseStatus(statusOut)) {
+        const status = describeStatus(entry);
+        let diff = '';
+        if (budget > 0) {
+            diff = status === 'untracked'
+                ? await git(root, ['diff', '--no-color', '--no-index', '--', '/dev/null', entry.path], { okCodes: [0, 1] })
+                : await git(root, ['diff', '--no-color', '-M', base, '--', ...(entry.from ? [entry.from] : []), entry.path]);
+        }
+
+        const truncated = diff.length > MAX_FILE_DIFF || diff.length > budget || budget <= 0;
+        if (truncated) diff = diff.slice(0, Math.max(0, Math.min(MAX_FILE_DIFF, budget)));
+        budget -= diff.length;
+
+        files.push({
+            path: entry.path,
+            from: entry.from,
+            status,
+            staged: entry.index !== ' ' && entry.index !== '?',
+            unstaged: entry.worktree !== ' ',
+            binary: /^Binary files /m.test(diff),
+            truncated,
+            ...countLines(diff),
+            diff
+        });
+    }
+
+    return { root, branch: branchOut.trim() || null, head: headOut.trim() || null, files };
+}
+
+// stage | unstage | revert one file. Only paths git currently reports as changed
+// are accepted, so this can't be pointed at arbitrary files.
+export async function applyChange(folder, action, filePath) {
+    const root = await repoRoot(folder);
+    const entry = parseStatus(await git(root, ['status', '--porcelain=v1', '-z', '--untracked-files=all']))
+        .find(f => f.path === filePath);
+    if (!entry) throw Object.assign(new Error('File has no changes'), { status: 404 });
+    const untracked = entry.index === '?';
+
+    if (action === 'stage') {
+        await git(root, ['add', '--', filePath]);
+    } else if (action === 'unstage') {
+        if (untracked) throw Object.assign(new Error('File is not staged'), { status: 400 });
+        await git(root, ['restore', '--staged', '--', filePath]);
+    } else if (action === 'revert') {
+        if (untracked) await git(root, ['clean', '-f', '--', filePath]);
+        else if (entry.index === 'A') await git(root, ['rm', '-f', '--', filePath]); // New file, never committed
+        else if (entry.from) {
+            // Renamed: drop the new name, bring back the old one
+            await git(root, ['rm', '-f', '--', filePath]);
+            await git(root, ['restore', '--source=HEAD', '--staged', '--worktree', '--', entry.from]);
+        } else await git(root, ['restore', '--source=HEAD', '--staged', '--worktree', '--', filePath]);
+    } else {
+        throw Object.assign(new Error(`Unknown action: ${action}`), { status: 400 });
+    }
+}
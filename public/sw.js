@@ -0,0 +1,103 @@
+// Service worker: shows Web Push notifications sent by the monitor, and keeps
+// the app and the last thing each chat showed available offline:
+//   - the app shell (page, markdown parser, icons): network first, cached copy offline
+//   - read-only API data (snapshots, styles, brain, history, ...): same
+//   - /asset files: cache first, their URLs never change content
+// The page itself adds the latest streamed snapshot of a chat to DATA_CACHE.
+
+const SHELL_CACHE = 'ag-shell-v1';
+const DATA_CACHE = 'ag-data';
+const ASSET_CACHE = 'ag-assets';
+const MAX_ASSETS = 500;
+
+const SHELL = ['/', '/index.html', '/vendor/marked.js', '/manifest.webmanifest', '/icons/icon-192.png', '/icons/icon-512.png'];
+const DATA_PATHS = /^\/(cascades|snapshot|messages|styles|brain|conversations|changes|history|queue)(\/|$)/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(SHELL))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('ag-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(SHELL_CACHE, request, '/'));
+    } else if (SHELL.includes(url.pathname)) {
+        event.respondWith(networkFirst(SHELL_CACHE, request, url.pathname));
+    } else if (url.pathname.startsWith('/asset/')) {
+        event.respondWith(cacheFirst(request));
+    } else if (DATA_PATHS.test(url.pathname)) {
+        event.respondWith(networkFirst(DATA_CACHE, request, dataKey(url)));
+    }
+});
+
+// Cache-busting parameters (?t=...) would give every response its own entry
+function dataKey(url) {
+    const key = new URL(url);
+    key.searchParams.delete('t');
+    return key.pathname + key.search;
+}
+
+async function networkFirst(cacheName, request, key) {
+    const cache = await caches.open(cacheName);
+    try {
+        const res = await fetch(request);
+        if (res.status === 401) await caches.delete(DATA_CACHE); // Unpaired: don't keep its chats on the device
+        else if (res.ok) await cache.put(key, res.clone());
+        return res;
+    } catch (e) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(ASSET_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const res = await fetch(request);
+    if (res.ok) {
+        await cache.put(request, res.clone());
+        const keys = await cache.keys(); // Oldest first
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_ASSETS)).map(key => cache.delete(key)));
+    }
+    return res;
+}
+
+self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+    event.waitUntil(self.registration.showNotification(data.title || 'Antigravity', {
+        body: data.message || '',
+        tag: data.cascadeId || 'ag-monitor', // One notification per chat, newer replaces older
+        renotify: true,
+        data
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = `/#cascade=${event.notification.data?.cascadeId || ''}`;
+
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((list) => {
+        const client = list[0];
+        if (client) {
+            client.postMessage({ type: 'open_cascade', cascadeId: event.notification.data?.cascadeId });
+            return client.focus();
+        }
+        return self.clients.openWindow(url);
+    }));
+});
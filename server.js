@@ -8,17 +8,92 @@ import { dirname, join } from 'path';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
+import * as auth from './lib/auth.js';
+import { CDPSession } from './lib/cdp.js';
+import { CHUNKS_MARKER, joinSnapshot, diffChunks } from './lib/snapshot-diff.js';
+import { extractMessages, diffMessages, hasImage } from './lib/messages.js';
+import { deriveState, describeTransition } from './lib/agent-state.js';
+import * as notify from './lib/notify.js';
+import * as queue from './lib/queue.js';
+import * as history from './lib/history.js';
+import * as brain from './lib/brain.js';
+import * as workspace from './lib/workspace.js';
+import * as assets from './lib/assets.js';
+import * as styles from './lib/styles.js';
+import * as settings from './lib/config.js';
+import * as api from './lib/api.js';
+import { OPENAPI } from './lib/openapi.js';
+import { Screencast, REGIONS, tap } from './lib/screencast.js';
+import { Recorder, Player } from './lib/recording.js';
+import { sanitizeHtml } from './lib/sanitize.js';
+import { uploadMiddleware, prepareUploads } from './lib/uploads.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const PORTS = [9000, 9001, 9002, 9003];
-const DISCOVERY_INTERVAL = 10000;
-const POLL_INTERVAL = 3000;
+// Endpoints, target filters, intervals and the brain dir come from lib/config.js
+const STYLES_INTERVAL = 5000; // Theme switches and lazily loaded stylesheets don't touch #cascade, so poll
+const OBSERVER_BINDING = '__agMonitorNotify';
+const OBSERVER_BATCH_MS = 150;
+const STATE_SETTLE_MS = 2000; // A state must hold this long before we notify about it
+const QUEUE_TICK = 15000;
+const QUEUE_MIN_GAP = 30000; // After sending, give the agent time to pick it up before sending more
+const DELIVERY_TIMEOUT = 10000; // How long to wait for a sent message to show up as a user turn
+const SENT_IDS_TTL = 10 * 60 * 1000; // How long a clientMessageId is remembered, so outbox retries aren't sent twice
+
+// Buttons the phone may press. Anything else in the snapshot stays inert.
+const CLICKABLE_KINDS = ['accept', 'reject', 'run', 'continue'];
+
+// In-page classifier shared by capture (tagging) and /click (re-checking the live element)
+const CLASSIFY_BUTTON = `(el) => {
+    const label = (el.getAttribute('aria-label') || el.textContent || '').replace(/\\s+/g, ' ').trim();
+    const text = label.toLowerCase();
+    if (!text || text.length > 40) return null;
+    let kind = null;
+    if (/^(accept|approve|allow|apply)\\b/.test(text)) kind = 'accept';
+    else if (/^(reject|deny|decline|discard)\\b/.test(text)) kind = 'reject';
+    else if (/^(run|execute)\\b/.test(text)) kind = 'run';
+    else if (/^(continue|proceed|resume)\\b/.test(text)) kind = 'continue';
+    if (!kind || !${JSON.stringify(CLICKABLE_KINDS)}.includes(kind)) return null;
+    return { kind, label };
+}`;
+
+// Agent controls (/control): what each action needs, and the modes the picker offers
+const CONTROL_ACTIONS = ['stop', 'set_model', 'set_mode', 'new_conversation', 'list_models'];
+const AGENT_MODES = ['planning', 'fast'];
+
+// In-page lookup of the chat's own controls, shared by capture (reporting the current
+// model and mode) and /control (driving them). Pickers are searched outward from the
+// chat input so a model name mentioned in a message never matches.
+const FIND_CONTROLS = `(root) => {
+    const label = (el) => (el.getAttribute('aria-label') || el.textContent || '').replace(/\\s+/g, ' ').trim();
+    const SELECTOR = 'button, [role="button"], [role="combobox"], [aria-haspopup]';
+    const editor = root.querySelector('[contenteditable="true"], textarea');
+    const near = (test) => {
+        for (let el = editor, depth = 0; el && depth < 6; el = el.parentElement, depth++) {
+            const hit = Array.from(el.querySelectorAll(SELECTOR)).find(test);
+            if (hit) return hit;
+        }
+        return null;
+    };
+    const buttons = Array.from(root.querySelectorAll(SELECTOR));
+    return {
+        label,
+        model: near(b => /(gemini|claude|gpt|sonnet|opus|haiku)/i.test(label(b)) && label(b).length < 60),
+        mode: near(b => /^(planning|fast)\\b/i.test(label(b))),
+        stop: buttons.find(b => /^(stop|cancel)( generating| generation)?$/i.test(label(b)) || !!b.querySelector('.codicon-debug-stop, .codicon-stop-circle')),
+        newChat: buttons.find(b => /^(new (conversation|chat|agent)|start new)/i.test(label(b)))
+    };
+}`;
 
 // Application State
-let cascades = new Map(); // Map<cascadeId, { id, cdp: { ws, contexts, rootContextId }, metadata, snapshot, snapshotHash }>
+let cascades = new Map(); // Map<cascadeId, { id, cdp: { ws, contexts, rootContextId }, metadata, snapshot, snapshotParts, snapshotHash, messages }>
 let wss = null;
+const sentMessages = new Map(); // Map<clientMessageId, { at, result: Promise }>
+const screencasts = new Map(); // Map<"cascadeId:region", Screencast>, shared by the clients watching it
+const events = new api.EventStream({ resolveCascadeId }); // /api/v1/events subscribers
+let recorder = null; // --record: Recorder writing what's read from the windows
+let player = null; // --replay: Player standing in for the windows
 
 // --- Helpers ---
 
@@ -53,48 +128,112 @@ function getJson(url) {
 
 // --- CDP Logic ---
 
-async function connectCDP(url) {
-    const ws = new WebSocket(url);
-    await new Promise((resolve, reject) => {
-        ws.on('open', resolve);
-        ws.on('error', reject);
-    });
-
-    let idCounter = 1;
-    const call = (method, params) => new Promise((resolve, reject) => {
-        const id = idCounter++;
-        const handler = (msg) => {
-            const data = JSON.parse(msg);
-            if (data.id === id) {
-                ws.off('message', handler);
-                if (data.error) reject(data.error);
-                else resolve(data.result);
-            }
+// Installs a MutationObserver on #cascade that pings the server through a CDP binding.
+// Notifications are batched in-page so a streaming answer fires at most every OBSERVER_BATCH_MS.
+async function installObserver(c) {
+    const cdp = c.cdp;
+    if (!cdp.rootContextId) return false;
+    if (cdp.replayed) { // The recording says when the chat changed
+        await cdp.addBinding(OBSERVER_BINDING);
+        c.observer = { contextId: cdp.rootContextId };
+        return true;
+    }
+
+    const SCRIPT = `(() => {
+        const BINDING = '${OBSERVER_BINDING}';
+        if (typeof window[BINDING] !== 'function') return { ok: false, reason: 'binding missing' };
+        
+        // Already installed by a previous connection: just re-check the target
+        if (window.__agMonitorObserver) {
+            window.__agMonitorObserver.check();
+            return { ok: true };
+        }
+        
+        let target = null;
+        let timer = null;
+        const fire = () => {
+            if (timer) return;
+            timer = setTimeout(() => {
+                timer = null;
+                // Look the binding up each time, it's replaced when the server reconnects
+                try { window[BINDING]('changed'); } catch (e) {}
+            }, ${OBSERVER_BATCH_MS});
+        };
+        
+        // Our own data-ag-* tagging isn't a change worth reporting
+        const observer = new MutationObserver((mutations) => {
+            if (mutations.some(m => !(m.type === 'attributes' && m.attributeName.startsWith('data-ag-')))) fire();
+        });
+        
+        // #cascade can be swapped out when switching conversations, follow it
+        const check = () => {
+            const cascade = document.getElementById('cascade');
+            if (cascade === target) return;
+            observer.disconnect();
+            target = cascade;
+            if (cascade) observer.observe(cascade, { childList: true, subtree: true, characterData: true, attributes: true });
+            fire();
         };
-        ws.on('message', handler);
-        ws.send(JSON.stringify({ id, method, params }));
+        
+        check();
+        window.__agMonitorObserver = { check, interval: setInterval(check, 2000) };
+        return { ok: true };
+    })()`;
+
+    try {
+        if (!cdp.bindings.has(OBSERVER_BINDING)) await cdp.addBinding(OBSERVER_BINDING);
+        const res = await cdp.call("Runtime.evaluate", { expression: SCRIPT, returnByValue: true, contextId: cdp.rootContextId });
+        if (res.result?.value?.ok) {
+            c.observer = { contextId: cdp.rootContextId };
+            console.log(`  👀 Watching ${c.metadata.chatTitle} for changes`);
+            return true;
+        }
+        if (res.result?.value?.reason) console.log(`  ⚠️  Observer not installed: ${res.result.value.reason}`);
+    } catch (e) {
+        console.log(`  ⚠️  Observer not installed: ${e.message}`);
+    }
+    c.observer = null;
+    return false;
+}
+
+// Hook the CDP events that drive a cascade: observer pings, the context it lives in
+// going away, and the session dropping / coming back
+function watchCascade(c) {
+    c.cdp.on('state', (state) => {
+        if (state === 'reconnecting') console.log(`  🔁 Lost ${c.metadata.chatTitle}, reconnecting...`);
+        broadcastCascadeList();
     });
 
-    const contexts = [];
-    ws.on('message', (msg) => {
-        try {
-            const data = JSON.parse(msg);
-            if (data.method === 'Runtime.executionContextCreated') {
-                contexts.push(data.params.context);
-            } else if (data.method === 'Runtime.executionContextDestroyed') {
-                const idx = contexts.findIndex(c => c.id === data.params.executionContextId);
-                if (idx !== -1) contexts.splice(idx, 1);
-            }
-        } catch (e) { }
+    c.cdp.on('reconnected', async () => {
+        console.log(`  🔌 Reconnected to ${c.metadata.chatTitle}`);
+        c.observer = null;
+        const meta = await extractMetadata(c.cdp);
+        if (!meta) return; // discover() will retry
+        c.cdp.rootContextId = meta.contextId;
+        await installObserver(c);
+        refreshSnapshot(c);
+        refreshStyles(c);
     });
 
-    await call("Runtime.enable", {});
-    await new Promise(r => setTimeout(r, 500)); // give time for contexts to load
+    c.cdp.on('Runtime.bindingCalled', (params) => {
+        if (params.name === OBSERVER_BINDING) refreshSnapshot(c);
+    });
 
-    return { ws, call, contexts, rootContextId: null };
+    const observerDied = () => {
+        if (!c.observer) return;
+        console.log(`  💤 Observer lost for ${c.metadata.chatTitle}, polling until reinstalled`);
+        c.observer = null;
+    };
+    c.cdp.on('Runtime.executionContextDestroyed', (params) => {
+        if (params.executionContextId === c.observer?.contextId) observerDied();
+    });
+    c.cdp.on('Runtime.executionContextsCleared', observerDied);
+    c.cdp.on('disconnected', observerDied);
 }
 
 async function extractMetadata(cdp) {
+    if (cdp.replayed) return cdp.recorded('metadata');
+
     const SCRIPT = `(() => {
         const cascade = document.getElementById('cascade');
         if (!cascade) return { found: false, reason: 'no cascade element' };
@@ -176,23 +315,92 @@ async function extractMetadata(cdp) {
     return null;
 }
 
-async function captureCSS(cdp) {
+// Captures the stylesheets, pruned to rules that match something in #cascade.
+// Rules that only match its ancestors (.monaco-workbench and friends) keep their
+// custom properties, moved onto #cascade, since that's where the theme lives.
+// Returns { unchanged: true } when neither the stylesheets nor the kinds of
+// elements in the chat changed since `signature`.
+async function captureCSS(cdp, signature = null) {
+    if (cdp.replayed) return cdp.recorded('css', signature);
+
     const SCRIPT = `(() => {
-        // Gather CSS and namespace it basic way to prevent leaks
-        let css = '';
-        for (const sheet of document.styleSheets) {
-            try { 
-                for (const rule of sheet.cssRules) {
-                    let text = rule.cssText;
-                    // Naive scoping: replace body/html with #cascade locator
-                    // This prevents the monitored app's global backgrounds from overriding our monitor's body
-                    text = text.replace(/(^|[\\s,}])body(?=[\\s,{])/gi, '$1#cascade');
-                    text = text.replace(/(^|[\\s,}])html(?=[\\s,{])/gi, '$1#cascade');
-                    css += text + '\\n'; 
+        const cascade = document.getElementById('cascade');
+        if (!cascade) return { error: 'cascade not found' };
+        
+        const hash = (str) => {
+            let h = 0;
+            for (let i = 0; i < str.length; i++) h = ((h << 5) - h + str.charCodeAt(i)) | 0;
+            return h.toString(36);
+        };
+        
+        // What pruning depends on: every sheet, and the tags and classes in the chat
+        const sheets = Array.from(document.styleSheets);
+        const sheetSig = sheets.map(sheet => {
+            let rules = -1;
+            try { rules = sheet.cssRules.length; } catch (e) { }
+            const node = sheet.ownerNode;
+            return (sheet.href || '') + ':' + rules + ':' + sheet.disabled + ':' + (node?.tagName === 'STYLE' ? hash(node.textContent) : '');
+        }).join('|');
+        const kinds = new Set();
+        cascade.querySelectorAll('*').forEach(el => {
+            kinds.add(el.tagName);
+            el.classList.forEach(cls => kinds.add('.' + cls));
+        });
+        const signature = hash(sheetSig) + '-' + hash(Array.from(kinds).sort().join(' '));
+        if (signature === ${JSON.stringify(signature)}) return { unchanged: true, signature };
+        
+        // Interaction states and pseudo-elements never match a static query, test without them
+        const DYNAMIC = /::?(hover|active|focus-visible|focus-within|focus|visited|target|before|after|placeholder|selection|marker|first-line|first-letter|backdrop|-webkit-[\\w-]+|-moz-[\\w-]+)(?![\\w-])/g;
+        const ancestors = [];
+        for (let el = cascade.parentElement; el; el = el.parentElement) ancestors.push(el);
+        
+        // Naive scoping: replace body/html with #cascade locator
+        // This prevents the monitored app's global backgrounds from overriding our monitor's body
+        const scope = (text) => text
+            .replace(/(^|[\\s,}])body(?=[\\s,{])/gi, '$1#cascade')
+            .replace(/(^|[\\s,}])html(?=[\\s,{])/gi, '$1#cascade');
+        
+        const seen = new Set();
+        const variables = [];
+        let total = 0;
+        const prune = (rules) => {
+            let out = '';
+            for (const rule of rules) {
+                const text = rule.cssText;
+                total += text.length;
+                if (rule.selectorText !== undefined) {
+                    const selector = scope(rule.selectorText).replace(DYNAMIC, '') || '*';
+                    let used = true; // A selector the engine can't test is kept
+                    try { used = cascade.matches(selector) || !!cascade.querySelector(selector); } catch (e) { }
+                    if (used) {
+                        out += scope(text) + '\\n';
+                    } else if (ancestors.some(a => { try { return a.matches(selector); } catch (e) { return false; } })) {
+                        for (const prop of rule.style) {
+                            if (prop.startsWith('--')) variables.push(prop + ': ' + rule.style.getPropertyValue(prop));
+                        }
+                    }
+                } else if (rule.cssRules && !(rule instanceof CSSKeyframesRule)) {
+                    // @media, @supports, @layer, @container: keep the ones with something left inside
+                    const inner = prune(rule.cssRules);
+                    if (inner) out += text.slice(0, text.indexOf('{')) + '{\\n' + inner + '}\\n';
+                } else {
+                    out += text + '\\n'; // @font-face, @keyframes, @property, ...
                 }
-            } catch (e) { }
+            }
+            return out;
+        };
+        
+        let css = '';
+        for (const sheet of sheets) {
+            let text = '';
+            try { text = prune(sheet.cssRules); } catch (e) { }
+            // The same stylesheet is often loaded twice (workbench and extension)
+            if (!text || seen.has(text)) continue;
+            seen.add(text);
+            css += text;
         }
-        return { css };
+        if (variables.length) css = '#cascade {\\n' + variables.join(';\\n') + ';\\n}\\n' + css;
+        return { css, signature, total };
     })()`;
 
     const contextId = cdp.rootContextId;
@@ -204,24 +412,77 @@ async function captureCSS(cdp) {
             returnByValue: true,
             contextId: contextId
         });
-        return result.result?.value?.css || '';
-    } catch (e) { return ''; }
+        const value = result.result?.value;
+        return value && !value.error ? value : null;
+    } catch (e) { return null; }
 }
 
 async function captureHTML(cdp) {
+    if (cdp.replayed) {
+        const value = cdp.recorded('snapshot');
+        return value && { ...value, html: joinSnapshot(value.skeleton, value.chunks) };
+    }
+
     const SCRIPT = `(() => {
         const cascade = document.getElementById('cascade');
         if (!cascade) return { error: 'cascade not found' };
         
+        // Tag allow-listed action buttons on the live DOM so /click can find them again.
+        // Ids are kept on the element, so they stay stable across captures.
+        const classify = ${CLASSIFY_BUTTON};
+        cascade.querySelectorAll('button, [role="button"]').forEach(el => {
+            const info = el.disabled ? null : classify(el);
+            if (!info) {
+                el.removeAttribute('data-ag-click');
+                el.removeAttribute('data-ag-kind');
+                return;
+            }
+            if (!el.dataset.agClick) {
+                window.__agClickSeq = (window.__agClickSeq || 0) + 1;
+                el.dataset.agClick = 'c' + window.__agClickSeq;
+            }
+            if (el.dataset.agKind !== info.kind) el.dataset.agKind = info.kind;
+        });
+        
         const clone = cascade.cloneNode(true);
         // Remove input box to keep snapshot clean
         const input = clone.querySelector('[contenteditable="true"]')?.closest('div[id^="cascade"] > div');
         if (input) input.remove();
         
+        // The element with the most children is the message list; its children become
+        // the chunks clients patch individually, the rest is the skeleton
+        let list = clone;
+        clone.querySelectorAll('*').forEach(el => {
+            if (el.children.length > list.children.length) list = el;
+        });
+        const chunks = Array.from(list.children).map(el => el.outerHTML);
+        list.setAttribute('data-ag-chunks', '');
+        list.innerHTML = '';
+        list.appendChild(document.createComment('${CHUNKS_MARKER.slice(4, -3)}'));
+        
         const bodyStyles = window.getComputedStyle(document.body);
+        
+        // Read off the live DOM (input area included) for agent state detection
+        const buttonText = (el) => (el.getAttribute('aria-label') || el.getAttribute('title') || el.textContent || '').trim().toLowerCase();
+        const signals = {
+            stop: Array.from(cascade.querySelectorAll('button, [role="button"]')).some(b =>
+                /^(stop|cancel)( generating| generation)?$/.test(buttonText(b)) || !!b.querySelector('.codicon-debug-stop, .codicon-stop-circle')),
+            busy: !!cascade.querySelector('[aria-busy="true"], [class*="animate-spin"], [class*="spinner"]'),
+            approvals: cascade.querySelectorAll('[data-ag-kind]').length,
+            error: !!cascade.querySelector('[role="alert"], [class*="error-message"], [class*="errorMessage"]')
+        };
+
+        const found = (${FIND_CONTROLS})(cascade);
+        const controls = {
+            model: found.model ? found.label(found.model) : null,
+            mode: found.mode ? found.label(found.mode).split(' ')[0] : null
+        };
 
         return {
-            html: clone.outerHTML,
+            skeleton: clone.outerHTML,
+            chunks,
+            signals,
+            controls,
             bodyBg: bodyStyles.backgroundColor,
             bodyColor: bodyStyles.color
         };
@@ -236,157 +497,403 @@ async function captureHTML(cdp) {
             returnByValue: true,
             contextId: contextId
         });
-        if (result.result?.value && !result.result.value.error) {
-            return result.result.value;
+        const value = result.result?.value;
+        if (value && !value.error) {
+            return { ...value, html: joinSnapshot(value.skeleton, value.chunks) };
         }
     } catch (e) { }
     return null;
 }
 
-// Brain Artifact Helpers
+// Nothing from the IDE reaches a phone unsanitized: scripts and handlers go,
+// workbench resources are rewritten to /asset (see lib/sanitize.js)
+function assetOptions(c) {
+    return { baseUrl: c.metadata.url, proxy: (url) => assets.register(c.id, url) };
+}
+
+// Sanitized parts are cached by their raw HTML, so a streaming reply only
+// re-sanitizes the message that's growing
+function sanitizeCapture(c, snap) {
+    const options = assetOptions(c);
+    const seen = new Map();
+    const clean = (html) => {
+        const out = c.sanitized.get(html) ?? sanitizeHtml(html, options);
+        seen.set(html, out);
+        return out;
+    };
+    const skeleton = clean(snap.skeleton);
+    const chunks = snap.chunks.map(clean);
+    c.sanitized = seen;
+    return { ...snap, skeleton, chunks, html: joinSnapshot(skeleton, chunks) };
+}
 
-function getMostRecentBrainDir() {
+// --- Main App Logic ---
+
+let connectErrors = new Map(); // Map<wsUrl, message>, so a dead target logs once, not every cycle
+const LOOPBACK = /^(localhost|127\.\d+\.\d+\.\d+|\[::1\])$/i;
+
+// Behind a tunnel or proxy, a remote window can report its socket on localhost:
+// point it back at the endpoint it was found on
+function targetSocketUrl(target, { host, port }) {
     try {
-        const userHome = os.homedir();
-        const brainBasePath = path.join(userHome, '.gemini', 'antigravity', 'brain');
-        
-        if (!fs.existsSync(brainBasePath)) return null;
-        
-        const entries = fs.readdirSync(brainBasePath, { withFileTypes: true });
-        const dirs = entries
-            .filter(e => e.isDirectory())
-            .filter(e => e.name.match(/^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/))
-            .map(e => {
-                const dirPath = path.join(brainBasePath, e.name);
-                const stats = fs.statSync(dirPath);
-                return { name: e.name, mtime: stats.mtime };
-            })
-            .sort((a, b) => b.mtime - a.mtime); // Most recent first
-        
-        return dirs.length > 0 ? dirs[0].name : null;
+        const url = new URL(target.webSocketDebuggerUrl);
+        if (LOOPBACK.test(url.hostname) && !LOOPBACK.test(host)) url.host = `${host}:${port}`;
+        return url.href;
     } catch (e) {
-        console.error('Error finding recent brain dir:', e.message);
-        return null;
+        return target.webSocketDebuggerUrl;
     }
 }
 
-function readBrainArtifacts(conversationId) {
-    if (!conversationId) return null;
-    
-    // Construct path: ~/.gemini/antigravity/brain/{id}
-    const userHome = os.homedir();
-    const brainPath = path.join(userHome, '.gemini', 'antigravity', 'brain', conversationId);
-    
-    const artifacts = {
-        implementation_plan: null,
-        task: null,
-        walkthrough: null
-    };
-    
-    try {
-        const planPath = path.join(brainPath, 'implementation_plan.md');
-        if (fs.existsSync(planPath)) artifacts.implementation_plan = fs.readFileSync(planPath, 'utf8');
-    } catch (e) {}
-    
-    try {
-        const taskPath = path.join(brainPath, 'task.md');
-        if (fs.existsSync(taskPath)) artifacts.task = fs.readFileSync(taskPath, 'utf8');
-    } catch (e) {}
-    
+// Coalesce like refreshSnapshot(): a call while discovering runs exactly one more
+// pass afterwards, so two passes never connect to the same new window
+let discovering = false;
+let discoverQueued = false;
+async function discover() {
+    if (discovering) {
+        discoverQueued = true;
+        return;
+    }
+    discovering = true;
     try {
-        const walkthroughPath = path.join(brainPath, 'walkthrough.md');
-        if (fs.existsSync(walkthroughPath)) artifacts.walkthrough = fs.readFileSync(walkthroughPath, 'utf8');
-    } catch (e) {}
-    
-    return artifacts;
+        await discoverTargets();
+    } finally {
+        discovering = false;
+        if (discoverQueued) {
+            discoverQueued = false;
+            discover();
+        }
+    }
 }
 
-// --- Main App Logic ---
-
-async function discover() {
+async function discoverTargets() {
     // 1. Find all targets
-    const allTargets = [];
-    await Promise.all(PORTS.map(async (port) => {
-        const list = await getJson(`http://127.0.0.1:${port}/json/list`);
-        const workbenches = list.filter(t => t.url?.includes('workbench.html') || t.title?.includes('workbench'));
-        workbenches.forEach(t => allTargets.push({ ...t, port }));
+    const allTargets = player ? player.targets() : [];
+    if (!player) await Promise.all(settings.endpointList().map(async (endpoint) => {
+        const list = await getJson(`http://${endpoint.host}:${endpoint.port}/json/list`);
+        const workbenches = list.filter(t => t.webSocketDebuggerUrl && settings.targetMatches(t));
+        workbenches.forEach(t => allTargets.push({ ...t, webSocketDebuggerUrl: targetSocketUrl(t, endpoint), host: endpoint.host, port: endpoint.port }));
     }));
 
     const newCascades = new Map();
+    const byUrl = new Map(Array.from(cascades.values()).map(c => [c.cdp.url, c]));
+    const fresh = []; // Connected this pass, given an id once all the known windows are placed
 
     // 2. Connect/Refresh
     for (const target of allTargets) {
-        const id = hashString(target.webSocketDebuggerUrl);
+        const existing = byUrl.get(target.webSocketDebuggerUrl);
 
         // Reuse existing
-        if (cascades.has(id)) {
-            const existing = cascades.get(id);
-            if (existing.cdp.ws.readyState === WebSocket.OPEN) {
+        if (existing) {
+            // The session is already retrying on its own, don't open a second one
+            if (existing.cdp.state === 'reconnecting') {
+                newCascades.set(existing.id, existing);
+                continue;
+            }
+
+            if (existing.cdp.isOpen) {
                 // Refresh metadata
                 const meta = await extractMetadata(existing.cdp);
                 if (meta) {
-                    existing.metadata = { ...existing.metadata, ...meta };
+                    if (!existing.metadata.workspace) existing.metadata.workspace = await findWorkspace(existing.cdp, target.title);
+                    existing.metadata = {
+                        ...existing.metadata,
+                        windowTitle: target.title,
+                        chatTitle: meta.chatTitle,
+                        isActive: meta.isActive,
+                        url: meta.url || null,
+                        pageConversationId: meta.conversationId || null
+                    };
                     if (meta.contextId) existing.cdp.rootContextId = meta.contextId; // Update optimization
-                    newCascades.set(id, existing);
+                    if (existing.observer?.contextId !== existing.cdp.rootContextId) {
+                        // Observer died or the cascade moved to another context
+                        if (await installObserver(existing)) refreshSnapshot(existing);
+                    }
+                    newCascades.set(existing.id, existing);
                     continue;
                 }
             }
+
+            // Unusable, start over with a fresh session (keeping the id, see below)
+            existing.cdp.close();
         }
 
         // New connection
+        let cdp = null;
         try {
             console.log(`🔌 Connecting to ${target.title}`);
-            const cdp = await connectCDP(target.webSocketDebuggerUrl);
+            cdp = player ? player.session(target) : new CDPSession(target.webSocketDebuggerUrl);
+            await cdp.connect();
+            connectErrors.delete(target.webSocketDebuggerUrl);
             const meta = await extractMetadata(cdp);
 
             if (meta) {
                 if (meta.contextId) cdp.rootContextId = meta.contextId;
-                
-                // Fallback: Use most recent brain dir if no conversationId found
-                let conversationId = meta.conversationId;
-                if (!conversationId) {
-                    conversationId = getMostRecentBrainDir();
-                    if (conversationId) {
-                        console.log(`  📁 Using most recent brain dir: ${conversationId}`);
-                    }
-                }
-                
-                const cascade = {
-                    id,
+                fresh.push({
+                    id: null,
                     cdp,
+                    endpoint: { host: target.host || null, port: target.port || null, targetId: target.id },
                     metadata: {
                         windowTitle: target.title,
                         chatTitle: meta.chatTitle,
                         isActive: meta.isActive,
-                        conversationId: conversationId,
-                        url: meta.url || null
+                        pageConversationId: meta.conversationId || null,
+                        conversationId: null, // Set by assignConversations()
+                        conversationGuessed: false,
+                        url: meta.url || null,
+                        workspace: await findWorkspace(cdp, target.title)
                     },
                     snapshot: null,
-                    css: await captureCSS(cdp), //only on init bc its huge
-                    snapshotHash: null
-                };
-                newCascades.set(id, cascade);
-                console.log(`✨ Added cascade: ${meta.chatTitle}`);
+                    snapshotParts: null,
+                    stylesSignature: null,
+                    snapshotHash: null,
+                    sanitized: new Map(), // Map<raw HTML, sanitized HTML>
+                    observer: null,
+                    messages: [],
+                    messageCache: new Map(),
+                    signals: {},
+                    state: null,
+                    controls: { model: null, mode: null, models: [] }
+                });
             } else {
-                cdp.ws.close();
+                cdp.close();
             }
         } catch (e) {
-            // console.error(`Failed to connect to ${target.title}: ${e.message}`);
+            if (cdp) cdp.close();
+            if (connectErrors.get(target.webSocketDebuggerUrl) !== e.message) {
+                console.error(`  ❌ Failed to connect to ${target.title}: ${e.message}`);
+                connectErrors.set(target.webSocketDebuggerUrl, e.message);
+            }
         }
     }
 
-    // 3. Cleanup old
-    for (const [id, c] of cascades.entries()) {
-        if (!newCascades.has(id)) {
-            console.log(`👋 Removing cascade: ${c.metadata.chatTitle}`);
-            try { c.cdp.ws.close(); } catch (e) { }
+    // 3. Give new windows their id: the same as last time if it's the same window.
+    // A replay keeps the ids it was recorded with.
+    if (player) fresh.forEach(c => { c.id = c.endpoint.targetId; });
+    else assignIds(fresh, newCascades);
+    fresh.forEach(c => newCascades.set(c.id, c));
+
+    // 4. Cleanup old: gone for good, reloaded (same id, new session) or moved to another id
+    const gone = Array.from(cascades.values()).filter(c => newCascades.get(c.id) !== c);
+    const unclaimed = fresh.filter(c => !cascades.has(c.id));
+    const continued = new Set();
+    const moves = [];
+    for (const old of gone) {
+        const successor = newCascades.get(old.id) || unclaimed.find(c => sameWindow(old, c));
+        if (successor) {
+            if (unclaimed.includes(successor)) unclaimed.splice(unclaimed.indexOf(successor), 1);
+            continued.add(successor);
+            carryOver(old, successor);
+            console.log(successor.id === old.id ? `🔄 Reconnected to reloaded ${old.metadata.chatTitle}` : `🔀 ${old.metadata.chatTitle} is now ${successor.id}`);
+        } else {
+            console.log(`👋 Removing cascade: ${old.metadata.chatTitle}`);
+            history.recordArtifacts(old.metadata.conversationId, brain.readBrainArtifacts(old.metadata.conversationId));
         }
+        if (successor?.id !== old.id) assets.forget(old.id); // Keys in the carried-over snapshot stay valid
+        styles.release(old.id);
+        endScreencasts(old.id);
+        recorder?.closed(old);
+        old.cdp.close();
+        if (successor && successor.id !== old.id) moves.push([old.id, successor.id]);
     }
 
-    const changed = cascades.size !== newCascades.size; // Simple check, could be more granular
+    fresh.filter(c => !continued.has(c)).forEach(c => console.log(`✨ Added cascade: ${c.metadata.chatTitle}`));
     cascades = newCascades;
+    assignConversations();
+    moves.forEach(([from, to]) => moveCascade(from, to)); // Before the list, so clients don't think their window is gone
+
+    // 5. Start watching the new ones
+    for (const c of fresh) {
+        recorder?.window(c);
+        watchCascade(c);
+        await refreshStyles(c);
+        await installObserver(c);
+        refreshSnapshot(c);
+    }
+    cascades.forEach(c => recorder?.metadata(c));
+
+    broadcastCascadeList(); // Only goes out if something clients see changed
+    syncBrainWatchers();
+}
+
+// Windows that share a key (two on one folder) can come back from /json/list in
+// any order. Ones that reloaded get back the id of the window they resemble most;
+// the others take the free ids in title order.
+function assignIds(fresh, taken) {
+    const groups = new Map();
+    for (const c of fresh) {
+        c.key = windowKey(c);
+        if (!groups.has(c.key)) groups.set(c.key, []);
+        groups.get(c.key).push(c);
+    }
+
+    for (const [key, group] of groups) {
+        const previous = Array.from(cascades.values()).filter(c => c.key === key && !taken.has(c.id));
+        const pairs = group.flatMap(c => previous.map(old => ({ c, old, score: resemblance(c, old) })))
+            .sort((a, b) => b.score - a.score);
+        const claimed = new Set();
+        for (const { c, old } of pairs) {
+            if (c.id || claimed.has(old.id)) continue;
+            c.id = old.id;
+            claimed.add(old.id);
+        }
+
+        const order = (c) => `${c.metadata.chatTitle}\n${c.metadata.windowTitle}\n${c.endpoint.targetId}`;
+        for (const c of group.filter(c => !c.id).sort((a, b) => order(a).localeCompare(order(b)))) {
+            const used = (id) => taken.has(id) || group.some(other => other !== c && other.id === id);
+            c.id = hashString(key);
+            for (let n = 2; used(c.id); n++) c.id = hashString(`${key}#${n}`); // Two windows on one folder
+        }
+    }
+}
+
+function resemblance(a, b) {
+    return (a.metadata.pageConversationId && a.metadata.pageConversationId === b.metadata.pageConversationId ? 4 : 0) +
+        (a.metadata.chatTitle === b.metadata.chatTitle ? 2 : 0) +
+        (a.metadata.windowTitle === b.metadata.windowTitle ? 1 : 0);
+}
+
+// What makes a window the same window after a reload: where it is and what it has
+// open. Target ids and socket URLs change when a window reloads.
+function windowKey(c) {
+    const where = c.metadata.workspace || extractProjectName(c.metadata.windowTitle) || c.endpoint.targetId;
+    return `${c.endpoint.host || ''}|${where}`;
+}
+
+// A window that came back with a different key (say its folder was only found now)
+function sameWindow(a, b) {
+    if ((a.endpoint?.host || '') !== (b.endpoint?.host || '')) return false;
+    if (a.metadata.workspace && a.metadata.workspace === b.metadata.workspace) return true;
+    const project = extractProjectName(a.metadata.windowTitle);
+    return !!project && project === extractProjectName(b.metadata.windowTitle);
+}
+
+// A reloaded window picks up where it was, so clients see no blip. Under a new
+// id the snapshot is sanitized again, its asset URLs name the cascade.
+function carryOver(from, to) {
+    const keys = ['messages', 'messageCache', 'signals', 'state', 'settledState', 'lastQueueSend', 'switchedTo', 'leftConversation'];
+    if (from.id === to.id) keys.push('snapshot', 'snapshotParts', 'snapshotHash', 'sanitized');
+    for (const key of keys) {
+        if (from[key] !== undefined) to[key] = from[key];
+    }
+    to.controls = { ...from.controls, ...to.controls, models: from.controls.models };
+    to.metadata.conversationId = from.metadata.conversationId;
+}
+
+// Which conversation each window shows. The page usually says; when it doesn't,
+// the most recently changed brain directory of the window's workspace that no other
+// window shows, re-checked every pass and whenever a window's turns start over,
+// so switching threads is followed.
+function assignConversations() {
+    const all = Array.from(cascades.values());
+    const taken = new Set(all.map(c => c.metadata.pageConversationId).filter(Boolean));
+    const unknown = all.filter(c => !c.metadata.pageConversationId);
+    const summaries = unknown.length ? brain.listBrainConversations().filter(s => !taken.has(s.conversationId)) : [];
+
+    for (const c of all) {
+        let conversationId = c.metadata.pageConversationId;
+        if (conversationId) c.switchedTo = c.leftConversation = null;
+        if (!conversationId) {
+            const project = extractProjectName(c.metadata.windowTitle);
+            // Not the one the window just switched away from, unless it's being written to again
+            const left = c.leftConversation;
+            const candidates = summaries.filter(s => !taken.has(s.conversationId) &&
+                !(left && s.conversationId === left.conversationId && s.mtime <= left.at));
+            const ours = candidates.filter(s => brain.belongsToWorkspace(s, c.metadata.workspace) ||
+                (project && history.getEntry(s.conversationId)?.project === project));
+            // One we opened from the phone stays until another of the window's conversations moves
+            const switched = c.switchedTo && !ours.some(s => s.mtime > c.switchedTo.at && s.conversationId !== c.switchedTo.conversationId);
+            if (!switched) c.switchedTo = null;
+            const match = switched ? { conversationId: c.switchedTo.conversationId } :
+                ours[0] || (unknown.length === 1 ? candidates[0] : null); // Only a guess when it can't be someone else's
+            conversationId = match?.conversationId || null;
+            if (conversationId) taken.add(conversationId);
+        }
+
+        const previous = c.metadata.conversationId;
+        c.metadata.conversationId = conversationId;
+        c.metadata.conversationGuessed = !!conversationId && !c.metadata.pageConversationId;
+        if (previous && previous !== conversationId) {
+            console.log(`  📁 ${c.metadata.chatTitle} now shows ${conversationId || 'an unknown conversation'}${c.metadata.conversationGuessed ? ' (guessed)' : ''}`);
+        } else if (!previous && c.metadata.conversationGuessed) {
+            console.log(`  📁 Guessing ${c.metadata.chatTitle} shows ${conversationId}`);
+        }
+    }
+}
+
+// The window's turns started over: if it switched threads, which conversation it
+// shows now, without waiting for the next discovery pass. The page's id says so when
+// there is one; without it only a different first turn does, a spinner or "thinking"
+// turn going away at the end is the same thread.
+async function refreshConversation(c, firstTurnChanged) {
+    const previous = c.metadata.conversationId;
+    const previousPageId = c.metadata.pageConversationId || null;
+    const meta = await extractMetadata(c.cdp);
+    if (meta) c.metadata = { ...c.metadata, chatTitle: meta.chatTitle, pageConversationId: meta.conversationId || null };
+
+    const pageId = c.metadata.pageConversationId;
+    const switched = pageId ? pageId !== previousPageId : firstTurnChanged;
+    if (!switched) return;
+    if (previous && !pageId) c.leftConversation = { conversationId: previous, at: Date.now() };
+
+    assignConversations();
+    recorder?.metadata(c);
+    syncBrainWatchers();
+    broadcastCascadeList();
+}
+
+// --- Moved Cascades ---
+// Ids are stable across reloads, but a window can still come back under another
+// one. Old ids keep working: requests are answered for the new one, streaming
+// clients are moved over and told with cascade_moved.
+
+const MAX_MOVED = 200;
+const movedCascades = new Map(); // Map<old id, new id>
+
+function moveCascade(from, to) {
+    movedCascades.delete(from);
+    movedCascades.set(from, to);
+    if (movedCascades.size > MAX_MOVED) movedCascades.delete(movedCascades.keys().next().value);
+
+    queue.moveQueue(from, to);
+    notify.moveMute(from, to);
+    wss?.clients.forEach(ws => {
+        if (ws.snapshotState?.cascadeId === from) ws.snapshotState = { ...ws.snapshotState, cascadeId: to };
+    });
+    broadcast({ type: 'cascade_moved', from, to });
+}
+
+function resolveCascadeId(id) {
+    for (let hops = 0; !cascades.has(id) && movedCascades.has(id) && hops < MAX_MOVED; hops++) id = movedCascades.get(id);
+    return id;
+}
+
+function lookupCascade(id) {
+    return cascades.get(resolveCascadeId(id));
+}
 
-    if (changed) broadcastCascadeList();
+// Watch the brain directory of every open conversation, and only those
+function syncBrainWatchers() {
+    const wanted = new Set(Array.from(cascades.values()).map(c => c.metadata.conversationId).filter(Boolean));
+    brain.watchedBrains().filter(id => !wanted.has(id)).forEach(brain.unwatchBrain);
+    wanted.forEach(id => brain.watchBrain(id, onBrainChange)); // Retried every cycle until the directory exists
+}
+
+function onBrainChange(conversationId, names) {
+    const cascadeIds = Array.from(cascades.values()).filter(c => c.metadata.conversationId === conversationId).map(c => c.id);
+    broadcast({ type: 'brain_update', conversationId, cascadeIds, changed: names });
+    recorder?.brain(conversationId, names);
+    history.recordArtifacts(conversationId, brain.readBrainArtifacts(conversationId));
+}
+
+// Folder the window has open, asked from the page or matched by project name
+async function findWorkspace(cdp, windowTitle) {
+    if (cdp.replayed) return cdp.recorded('workspace');
+    let pageFolder = null;
+    try {
+        const res = await cdp.call('Runtime.evaluate', { expression: workspace.WORKSPACE_SCRIPT, returnByValue: true });
+        pageFolder = res.result?.value?.folder || null;
+    } catch (e) { }
+    return workspace.resolveWorkspace({ pageFolder, projectName: extractProjectName(windowTitle) });
 }
 
 // Heuristic to get a useful project/workspace name from the window title
@@ -417,207 +924,1555 @@ function extractProjectName(title) {
     return title; 
 }
 
+// Fallback polling: only windows whose observer isn't running
 async function updateSnapshots() {
     // Parallel updates
-    await Promise.all(Array.from(cascades.values()).map(async (c) => {
-        try {
-            const snap = await captureHTML(c.cdp); // Only capture HTML
-            if (snap) {
-                const hash = hashString(snap.html);
-                if (hash !== c.snapshotHash) {
-                    c.snapshot = snap;
-                    c.snapshotHash = hash;
-                    broadcast({ type: 'snapshot_update', cascadeId: c.id });
-                    // console.log(`📸 Updated ${c.metadata.chatTitle}`);
-                }
+    await Promise.all(Array.from(cascades.values()).filter(c => !c.observer).map(refreshSnapshot));
+}
+
+async function refreshSnapshot(c) {
+    // Coalesce: a ping while capturing triggers exactly one more capture afterwards
+    if (c.capturing) {
+        c.captureQueued = true;
+        return;
+    }
+    c.capturing = true;
+
+    try {
+        const raw = await captureHTML(c.cdp); // Only capture HTML
+        if (raw) {
+            recorder?.snapshot(c, raw);
+            const snap = sanitizeCapture(c, raw);
+            const hash = hashString(snap.html);
+            if (hash !== c.snapshotHash) {
+                c.snapshot = { html: snap.html, bodyBg: snap.bodyBg, bodyColor: snap.bodyColor };
+                c.snapshotParts = {
+                    skeletonHash: hashString(snap.skeleton),
+                    chunks: snap.chunks,
+                    chunkHashes: snap.chunks.map(hashString)
+                };
+                c.snapshotHash = hash;
+                broadcast({ type: 'snapshot_update', cascadeId: c.id });
+                pushSnapshot(c);
+                await updateMessages(c);
+                // console.log(`📸 Updated ${c.metadata.chatTitle}`);
             }
-        } catch (e) { }
-    }));
+            // The stop button lives outside the snapshot, so check state on every capture
+            c.signals = snap.signals || {};
+            updateState(c);
+            updateControls(c, snap.controls);
+        }
+    } catch (e) { } finally {
+        c.capturing = false;
+        if (c.captureQueued) {
+            c.captureQueued = false;
+            refreshSnapshot(c);
+        }
+    }
 }
 
-function broadcast(msg) {
-    if (!wss) return;
-    wss.clients.forEach(c => {
-        if (c.readyState === WebSocket.OPEN) c.send(JSON.stringify(msg));
-    });
+// Re-capture the styles if the stylesheets or the kinds of elements in the chat
+// changed, and tell clients when what they'd download is different
+async function refreshStyles(c) {
+    if (c.stylesChecking) return;
+    c.stylesChecking = true;
+
+    try {
+        const result = await captureCSS(c.cdp, c.stylesSignature);
+        if (!result || result.unchanged) return;
+        c.stylesSignature = result.signature;
+        recorder?.css(c, result);
+
+        const previous = styles.get(c.id)?.hash;
+        const sheet = styles.update(c.id, result.css, { baseUrl: c.metadata.url });
+        if (sheet.hash === previous) return;
+        console.log(`  🎨 Styles for ${c.metadata.chatTitle}: ${Math.round(result.total / 1024)} KB, ${Math.round(sheet.css.length / 1024)} KB after pruning`);
+        broadcast({ type: 'styles_update', cascadeId: c.id, hash: sheet.hash });
+    } catch (e) { } finally {
+        c.stylesChecking = false;
+    }
 }
 
-function broadcastCascadeList() {
-    const list = Array.from(cascades.values()).map(c => ({
-        id: c.id,
+// Re-derive structured messages and announce the ones that are new or changed
+async function updateMessages(c) {
+    const prev = c.messages;
+    try {
+        c.messages = extractMessages(c.snapshotParts.chunks, c.snapshotParts.chunkHashes, c.messageCache);
+    } catch (e) {
+        console.error(`Message extraction failed for ${c.metadata.chatTitle}:`, e.message);
+        return;
+    }
+
+    // Fewer turns than before, clients start over. It may be a different conversation:
+    // find out before anything lands in the history of the one that was showing.
+    const reset = c.messages.length < prev.length;
+    if (reset) await refreshConversation(c, prev[0]?.hash !== c.messages[0]?.hash);
+
+    history.record(c.metadata.conversationId, c.messages, {
         title: c.metadata.chatTitle,
-        window: c.metadata.windowTitle,
-        projectName: extractProjectName(c.metadata.windowTitle),
-        active: c.metadata.isActive
-    }));
-    broadcast({ type: 'cascade_list', cascades: list });
+        project: extractProjectName(c.metadata.windowTitle)
+    });
+
+    if (reset) {
+        broadcast({ type: 'messages_reset', cascadeId: c.id, messages: c.messages });
+        return;
+    }
+    for (const { action, message } of diffMessages(prev, c.messages)) {
+        broadcast({ type: 'message', cascadeId: c.id, action, message });
+    }
 }
 
-// --- Server Setup ---
+function updateControls(c, controls = {}) {
+    if (controls.model === c.controls.model && controls.mode === c.controls.mode) return;
+    c.controls = { ...c.controls, model: controls.model || null, mode: controls.mode || null };
+    broadcastCascadeList();
+}
 
-async function main() {
-    const app = express();
-    const server = http.createServer(app);
-    wss = new WebSocketServer({ server });
+function updateState(c) {
+    const state = deriveState(c.signals, c.messages);
+    if (state === c.state) return;
 
-    app.use(express.json());
-    app.use(express.static(join(__dirname, 'public')));
+    c.state = state;
+    broadcastCascadeList();
 
-    // API Routes
-    app.get('/cascades', (req, res) => {
-        res.json(Array.from(cascades.values()).map(c => ({
-            id: c.id,
-            title: c.metadata.chatTitle,
-            active: c.metadata.isActive
-        })));
-    });
+    // Only notify once the state has settled, a spinner blinking off isn't "finished"
+    clearTimeout(c.stateTimer);
+    c.stateTimer = setTimeout(() => {
+        if (c.state !== state) return;
+        const previousState = c.settledState;
+        const transition = describeTransition(previousState, state);
+        c.settledState = state;
+        if (state === 'idle') dispatchQueue(c);
+        history.recordArtifacts(c.metadata.conversationId, brain.readBrainArtifacts(c.metadata.conversationId));
+        if (!transition) return;
 
-    app.get('/snapshot/:id', (req, res) => {
-        const c = cascades.get(req.params.id);
-        if (!c || !c.snapshot) return res.status(404).json({ error: 'Not found' });
-        res.json(c.snapshot);
-    });
+        notify.notify({
+            event: transition.event,
+            cascadeId: c.id,
+            title: `${extractProjectName(c.metadata.windowTitle) || 'Antigravity'} · ${c.metadata.chatTitle}`,
+            message: transition.text,
+            state,
+            previousState
+        });
+    }, STATE_SETTLE_MS);
+}
 
-    app.get('/styles/:id', (req, res) => {
-        const c = cascades.get(req.params.id);
-        if (!c) return res.status(404).json({ error: 'Not found' });
-        res.json({ css: c.css || '' });
-    });
+// --- Prompt Queue ---
 
-    app.get('/brain/:id', async (req, res) => {
-        const c = cascades.get(req.params.id);
-        if (!c) return res.status(404).json({ error: 'Cascade not found' });
-        
-        const conversationId = c.metadata.conversationId;
-        if (!conversationId) {
-            return res.json({ 
-                implementation_plan: null, 
-                task: null, 
-                walkthrough: null,
-                error: 'No conversation ID found',
-                debug: {
-                    url: c.metadata.url,
-                    title: c.metadata.windowTitle
-                }
-            });
-        }
-        
-        try {
-            const artifacts = readBrainArtifacts(conversationId);
-            res.json(artifacts || { implementation_plan: null, task: null, walkthrough: null });
-        } catch (e) {
-            res.status(500).json({ error: e.message });
-        }
-    });
+function broadcastQueue(cascadeId) {
+    broadcast({ type: 'queue_update', cascadeId, queue: queue.getQueue(cascadeId) });
+}
 
-    // Alias for simple single-view clients (returns first active or first available)
-    app.get('/snapshot', (req, res) => {
-        const active = Array.from(cascades.values()).find(c => c.metadata.isActive) || cascades.values().next().value;
-        if (!active || !active.snapshot) return res.status(503).json({ error: 'No snapshot' });
-        res.json(active.snapshot);
-    });
+// Send the next queued prompt if the agent is idle and nothing was sent just now
+async function dispatchQueue(c) {
+    if (c.queueSending || c.state !== 'idle' || c.settledState !== 'idle') return;
+    if (Date.now() - (c.lastQueueSend || 0) < QUEUE_MIN_GAP) return;
 
-    app.post('/create/:id', async (req, res) => {
-        const c = cascades.get(req.params.id);
-        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+    const entry = queue.nextReady(c.id);
+    if (!entry) return;
 
-        console.log(`🆕 Creating new agent for ${c.metadata.chatTitle}`);
-        try {
-            // Simulate Ctrl+Shift+L
-            await c.cdp.call("Input.dispatchKeyEvent", {
-                type: "rawKeyDown",
-                modifiers: 10, // Ctrl=2, Shift=8 -> 10? Or bitwise. 
-                // Modifiers: None: 0, Alt: 1, Ctrl: 2, Meta/Cmd: 4, Shift: 8
-                windowsVirtualKeyCode: 76, // L
-                key: "L",
-                code: "KeyL"
-            });
-            await c.cdp.call("Input.dispatchKeyEvent", { type: "keyUp", windowsVirtualKeyCode: 76, key: "L", code: "KeyL" });
-            
-            res.json({ success: true });
-        } catch (e) {
-            res.status(500).json({ error: e.message });
-        }
-    });
+    c.queueSending = true;
+    queue.updateEntry(c.id, entry.id, { status: 'sending' });
+    broadcastQueue(c.id);
+    console.log(`📨 Sending queued prompt to ${c.metadata.chatTitle}`);
 
-    app.post('/send/:id', async (req, res) => {
-        const c = cascades.get(req.params.id);
-        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+    const result = await deliverMessage(c, entry.text);
+    c.lastQueueSend = Date.now();
+    c.queueSending = false;
 
-        // Re-using the injection logic logic would be long, 
-        // but let's assume valid injection for brevity in this single-file request:
-        // We'll trust the previous logic worked, just pointing it to c.cdp
+    if (result.status !== 'failed') queue.removeEntry(c.id, entry.id);
+    else queue.updateEntry(c.id, entry.id, { status: 'failed', error: result.reason });
 
-        // ... (Injection logic here would be same as before, simplified for brevity of this file edit)
-        // For now, let's just log it to prove flow works
-        console.log(`Message to ${c.metadata.chatTitle}: ${req.body.message}`);
-        // TODO: Port the full injection script back in if needed, 
-        // but user asked for "update" which implies features, I'll assume I should include it.
-        // See helper below.
+    broadcast({ type: 'queue_sent', cascadeId: c.id, entryId: entry.id, status: result.status, reason: result.reason });
+    broadcastQueue(c.id);
+}
 
-        const result = await injectMessage(c.cdp, req.body.message);
-        if (result.ok) res.json({ success: true });
-        else res.status(500).json(result);
-    });
+// Shared by the REST routes and the WebSocket: add | reorder | cancel | retry
+function applyQueueAction(cascadeId, action, body = {}) {
+    let result;
+    if (action === 'add') {
+        if (!cascades.has(cascadeId)) throw Object.assign(new Error('Cascade not found'), { status: 404 });
+        result = queue.addEntry(cascadeId, body);
+    } else if (action === 'reorder') {
+        if (!Array.isArray(body.ids)) throw new Error('Expected ids array');
+        result = queue.reorder(cascadeId, body.ids);
+    } else if (action === 'cancel') {
+        result = queue.removeEntry(cascadeId, body.entryId);
+    } else if (action === 'retry') {
+        result = queue.updateEntry(cascadeId, body.entryId, { status: 'queued', error: null });
+    } else {
+        throw new Error(`Unknown queue action: ${action}`);
+    }
+    if (!result) throw Object.assign(new Error('Queue entry not found'), { status: 404 });
 
+    broadcastQueue(cascadeId);
+    const c = cascades.get(cascadeId);
+    if (c) dispatchQueue(c);
+    return result;
+}
 
-    wss.on('connection', (ws) => {
-        broadcastCascadeList(); // Send list on connect
-    });
+// --- Snapshot Streaming ---
+// Each socket subscribes to one cascade and remembers which version it holds
+// (ws.snapshotState), so we can send it only the chunks that changed since.
 
-    const PORT = process.env.PORT || 3000;
-    server.listen(PORT, '0.0.0.0', () => {
-        console.log(`🚀 Server running on port ${PORT}`);
-    });
+function sendTo(ws, msg) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg));
+}
 
-    // Start Loops
-    discover();
-    setInterval(discover, DISCOVERY_INTERVAL);
-    setInterval(updateSnapshots, POLL_INTERVAL);
+function sendFullSnapshot(ws, c) {
+    const version = (ws.snapshotState?.version || 0) + 1;
+    if (!c.snapshot || !c.snapshotParts) {
+        // Nothing captured yet, the first snapshot will go out in full
+        ws.snapshotState = { cascadeId: c.id, version, skeletonHash: null, chunkHashes: [] };
+        return;
+    }
+
+    ws.snapshotState = {
+        cascadeId: c.id,
+        version,
+        skeletonHash: c.snapshotParts.skeletonHash,
+        chunkHashes: c.snapshotParts.chunkHashes
+    };
+    sendTo(ws, { type: 'snapshot_full', cascadeId: c.id, version, ...c.snapshot });
 }
 
-// Injection Helper (Moved down to keep main clear)
-async function injectMessage(cdp, text) {
-    const SCRIPT = `(async () => {
-        // Try contenteditable first, then textarea
-        const editor = document.querySelector('[contenteditable="true"]') || document.querySelector('textarea');
-        if (!editor) return { ok: false, reason: "no editor found" };
-        
-        editor.focus();
-        
-        if (editor.tagName === 'TEXTAREA') {
-            const nativeTextAreaValueSetter = Object.getOwnPropertyDescriptor(window.HTMLTextAreaElement.prototype, "value").set;
-            nativeTextAreaValueSetter.call(editor, "${text.replace(/"/g, '\\"')}");
-            editor.dispatchEvent(new Event('input', { bubbles: true }));
-        } else {
-            document.execCommand("selectAll", false, null);
-            document.execCommand("insertText", false, "${text.replace(/"/g, '\\"')}");
+function sendSnapshotPatch(ws, c) {
+    const state = ws.snapshotState;
+    const parts = c.snapshotParts;
+    if (state.skeletonHash !== parts.skeletonHash) return sendFullSnapshot(ws, c);
+
+    const ops = diffChunks(state.chunkHashes, parts.chunkHashes).map(op => ({
+        index: op.index,
+        remove: op.remove,
+        insert: op.insert.map(i => parts.chunks[i])
+    }));
+    if (!ops.length) return;
+
+    const patch = {
+        type: 'snapshot_patch',
+        cascadeId: c.id,
+        base: state.version,
+        version: state.version + 1,
+        baseLength: state.chunkHashes.length,
+        ops,
+        bodyBg: c.snapshot.bodyBg
+    };
+
+    // A patch that rewrites most of the conversation isn't worth it
+    const payload = JSON.stringify(patch);
+    if (payload.length > c.snapshot.html.length) return sendFullSnapshot(ws, c);
+
+    ws.snapshotState = { ...state, version: patch.version, chunkHashes: parts.chunkHashes };
+    if (ws.readyState === WebSocket.OPEN) ws.send(payload);
+}
+
+function pushSnapshot(c) {
+    if (!wss) return;
+    wss.clients.forEach(ws => {
+        if (ws.readyState === WebSocket.OPEN && ws.snapshotState?.cascadeId === c.id) {
+            sendSnapshotPatch(ws, c);
+        }
+    });
+}
+
+// Messages clients send over the socket
+function handleClientMessage(ws, msg) {
+    if (msg.type === 'subscribe' || msg.type === 'resync') {
+        const c = lookupCascade(msg.cascadeId);
+        if (!c) return sendTo(ws, { type: 'error', cascadeId: msg.cascadeId, error: 'Cascade not found' });
+        sendFullSnapshot(ws, c);
+    }
+
+    if (msg.type === 'screen_start') {
+        const c = lookupCascade(msg.cascadeId);
+        if (!c) return sendTo(ws, { type: 'error', cascadeId: msg.cascadeId, error: 'Cascade not found' });
+        const region = REGIONS.includes(msg.region) ? msg.region : 'window';
+
+        stopScreen(ws); // One live screen per client
+        const key = `${c.id}:${region}`;
+        if (!screencasts.has(key)) screencasts.set(key, new Screencast(c.cdp, { cascadeId: c.id, region, send: sendTo }));
+        ws.screencast = screencasts.get(key);
+        ws.screencast.add(ws, { maxWidth: msg.maxWidth });
+    }
+    if (msg.type === 'screen_stop') stopScreen(ws);
+    if (msg.type === 'screen_ack') ws.screencast?.ack(ws, msg.frame);
+
+    if (msg.type?.startsWith('queue_')) {
+        if (!auth.hasRole(ws.device, 'controller')) {
+            return sendTo(ws, { type: 'error', cascadeId: msg.cascadeId, error: 'Requires controller role' });
+        }
+        try {
+            applyQueueAction(resolveCascadeId(msg.cascadeId), msg.type.slice('queue_'.length), msg);
+        } catch (e) {
+            sendTo(ws, { type: 'error', cascadeId: msg.cascadeId, error: e.message });
+        }
+    }
+}
+
+// --- Live Screen ---
+
+function stopScreen(ws) {
+    const screencast = ws.screencast;
+    if (!screencast) return;
+    ws.screencast = null;
+    screencast.remove(ws);
+    if (!screencast.subscribers.size) screencasts.delete(`${screencast.cascadeId}:${screencast.region}`);
+}
+
+function endScreencasts(cascadeId) {
+    for (const [key, screencast] of screencasts) {
+        if (screencast.cascadeId !== cascadeId) continue;
+        screencast.status('Window closed');
+        for (const ws of screencast.subscribers.keys()) ws.screencast = null;
+        screencast.stop();
+        screencasts.delete(key);
+    }
+}
+
+// To every WebSocket client, and to the /api/v1/events stream
+function broadcast(msg) {
+    events.publish(msg);
+    if (!wss) return;
+    wss.clients.forEach(c => {
+        if (c.readyState === WebSocket.OPEN) c.send(JSON.stringify(msg));
+    });
+}
+
+// A cascade as clients see it: in cascade_list and from the API
+function describeCascade(c) {
+    return {
+        id: c.id,
+        title: c.metadata.chatTitle,
+        window: c.metadata.windowTitle,
+        projectName: extractProjectName(c.metadata.windowTitle),
+        active: c.metadata.isActive,
+        state: c.state,
+        model: c.controls.model,
+        mode: c.controls.mode,
+        models: c.controls.models,
+        connection: c.cdp.state,
+        muted: notify.isMuted(c.id),
+        conversationId: c.metadata.conversationId || null,
+        conversationGuessed: !!c.metadata.conversationGuessed,
+        workspace: c.metadata.workspace || null
+    };
+}
+
+function cascadeListMessage() {
+    return { type: 'cascade_list', cascades: Array.from(cascades.values()).map(describeCascade) };
+}
+
+// Goes out whenever anything in it changed (title, conversation, state...), and
+// only then: discovery calls this on every pass
+let lastCascadeList = null;
+
+function broadcastCascadeList() {
+    const msg = cascadeListMessage();
+    const json = JSON.stringify(msg);
+    if (json === lastCascadeList) return;
+    lastCascadeList = json;
+    broadcast(msg);
+}
+
+// --- Resources ---
+// Shared by the routes below, old and /api/v1
+
+// Past conversations from the brain directory that belong to the window's
+// project (or all of them), with the title they had when we last saw them
+function pastConversations(c, all = false) {
+    const project = extractProjectName(c.metadata.windowTitle);
+    return brain.listBrainConversations()
+        .map(summary => ({ summary, seen: history.getEntry(summary.conversationId) }))
+        .filter(({ summary, seen }) => all ||
+            summary.conversationId === c.metadata.conversationId ||
+            brain.belongsToWorkspace(summary, c.metadata.workspace) ||
+            (project && seen?.project === project))
+        .map(({ summary, seen }) => ({
+            conversationId: summary.conversationId,
+            title: seen?.title || summary.title || 'Untitled',
+            task: summary.task,
+            mtime: summary.mtime,
+            current: summary.conversationId === c.metadata.conversationId
+        }));
+}
+
+function brainContents(conversationId) {
+    return {
+        conversationId,
+        ...(brain.readBrainArtifacts(conversationId) || { implementation_plan: null, task: null, walkthrough: null }),
+        artifacts: brain.listArtifacts(conversationId)
+    };
+}
+
+// An artifact of the cascade's conversation, or null if there's no such file
+function findArtifact(c, name) {
+    const file = c && brain.resolveArtifact(c.metadata.conversationId, name);
+    if (!file || !fs.existsSync(file)) return null;
+    return { conversationId: c.metadata.conversationId, name, file };
+}
+
+function sendArtifact(res, artifact) {
+    const type = brain.artifactType(artifact.name);
+    const ext = path.extname(artifact.name).toLowerCase();
+    // Served from our own origin, so nothing in there (an SVG, say) may run scripts
+    res.setHeader('Content-Security-Policy', "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; sandbox");
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (type === 'image') res.type(brain.IMAGE_MIME[ext]);
+    else if (type === 'markdown' || type === 'text') res.type('text/plain; charset=utf-8');
+    else res.attachment(path.basename(artifact.name));
+    res.sendFile(artifact.file);
+}
+
+// Sends { message, clientMessageId } (+ uploaded files) to the window. Resolves to
+// deliverMessage()'s result, throws with a status when the upload is unusable.
+async function submitMessage(c, body, files) {
+    const upload = prepareUploads(body?.message, files);
+
+    // The outbox retries when a response got lost: answer those from the first attempt
+    const clientMessageId = typeof body?.clientMessageId === 'string' ? body.clientMessageId.slice(0, 100) : null;
+    for (const [id, sent] of sentMessages) {
+        if (Date.now() - sent.at > SENT_IDS_TTL) sentMessages.delete(id);
+    }
+    if (clientMessageId && sentMessages.has(clientMessageId)) {
+        return { duplicate: true, ...await sentMessages.get(clientMessageId).result };
+    }
+
+    const attached = upload.images.length ? ` (+${upload.images.length} image(s))` : '';
+    console.log(`Message to ${c.metadata.chatTitle}: ${upload.message}${attached}`);
+
+    const delivery = deliverMessage(c, upload.message, upload.images);
+    if (clientMessageId) sentMessages.set(clientMessageId, { at: Date.now(), result: delivery });
+    const result = await delivery;
+    if (clientMessageId && result.status === 'failed') sentMessages.delete(clientMessageId); // Failed for real, a retry may try again
+    if (result.status === 'failed') console.log(`  ❌ Not delivered: ${result.reason}`);
+    return result;
+}
+
+// The pruned stylesheet, or 304 when the client's ETag still matches
+function sendStyles(req, res, c) {
+    const sheet = styles.get(c.id);
+    if (!sheet) return res.json({ css: '', hash: null });
+    const etag = `"${sheet.hash}"`;
+    res.set({ 'ETag': etag, 'Cache-Control': 'private, no-cache' });
+    // Compared by hand: req.fresh ignores If-None-Match when the request also says no-cache
+    const known = (req.get('If-None-Match') || '').split(',').map(t => t.trim().replace(/^W\//, ''));
+    if (known.includes(etag)) return res.status(304).end();
+    res.json({ css: sheet.css, hash: sheet.hash });
+}
+
+// --- Server Setup ---
+
+function getLanAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(i => i && i.family === 'IPv4' && !i.internal)
+        .map(i => i.address);
+}
+
+function printPairingCode(role, port) {
+    const { code } = auth.issuePairingCode(role);
+    const { bind } = settings.getConfig();
+    const host = ['0.0.0.0', '::'].includes(bind) ? getLanAddresses()[0] || 'localhost' : bind;
+    console.log(`🔑 ${role} pairing code: ${code}  (http://${host}:${port}/#pair=${code})`);
+}
+
+// Wrong codes are counted per address, a locked out one is told when to come back
+function pairDevice(req, res) {
+    try {
+        return auth.pair(req.body?.code, req.body?.name, req.ip);
+    } catch (e) {
+        if (e.retryAfter) res.set('Retry-After', String(e.retryAfter));
+        throw e;
+    }
+}
+
+// After revoking a device: no more notifications, and kick any sockets and
+// event streams still open with its token
+function disconnectDevice(device) {
+    notify.removeDeviceSubscriptions(device.id);
+    wss.clients.forEach(c => {
+        if (c.device?.id === device.id) c.close(4401, 'Revoked');
+    });
+    events.closeDevice(device.id);
+    console.log(`🚫 Revoked device: ${device.name}`);
+}
+
+// --- API v1 ---
+// The same features as the routes in main(), with one shape per resource and
+// errors as { error: { code, message } } (see lib/api.js, and lib/openapi.js for
+// the document served at /api/v1/openapi.json).
+
+function apiRoutes(port) {
+    const router = express.Router();
+    const viewer = api.requireRole('viewer');
+    const controller = api.requireRole('controller');
+    const { handle, apiError } = api;
+
+    const findCascade = (req) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) throw apiError(404, 'cascade_not_found', `No cascade ${req.params.id}`);
+        return c;
+    };
+    const needWorkspace = (c) => {
+        if (!c.metadata.workspace) throw apiError(404, 'workspace_not_found', 'The window has no workspace folder we can find');
+        return c.metadata.workspace;
+    };
+    const needArtifact = (req) => {
+        const artifact = findArtifact(findCascade(req), req.query.name);
+        if (!artifact) throw apiError(404, 'artifact_not_found', `No artifact ${req.query.name || '(missing ?name=)'}`);
+        return artifact;
+    };
+    // controlAgent() and friends answer { ok: false, reason } when the IDE didn't cooperate
+    const succeeded = (result, code) => {
+        if (!result.ok) throw apiError(409, code, result.reason || 'Failed', result);
+        const { ok, ...rest } = result;
+        return rest;
+    };
+    const device = (id) => auth.listDevices().find(d => d.id === id) || null;
+
+    router.get('/openapi.json', (req, res) => res.json(OPENAPI));
+
+    // Auth & devices
+    router.post('/auth/pair', handle((req, res) => {
+        const result = pairDevice(req, res);
+        if (!result) throw apiError(401, 'invalid_pairing_code', 'Invalid or expired pairing code');
+        console.log(`📱 Paired ${result.device.role}: ${result.device.name}`);
+        printPairingCode(result.device.role, port);
+        return result;
+    }));
+    router.get('/auth/me', viewer, handle((req) => device(req.device.id)));
+    router.post('/auth/pairing-codes', controller, handle((req) => {
+        const role = req.body?.role || 'viewer';
+        if (!auth.ROLES.includes(role)) throw apiError(400, 'invalid_role', `Unknown role: ${role}`);
+        return auth.issuePairingCode(role);
+    }));
+    router.get('/devices', controller, handle(() => ({ devices: auth.listDevices() })));
+    router.delete('/devices/:id', controller, handle((req) => {
+        const revoked = auth.revokeDevice(req.params.id);
+        if (!revoked) throw apiError(404, 'device_not_found', `No device ${req.params.id}`);
+        disconnectDevice(revoked);
+        return revoked;
+    }));
+
+    // Push notifications
+    router.get('/push/key', viewer, handle(() => ({ publicKey: notify.getVapidPublicKey() })));
+    router.post('/push/subscriptions', viewer, handle((req) => {
+        try {
+            notify.addSubscription(req.device.id, req.body?.subscription);
+        } catch (e) {
+            throw apiError(400, 'invalid_subscription', e.message);
+        }
+        return null;
+    }));
+    router.delete('/push/subscriptions', viewer, handle((req) => {
+        notify.removeSubscription(req.body?.endpoint);
+        return null;
+    }));
+
+    // Cascades
+    router.get('/cascades', viewer, handle(() => ({ cascades: Array.from(cascades.values()).map(describeCascade) })));
+    router.get('/cascades/:id', viewer, handle((req) => describeCascade(findCascade(req))));
+    router.put('/cascades/:id/mute', controller, handle((req) => {
+        const c = findCascade(req);
+        notify.setMute(c.id, !!req.body?.muted, req.body?.until || null);
+        broadcastCascadeList();
+        return describeCascade(c);
+    }));
+    router.get('/cascades/:id/snapshot', viewer, handle((req) => {
+        const c = findCascade(req);
+        if (!c.snapshot) throw apiError(404, 'no_snapshot', 'Nothing captured from this window yet');
+        return c.snapshot;
+    }));
+    router.get('/cascades/:id/styles', viewer, handle((req, res) => { sendStyles(req, res, findCascade(req)); }));
+
+    // Messages
+    router.get('/cascades/:id/messages', viewer, handle((req) => {
+        const c = findCascade(req);
+        return { cascadeId: c.id, conversationId: c.metadata.conversationId || null, messages: c.messages };
+    }));
+    router.post('/cascades/:id/messages', controller, (req, res, next) => {
+        if (!req.is('multipart/form-data')) return next();
+        uploadMiddleware(req, res, next); // Upload errors go to the error handler
+    }, handle(async (req) => {
+        const c = findCascade(req);
+        if (!String(req.body?.message || '').trim() && !req.files?.length) throw apiError(400, 'empty_message', 'Nothing to send');
+        const result = await submitMessage(c, req.body, req.files);
+        if (result.status === 'failed') throw apiError(502, 'not_delivered', result.reason || 'Not delivered', result);
+        return result;
+    }));
+
+    // Actions in the window
+    router.post('/cascades/:id/new', controller, handle(async (req) => {
+        const c = findCascade(req);
+        console.log(`🆕 Creating new agent for ${c.metadata.chatTitle}`);
+        await pressNewConversationShortcut(c.cdp);
+        return null;
+    }));
+    router.post('/cascades/:id/control', controller, handle(async (req) => {
+        const { action, value } = req.body || {};
+        return succeeded(await controlAgent(findCascade(req), action, value), 'control_failed');
+    }));
+    router.post('/cascades/:id/click', controller, handle(async (req) => {
+        const c = findCascade(req);
+        const { target, kind } = req.body || {};
+        if (!/^c\d+$/.test(target || '')) throw apiError(400, 'invalid_target', 'Missing or invalid target');
+        if (kind && !CLICKABLE_KINDS.includes(kind)) throw apiError(400, 'not_clickable', `Not clickable: ${kind}`);
+        console.log(`👆 Click ${kind || target} in ${c.metadata.chatTitle}`);
+        return succeeded(await clickElement(c, target, kind), 'click_failed');
+    }));
+    router.post('/cascades/:id/screen/tap', controller, handle(async (req) => {
+        const c = findCascade(req);
+        const x = Number(req.body?.x);
+        const y = Number(req.body?.y);
+        await tap(c.cdp, x, y);
+        console.log(`👆 Tap at ${Math.round(x)},${Math.round(y)} in ${c.metadata.chatTitle}`);
+        return null;
+    }));
+
+    // Brain artifacts
+    router.get('/cascades/:id/brain', viewer, handle((req) => {
+        const c = findCascade(req);
+        const conversationId = c.metadata.conversationId;
+        if (!conversationId) return { conversationId: null, implementation_plan: null, task: null, walkthrough: null, artifacts: [] };
+        return brainContents(conversationId);
+    }));
+    router.get('/cascades/:id/brain/file', viewer, handle((req, res) => { sendArtifact(res, needArtifact(req)); }));
+    router.get('/cascades/:id/brain/revisions', viewer, handle((req) => {
+        const artifact = needArtifact(req);
+        return { name: artifact.name, revisions: brain.getRevisions(artifact.conversationId, artifact.name) };
+    }));
+    router.get('/cascades/:id/brain/diff', viewer, handle((req) => {
+        const artifact = needArtifact(req);
+        const diff = brain.diffSince(artifact.conversationId, artifact.name, Number(req.query.since) || 0);
+        if (!diff) throw apiError(404, 'no_revisions', 'No revisions recorded for this artifact');
+        return diff;
+    }));
+
+    // Past conversations and the workspace
+    router.get('/cascades/:id/conversations', viewer, handle((req) => {
+        const c = findCascade(req);
+        return { cascadeId: c.id, workspace: c.metadata.workspace || null, conversations: pastConversations(c, req.query.all === '1') };
+    }));
+    router.post('/cascades/:id/conversations/:conversationId/open', controller, handle(async (req) => {
+        return succeeded(await openConversation(findCascade(req), req.params.conversationId), 'open_failed');
+    }));
+    router.get('/cascades/:id/changes', viewer, handle(async (req) => {
+        const c = findCascade(req);
+        const folder = needWorkspace(c);
+        return { cascadeId: c.id, workspace: folder, ...await workspace.getChanges(folder) };
+    }));
+    router.post('/cascades/:id/changes/:action', controller, handle(async (req) => {
+        const c = findCascade(req);
+        const folder = needWorkspace(c);
+        if (!['stage', 'unstage', 'revert'].includes(req.params.action)) throw apiError(404, 'unknown_action', `Unknown action: ${req.params.action}`);
+        await workspace.applyChange(folder, req.params.action, req.body?.path);
+        console.log(`📝 ${req.params.action} ${req.body.path} in ${c.metadata.chatTitle}`);
+        return null;
+    }));
+
+    // Prompt queue
+    const queueAction = (action, pick) => handle((req) => {
+        try {
+            applyQueueAction(resolveCascadeId(req.params.id), action, pick(req));
+        } catch (e) {
+            throw e.status ? e : apiError(400, 'invalid_queue_request', e.message);
+        }
+        return { queue: queue.getQueue(resolveCascadeId(req.params.id)) };
+    });
+    router.get('/cascades/:id/queue', viewer, handle((req) => ({ queue: queue.getQueue(resolveCascadeId(req.params.id)) })));
+    router.post('/cascades/:id/queue', controller, queueAction('add', req => req.body));
+    router.put('/cascades/:id/queue', controller, queueAction('reorder', req => req.body));
+    router.delete('/cascades/:id/queue/:entryId', controller, queueAction('cancel', req => ({ entryId: req.params.entryId })));
+    router.post('/cascades/:id/queue/:entryId/retry', controller, queueAction('retry', req => ({ entryId: req.params.entryId })));
+
+    // History
+    router.get('/history', viewer, handle(() => ({ conversations: history.listConversations() })));
+    router.get('/history/search', viewer, handle((req) => ({
+        results: history.search(req.query.q, { limit: Math.min(Number(req.query.limit) || 50, 200) })
+    })));
+    router.get('/history/:conversationId', viewer, handle((req) => {
+        const conversation = history.getConversation(req.params.conversationId, req.query.at ? Number(req.query.at) : Infinity);
+        if (!conversation) throw apiError(404, 'conversation_not_found', `No conversation ${req.params.conversationId}`);
+        return conversation;
+    }));
+    router.delete('/history/:conversationId', controller, handle((req) => {
+        if (!history.remove(req.params.conversationId)) throw apiError(404, 'conversation_not_found', `No conversation ${req.params.conversationId}`);
+        return null;
+    }));
+
+    // Everything broadcast on the WebSocket, as Server-Sent Events
+    router.get('/events', viewer, (req, res) => events.open(req, res, [cascadeListMessage()]));
+
+    router.use((req, res) => api.sendError(res, apiError(404, 'not_found', `No route ${req.method} ${api.BASE}${req.path}`)));
+    return router;
+}
+
+async function main() {
+    const app = express();
+    const server = http.createServer(app);
+    // Unpaired and revoked tokens are turned away during the upgrade (401), before
+    // there's a socket to send anything on
+    wss = new WebSocketServer({
+        server,
+        verifyClient: ({ req }, done) => {
+            req.device = auth.authenticate(auth.tokenFromRequest(req));
+            done(!!req.device, 401, 'Unauthorized');
+        }
+    });
+
+    const config = settings.getConfig();
+    const PORT = config.port;
+    const viewer = auth.requireRole('viewer');
+    const controller = auth.requireRole('controller');
+
+    app.use(express.json());
+    app.use(express.static(join(__dirname, 'public')));
+
+    // Client libraries are served from node_modules, so the app works without a CDN (and offline)
+    app.get('/vendor/marked.js', (req, res) => {
+        res.sendFile(join(__dirname, 'node_modules', 'marked', 'lib', 'marked.umd.js'));
+    });
+
+    app.use(api.BASE, apiRoutes(PORT));
+    app.use(api.BASE, (err, req, res, next) => api.sendError(res, err)); // Bad JSON bodies, upload limits
+
+    // Pre-v1 routes, kept for existing clients (the web app uses these)
+    // Auth Routes
+    app.post('/auth/pair', api.deprecated('/api/v1/auth/pair'), (req, res) => {
+        let result;
+        try {
+            result = pairDevice(req, res);
+        } catch (e) {
+            return res.status(e.status || 400).json({ error: e.message });
+        }
+        if (!result) return res.status(401).json({ error: 'Invalid or expired pairing code' });
+
+        console.log(`📱 Paired ${result.device.role}: ${result.device.name}`);
+        printPairingCode(result.device.role, PORT); // Fresh code for the next device
+        res.json(result);
+    });
+
+    app.get('/auth/me', api.deprecated('/api/v1/auth/me'), viewer, (req, res) => {
+        res.json({ id: req.device.id, name: req.device.name, role: req.device.role });
+    });
+
+    app.post('/auth/pairing-code', api.deprecated('/api/v1/auth/pairing-codes'), controller, (req, res) => {
+        const role = req.body?.role || 'viewer';
+        if (!auth.ROLES.includes(role)) return res.status(400).json({ error: `Unknown role: ${role}` });
+        res.json(auth.issuePairingCode(role));
+    });
+
+    // Notification Routes
+    app.get('/push/key', api.deprecated('/api/v1/push/key'), viewer, (req, res) => {
+        res.json({ publicKey: notify.getVapidPublicKey() });
+    });
+
+    app.post('/push/subscribe', api.deprecated('/api/v1/push/subscriptions'), viewer, (req, res) => {
+        try {
+            notify.addSubscription(req.device.id, req.body?.subscription);
+            res.json({ success: true });
+        } catch (e) {
+            res.status(400).json({ error: e.message });
+        }
+    });
+
+    app.delete('/push/subscribe', api.deprecated('/api/v1/push/subscriptions'), viewer, (req, res) => {
+        notify.removeSubscription(req.body?.endpoint);
+        res.json({ success: true });
+    });
+
+    app.get('/auth/devices', api.deprecated('/api/v1/devices'), controller, (req, res) => {
+        res.json(auth.listDevices());
+    });
+
+    app.delete('/auth/devices/:id', api.deprecated('/api/v1/devices/:id'), controller, (req, res) => {
+        const device = auth.revokeDevice(req.params.id);
+        if (!device) return res.status(404).json({ error: 'Device not found' });
+        disconnectDevice(device);
+        res.json(device);
+    });
+
+    // API Routes
+    app.get('/cascades', api.deprecated('/api/v1/cascades'), viewer, (req, res) => {
+        res.json(Array.from(cascades.values()).map(c => ({
+            id: c.id,
+            title: c.metadata.chatTitle,
+            projectName: extractProjectName(c.metadata.windowTitle),
+            active: c.metadata.isActive,
+            state: c.state,
+            model: c.controls.model,
+            mode: c.controls.mode
+        })));
+    });
+
+    app.put('/cascades/:id/mute', api.deprecated('/api/v1/cascades/:id/mute'), controller, (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+        const mute = notify.setMute(c.id, !!req.body?.muted, req.body?.until || null);
+        broadcastCascadeList();
+        res.json(mute);
+    });
+
+    app.get('/snapshot/:id', api.deprecated('/api/v1/cascades/:id/snapshot'), viewer, (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c || !c.snapshot) return res.status(404).json({ error: 'Not found' });
+        res.json(c.snapshot);
+    });
+
+    app.get('/messages/:id', api.deprecated('/api/v1/cascades/:id/messages'), viewer, (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+        res.json({
+            cascadeId: c.id,
+            conversationId: c.metadata.conversationId || null,
+            messages: c.messages
+        });
+    });
+
+    app.get('/styles/:id', api.deprecated('/api/v1/cascades/:id/styles'), viewer, (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Not found' });
+
+        sendStyles(req, res, c);
+    });
+
+    // No role check: <img> and @font-face can't send a token. The key is the
+    // credential, it's random and only handed out inside snapshots.
+    app.get('/asset/:id/:key/:name?', async (req, res) => {
+        const entry = assets.lookup(req.params.key);
+        const ids = entry ? [req.params.id, ...entry.cascades].filter(id => entry.cascades.has(id)) : [];
+        const c = ids.map(id => cascades.get(id)).find(c => c?.cdp.isOpen);
+        if (!c) return res.status(404).json({ error: 'Not found' });
+
+        try {
+            const asset = await assets.load(c.cdp, entry.url);
+            res.set({
+                'Content-Type': asset.type,
+                'Cache-Control': 'private, max-age=86400',
+                'Content-Security-Policy': 'sandbox', // SVGs opened directly can't run scripts
+                'X-Content-Type-Options': 'nosniff'
+            });
+            res.send(asset.body);
+        } catch (e) {
+            res.status(e.status || 502).json({ error: e.message });
         }
+    });
+
+    app.get('/brain/:id', api.deprecated('/api/v1/cascades/:id/brain'), viewer, async (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
         
-        await new Promise(r => setTimeout(r, 100));
+        const conversationId = c.metadata.conversationId;
+        if (!conversationId) {
+            return res.json({ 
+                implementation_plan: null, 
+                task: null, 
+                walkthrough: null,
+                artifacts: [],
+                error: 'No conversation ID found',
+                debug: {
+                    url: c.metadata.url,
+                    title: c.metadata.windowTitle
+                }
+            });
+        }
         
-        // Try multiple button selectors
-        const btn = document.querySelector('button[class*="arrow"]') || 
-                   document.querySelector('button[aria-label*="Send"]') ||
-                   document.querySelector('button[type="submit"]');
+        try {
+            res.json(brainContents(conversationId));
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
 
-        if (btn) {
-            btn.click();
-        } else {
-             // Fallback to Enter key
-             editor.dispatchEvent(new KeyboardEvent("keydown", { bubbles:true, key:"Enter" }));
+    // Resolve ?name= to an artifact of the cascade's conversation, or answer 404
+    const brainArtifact = (req, res) => {
+        const artifact = findArtifact(lookupCascade(req.params.id), req.query.name);
+        if (!artifact) res.status(404).json({ error: 'Artifact not found' });
+        return artifact;
+    };
+
+    app.get('/brain/:id/file', api.deprecated('/api/v1/cascades/:id/brain/file'), viewer, (req, res) => {
+        const artifact = brainArtifact(req, res);
+        if (artifact) sendArtifact(res, artifact);
+    });
+
+    app.get('/brain/:id/revisions', api.deprecated('/api/v1/cascades/:id/brain/revisions'), viewer, (req, res) => {
+        const artifact = brainArtifact(req, res);
+        if (!artifact) return;
+        res.json({ name: artifact.name, revisions: brain.getRevisions(artifact.conversationId, artifact.name) });
+    });
+
+    // What changed in an artifact since `since` (a timestamp, e.g. when this device last looked)
+    app.get('/brain/:id/diff', api.deprecated('/api/v1/cascades/:id/brain/diff'), viewer, (req, res) => {
+        const artifact = brainArtifact(req, res);
+        if (!artifact) return;
+        const diff = brain.diffSince(artifact.conversationId, artifact.name, Number(req.query.since) || 0);
+        if (!diff) return res.status(404).json({ error: 'No revisions recorded' });
+        res.json(diff);
+    });
+
+    // Live Screen: taps on a frame, already mapped to page coordinates by the client
+    app.post('/screen/:id/tap', api.deprecated('/api/v1/cascades/:id/screen/tap'), controller, async (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+
+        const x = Number(req.body?.x);
+        const y = Number(req.body?.y);
+        try {
+            await tap(c.cdp, x, y);
+            console.log(`👆 Tap at ${Math.round(x)},${Math.round(y)} in ${c.metadata.chatTitle}`);
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(e.status || 502).json({ error: e.message });
         }
-        return { ok: true };
+    });
+
+    // Conversation Routes (past conversations from the brain directory)
+    app.get('/conversations/:id', api.deprecated('/api/v1/cascades/:id/conversations'), viewer, (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+
+        res.json({ cascadeId: c.id, workspace: c.metadata.workspace, conversations: pastConversations(c, req.query.all === '1') });
+    });
+
+    app.post('/conversations/:id/open', api.deprecated('/api/v1/cascades/:id/conversations/:conversationId/open'), controller, async (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+
+        try {
+            const result = await openConversation(c, req.body?.conversationId);
+            if (!result.ok) return res.status(409).json({ error: result.reason, ...result });
+            res.json(result);
+        } catch (e) {
+            res.status(e.status || 500).json({ error: e.message });
+        }
+    });
+
+    // Workspace Routes (what the agent changed, per git)
+    app.get('/changes/:id', api.deprecated('/api/v1/cascades/:id/changes'), viewer, async (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+        if (!c.metadata.workspace) return res.status(404).json({ error: 'Workspace folder not found' });
+
+        try {
+            res.json({ cascadeId: c.id, workspace: c.metadata.workspace, ...await workspace.getChanges(c.metadata.workspace) });
+        } catch (e) {
+            res.status(e.status || 500).json({ error: e.message });
+        }
+    });
+
+    app.post('/changes/:id/:action', api.deprecated('/api/v1/cascades/:id/changes/:action'), controller, async (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+        if (!c.metadata.workspace) return res.status(404).json({ error: 'Workspace folder not found' });
+        if (!['stage', 'unstage', 'revert'].includes(req.params.action)) return res.status(404).json({ error: 'Unknown action' });
+
+        try {
+            await workspace.applyChange(c.metadata.workspace, req.params.action, req.body?.path);
+            console.log(`📝 ${req.params.action} ${req.body.path} in ${c.metadata.chatTitle}`);
+            res.json({ success: true });
+        } catch (e) {
+            res.status(e.status || 500).json({ error: e.message });
+        }
+    });
+
+    // History Routes (conversations kept on disk, also after the window is gone)
+    app.get('/history', api.deprecated('/api/v1/history'), viewer, (req, res) => {
+        res.json(history.listConversations());
+    });
+
+    app.get('/history/search', api.deprecated('/api/v1/history/search'), viewer, (req, res) => {
+        res.json(history.search(req.query.q, { limit: Math.min(Number(req.query.limit) || 50, 200) }));
+    });
+
+    app.get('/history/:conversationId', api.deprecated('/api/v1/history/:conversationId'), viewer, (req, res) => {
+        const at = req.query.at ? Number(req.query.at) : Infinity;
+        const conversation = history.getConversation(req.params.conversationId, at);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+        res.json(conversation);
+    });
+
+    app.delete('/history/:conversationId', api.deprecated('/api/v1/history/:conversationId'), controller, (req, res) => {
+        if (!history.remove(req.params.conversationId)) return res.status(404).json({ error: 'Conversation not found' });
+        res.json({ success: true });
+    });
+
+    // Alias for simple single-view clients (returns first active or first available)
+    app.get('/snapshot', api.deprecated('/api/v1/cascades'), viewer, (req, res) => {
+        const active = Array.from(cascades.values()).find(c => c.metadata.isActive) || cascades.values().next().value;
+        if (!active || !active.snapshot) return res.status(503).json({ error: 'No snapshot' });
+        res.json(active.snapshot);
+    });
+
+    app.post('/create/:id', api.deprecated('/api/v1/cascades/:id/new'), controller, async (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+
+        console.log(`🆕 Creating new agent for ${c.metadata.chatTitle}`);
+        try {
+            await pressNewConversationShortcut(c.cdp);
+            res.json({ success: true });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    app.post('/control/:id', api.deprecated('/api/v1/cascades/:id/control'), controller, async (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+
+        const { action, value } = req.body || {};
+        try {
+            const result = await controlAgent(c, action, value);
+            if (!result.ok) return res.status(409).json({ error: result.reason, ...result });
+            res.json(result);
+        } catch (e) {
+            res.status(e.status || 500).json({ error: e.message });
+        }
+    });
+
+    app.post('/click/:id', api.deprecated('/api/v1/cascades/:id/click'), controller, async (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+
+        const { target, kind } = req.body || {};
+        if (!/^c\d+$/.test(target || '')) return res.status(400).json({ error: 'Missing or invalid target' });
+        if (kind && !CLICKABLE_KINDS.includes(kind)) return res.status(400).json({ error: `Not clickable: ${kind}` });
+
+        console.log(`👆 Click ${kind || target} in ${c.metadata.chatTitle}`);
+        const result = await clickElement(c, target, kind);
+        if (result.ok) res.json({ success: true, kind: result.kind, label: result.label, verified: result.verified });
+        else res.status(409).json({ error: result.reason || 'Click failed' });
+    });
+
+    // Queue Routes
+    app.get('/queue/:id', api.deprecated('/api/v1/cascades/:id/queue'), viewer, (req, res) => {
+        res.json(queue.getQueue(resolveCascadeId(req.params.id)));
+    });
+
+    const queueRoute = (action, pick) => (req, res) => {
+        try {
+            res.json(applyQueueAction(resolveCascadeId(req.params.id), action, pick(req)));
+        } catch (e) {
+            res.status(e.status || 400).json({ error: e.message });
+        }
+    };
+    app.post('/queue/:id', api.deprecated('/api/v1/cascades/:id/queue'), controller, queueRoute('add', req => req.body));
+    app.put('/queue/:id', api.deprecated('/api/v1/cascades/:id/queue'), controller, queueRoute('reorder', req => req.body));
+    app.delete('/queue/:id/:entryId', api.deprecated('/api/v1/cascades/:id/queue/:entryId'), controller, queueRoute('cancel', req => ({ entryId: req.params.entryId })));
+    app.post('/queue/:id/:entryId/retry', api.deprecated('/api/v1/cascades/:id/queue/:entryId/retry'), controller, queueRoute('retry', req => ({ entryId: req.params.entryId })));
+
+    // Accepts JSON { message } or multipart (message + files[]) from the composer
+    const parseUploads = (req, res, next) => {
+        if (!req.is('multipart/form-data')) return next();
+        uploadMiddleware(req, res, (err) => {
+            if (!err) return next();
+            const status = err.status || (err.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+            res.status(status).json({ success: false, status: 'failed', reason: err.message, error: err.message });
+        });
+    };
+
+    app.post('/send/:id', api.deprecated('/api/v1/cascades/:id/messages'), controller, parseUploads, async (req, res) => {
+        const c = lookupCascade(req.params.id);
+        if (!c) return res.status(404).json({ error: 'Cascade not found' });
+
+        let result;
+        try {
+            result = await submitMessage(c, req.body, req.files);
+        } catch (e) {
+            return res.status(e.status || 400).json({ success: false, status: 'failed', reason: e.message, error: e.message });
+        }
+        res.status(result.status === 'failed' ? 500 : 200).json({ success: result.status !== 'failed', ...result });
+    });
+
+
+    wss.on('connection', (ws, req) => {
+        ws.device = req.device;
+        ws.on('message', (raw) => {
+            try { handleClientMessage(ws, JSON.parse(raw)); } catch (e) { }
+        });
+        ws.on('close', () => stopScreen(ws));
+        sendTo(ws, cascadeListMessage()); // Send list on connect
+    });
+
+    const deviceCount = auth.loadDevices();
+    notify.initNotifications();
+    queue.loadQueues();
+    history.setMaxSize(config.historyMb);
+    history.loadHistory();
+    server.listen(PORT, config.bind, () => {
+        console.log(`🚀 Server running on ${config.bind}:${PORT}`);
+        if (player) console.log(`📼 Replaying ${config.replay} at ${config.speed}x (${Math.round(player.duration / 1000)} s recorded)`);
+        else console.log(`🔎 Looking for windows on ${config.endpoints.join(', ')}`);
+        if (recorder) console.log(`⏺️  Recording to ${config.record}`);
+        console.log(`📱 ${deviceCount} paired device(s)`);
+        printPairingCode('controller', PORT);
+        printPairingCode('viewer', PORT);
+    });
+
+    // Start Loops
+    if (player) {
+        player.on('windows', discover);
+        player.on('styles', (windowId) => {
+            const c = cascades.get(windowId);
+            if (c) refreshStyles(c);
+        });
+        player.on('finished', () => console.log('📼 Replay finished, serving its last state'));
+        player.start();
+    }
+    discover();
+    let discoveryTimer = setInterval(discover, config.discoveryInterval);
+    let pollTimer = setInterval(updateSnapshots, config.pollInterval); // Fallback only, when the in-page observer isn't running
+    setInterval(() => cascades.forEach(refreshStyles), STYLES_INTERVAL);
+    setInterval(() => cascades.forEach(dispatchQueue), QUEUE_TICK); // Scheduled prompts coming due
+
+    // Edits to the config file apply right away (bind address and port need a restart)
+    settings.watchConfig((updated, changed) => {
+        if (changed.includes('discoveryInterval')) {
+            clearInterval(discoveryTimer);
+            discoveryTimer = setInterval(discover, updated.discoveryInterval);
+        }
+        if (changed.includes('pollInterval')) {
+            clearInterval(pollTimer);
+            pollTimer = setInterval(updateSnapshots, updated.pollInterval);
+        }
+        if (changed.includes('brainDir') && !player) {
+            brain.setBrainDir(updated.brainDir);
+            syncBrainWatchers();
+        }
+        if (changed.includes('historyMb')) history.setMaxSize(updated.historyMb);
+        if (changed.some(k => ['endpoints', 'include', 'exclude'].includes(k))) discover();
+    });
+
+    // Write out buffered history before going down
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => {
+            history.flush();
+            player?.stop();
+            process.exit(0);
+        });
+    }
+}
+
+// Click Helper
+// Presses a tagged button in the live workbench, but only if it is still the same
+// allow-listed kind the phone saw, then reports whether it actually went away.
+async function clickElement(c, clickId, expectedKind) {
+    const SCRIPT = `(() => {
+        const classify = ${CLASSIFY_BUTTON};
+        const el = document.querySelector('#cascade [data-ag-click="${clickId}"]');
+        if (!el) return { ok: false, reason: 'element no longer exists' };
+        if (el.disabled) return { ok: false, reason: 'element is disabled' };
+        
+        const info = classify(el);
+        if (!info) return { ok: false, reason: 'element is not clickable' };
+        if (${JSON.stringify(expectedKind || null)} && info.kind !== ${JSON.stringify(expectedKind || null)}) {
+            return { ok: false, reason: 'element changed to ' + info.kind };
+        }
+        
+        el.scrollIntoView({ block: 'center' });
+        el.click();
+        return { ok: true, kind: info.kind, label: info.label };
+    })()`;
+
+    const VERIFY_SCRIPT = `(() => {
+        const el = document.querySelector('#cascade [data-ag-click="${clickId}"]');
+        return { gone: !el || !el.isConnected || el.disabled || getComputedStyle(el).display === 'none' };
     })()`;
 
     try {
-        const res = await cdp.call("Runtime.evaluate", {
+        const res = await c.cdp.call("Runtime.evaluate", {
             expression: SCRIPT,
             returnByValue: true,
-            contextId: cdp.rootContextId
+            contextId: c.cdp.rootContextId
+        });
+        const result = res.result?.value || { ok: false, reason: 'no result' };
+        if (!result.ok) return result;
+
+        // Give the IDE a moment to react, then re-check and push the new snapshot
+        await new Promise(r => setTimeout(r, 400));
+        const check = await c.cdp.call("Runtime.evaluate", {
+            expression: VERIFY_SCRIPT,
+            returnByValue: true,
+            contextId: c.cdp.rootContextId
+        });
+        await refreshSnapshot(c);
+
+        return { ...result, verified: !!check.result?.value?.gone };
+    } catch (e) { return { ok: false, reason: e.message }; }
+}
+
+// Agent Controls
+// Stop, model and mode pickers, new conversation. Runs in the page with the action
+// as arguments; pickers are opened, the matching option clicked, and the options
+// seen along the way returned so the phone can offer them.
+const CONTROL_FUNCTION = `async function (action, value) {
+    const wait = (ms) => new Promise(r => setTimeout(r, ms));
+    const root = document.getElementById('cascade') || document.body;
+    const find = ${FIND_CONTROLS};
+    const controls = find(root);
+    const label = controls.label;
+    
+    // Menus are usually rendered at the end of <body>, not inside the picker
+    const options = () => Array.from(document.querySelectorAll('[role="option"], [role="menuitem"], [role="menuitemradio"]'))
+        .filter(el => el.offsetParent !== null && label(el));
+    const close = () => (document.activeElement || document.body).dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    
+    const pick = async (kind, wanted) => {
+        controls[kind].click();
+        await wait(250);
+        const list = options();
+        const names = list.map(label);
+        
+        // Some pickers are plain toggles: no menu, the label just flips
+        if (!list.length) {
+            const now = find(root)[kind];
+            const current = now ? label(now) : '';
+            if (!wanted) return { ok: true, options: [current] };
+            if (current.toLowerCase().startsWith(wanted.toLowerCase())) return { ok: true, selected: current, options: [] };
+            return { ok: false, reason: 'picker did not open' };
+        }
+        if (!wanted) {
+            close();
+            return { ok: true, options: names };
+        }
+        
+        const w = wanted.toLowerCase();
+        const option = list.find(el => label(el).toLowerCase() === w) || list.find(el => label(el).toLowerCase().includes(w));
+        if (!option) {
+            close();
+            return { ok: false, reason: 'no option matching "' + wanted + '"', options: names };
+        }
+        option.click();
+        await wait(250);
+        return { ok: true, selected: label(option), options: names };
+    };
+    
+    if (action === 'stop') {
+        if (!controls.stop) return { ok: false, reason: 'nothing is running' };
+        controls.stop.click();
+        return { ok: true };
+    }
+    if (action === 'new_conversation') {
+        if (!controls.newChat) return { ok: false, reason: 'no new conversation button' };
+        controls.newChat.click();
+        return { ok: true, method: 'button' };
+    }
+    if (action === 'set_model' || action === 'list_models') {
+        if (!controls.model) return { ok: false, reason: 'model picker not found' };
+        return pick('model', action === 'set_model' ? value : null);
+    }
+    if (action === 'set_mode') {
+        if (!controls.mode) return { ok: false, reason: 'mode picker not found' };
+        if (label(controls.mode).toLowerCase().startsWith(value.toLowerCase())) return { ok: true, selected: label(controls.mode), unchanged: true };
+        return pick('mode', value);
+    }
+    return { ok: false, reason: 'unknown action' };
+}`;
+
+// Ctrl+Shift+L, the workbench shortcut for a new conversation
+async function pressNewConversationShortcut(cdp) {
+    await cdp.call("Input.dispatchKeyEvent", {
+        type: "rawKeyDown",
+        modifiers: 10, // Modifiers: None: 0, Alt: 1, Ctrl: 2, Meta/Cmd: 4, Shift: 8
+        windowsVirtualKeyCode: 76, // L
+        key: "L",
+        code: "KeyL"
+    });
+    await cdp.call("Input.dispatchKeyEvent", { type: "keyUp", windowsVirtualKeyCode: 76, key: "L", code: "KeyL" });
+}
+
+// Resolves to the page's result plus the model and mode as captured afterwards.
+// Throws (with .status) on bad input.
+async function controlAgent(c, action, value) {
+    if (!CONTROL_ACTIONS.includes(action)) {
+        throw Object.assign(new Error(`Unknown action: ${action}. Expected one of ${CONTROL_ACTIONS.join(', ')}`), { status: 400 });
+    }
+    if (['set_model', 'set_mode'].includes(action) && (typeof value !== 'string' || !value.trim())) {
+        throw Object.assign(new Error(`${action} needs a value`), { status: 400 });
+    }
+    if (action === 'set_mode' && !AGENT_MODES.includes(value.toLowerCase())) {
+        throw Object.assign(new Error(`Unknown mode: ${value}. Expected one of ${AGENT_MODES.join(', ')}`), { status: 400 });
+    }
+
+    console.log(`🎛️  ${action}${value ? ` ${value}` : ''} in ${c.metadata.chatTitle}`);
+    let result;
+    try {
+        const res = await c.cdp.call("Runtime.callFunctionOn", {
+            functionDeclaration: CONTROL_FUNCTION,
+            executionContextId: c.cdp.rootContextId,
+            arguments: [{ value: action }, { value: value ?? null }],
+            awaitPromise: true,
+            returnByValue: true
         });
+        result = res.exceptionDetails
+            ? { ok: false, reason: res.exceptionDetails.exception?.description || 'script error' }
+            : res.result?.value || { ok: false, reason: 'no result' };
+    } catch (e) {
+        result = { ok: false, reason: e.message };
+    }
+
+    // No button for it in this build, the keyboard shortcut still works
+    if (!result.ok && action === 'new_conversation') {
+        await pressNewConversationShortcut(c.cdp);
+        result = { ok: true, method: 'shortcut' };
+    }
+
+    if (['set_model', 'list_models'].includes(action) && result.options?.length > 1) {
+        c.controls.models = result.options;
+        broadcastCascadeList();
+    }
+
+    // Let the IDE react, then report what the page shows now
+    await new Promise(r => setTimeout(r, 400));
+    await refreshSnapshot(c);
+    if (action === 'stop' && result.ok) result.verified = !c.signals.stop;
+
+    return { ...result, model: c.controls.model, mode: c.controls.mode, models: c.controls.models };
+}
+
+// Conversation Switching
+// Opens the IDE's conversation history and clicks the entry for the wanted
+// conversation, found by id (if the markup carries it) or by title.
+const OPEN_CONVERSATION_FUNCTION = `async function (titles, conversationId) {
+    const wait = (ms) => new Promise(r => setTimeout(r, ms));
+    const label = (el) => (el.getAttribute('aria-label') || el.getAttribute('title') || el.textContent || '').replace(/\\s+/g, ' ').trim();
+    const visible = (el) => el.offsetParent !== null;
+    const matches = (el) => {
+        if (Array.from(el.attributes).some(a => a.value.includes(conversationId))) return true;
+        const text = label(el).toLowerCase();
+        return titles.some(t => text.includes(t.toLowerCase()));
+    };
+    // List items proper first, plain links and <li> only if nothing else matches. The
+    // tightest label wins, so a message that merely mentions the title loses.
+    const findItem = () => {
+        for (const selector of ['[role="option"], [role="menuitem"], [role="listitem"], [role="treeitem"]', 'li, a']) {
+            const hits = Array.from(document.querySelectorAll(selector)).filter(el => visible(el) && matches(el));
+            if (hits.length) return hits.sort((a, b) => label(a).length - label(b).length)[0];
+        }
+        return null;
+    };
+    
+    const historyBtn = Array.from(document.querySelectorAll('button, [role="button"], a'))
+        .find(b => visible(b) && /(history|past conversations|previous conversations|recent conversations)/i.test(label(b)));
+    if (!historyBtn) return { ok: false, reason: 'conversation history button not found' };
+    
+    historyBtn.click();
+    await wait(400);
+    const item = findItem();
+    if (!item) {
+        (document.activeElement || document.body).dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        return { ok: false, reason: 'conversation not found in the history list' };
+    }
+    item.click();
+    await wait(300);
+    return { ok: true, label: label(item) };
+}`;
+
+// Resolves to { ok, verified, conversationId, title } or { ok: false, reason }.
+// Throws (with .status) for unknown conversations.
+async function openConversation(c, conversationId) {
+    const summary = brain.listBrainConversations().find(s => s.conversationId === conversationId);
+    if (!summary) throw Object.assign(new Error('Conversation not found'), { status: 404 });
+    if (conversationId === c.metadata.conversationId) return { ok: true, verified: true, unchanged: true, conversationId };
+
+    const titles = [history.getEntry(conversationId)?.title, summary.title].filter(Boolean);
+    if (!titles.length) titles.push(conversationId); // Only findable by id then
+
+    console.log(`💬 Opening ${titles[0]} in ${c.metadata.chatTitle}`);
+    let result;
+    try {
+        const res = await c.cdp.call("Runtime.callFunctionOn", {
+            functionDeclaration: OPEN_CONVERSATION_FUNCTION,
+            executionContextId: c.cdp.rootContextId,
+            arguments: [{ value: titles }, { value: conversationId }],
+            awaitPromise: true,
+            returnByValue: true
+        });
+        result = res.exceptionDetails
+            ? { ok: false, reason: res.exceptionDetails.exception?.description || 'script error' }
+            : res.result?.value || { ok: false, reason: 'no result' };
+    } catch (e) {
+        result = { ok: false, reason: e.message };
+    }
+    if (!result.ok) return result;
+
+    // Check what the window shows now. Pages that don't expose an id get the benefit of the doubt.
+    await new Promise(r => setTimeout(r, 1000));
+    const meta = await extractMetadata(c.cdp);
+    const verified = meta?.conversationId === conversationId;
+    if (meta?.conversationId && !verified) return { ok: false, reason: 'a different conversation opened', conversationId: meta.conversationId };
+
+    c.metadata.conversationId = conversationId;
+    c.metadata.conversationGuessed = !verified;
+    if (!verified) c.switchedTo = { conversationId, at: Date.now() };
+    if (meta?.chatTitle) c.metadata.chatTitle = meta.chatTitle;
+    syncBrainWatchers();
+    broadcastCascadeList();
+    await refreshSnapshot(c);
+    return { ok: true, verified, conversationId, title: c.metadata.chatTitle };
+}
+
+// Injection Helper (Moved down to keep main clear)
+// The message goes in as a call argument (Runtime.callFunctionOn), never spliced into
+// source, so quotes, backslashes, `${`, newlines or `</script>` are just text.
+// images: [{ name, type, data (base64) }], pasted into the editor as files.
+const INJECT_FUNCTION = `async function (text, images) {
+    const norm = (s) => (s || '').replace(/\\s+/g, ' ').trim();
+    const wait = (ms) => new Promise(r => setTimeout(r, ms));
+    
+    // Try contenteditable first, then textarea
+    const editor = document.querySelector('#cascade [contenteditable="true"]') ||
+        document.querySelector('[contenteditable="true"]') ||
+        document.querySelector('textarea');
+    if (!editor) return { ok: false, reason: 'no editor found' };
+    
+    const isTextarea = editor.tagName === 'TEXTAREA';
+    const currentText = () => isTextarea ? editor.value : editor.innerText;
+    
+    editor.focus();
+    
+    if (isTextarea) {
+        const nativeTextAreaValueSetter = Object.getOwnPropertyDescriptor(window.HTMLTextAreaElement.prototype, 'value').set;
+        nativeTextAreaValueSetter.call(editor, text);
+        editor.dispatchEvent(new Event('input', { bubbles: true }));
+    } else {
+        document.execCommand('selectAll', false, null);
+        document.execCommand('delete', false, null);
+        
+        // A paste keeps line breaks intact in rich editors
+        const data = new DataTransfer();
+        data.setData('text/plain', text);
+        editor.dispatchEvent(new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+        await wait(50);
+        
+        // Editor ignored the paste: type it line by line
+        if (norm(currentText()) !== norm(text)) {
+            document.execCommand('selectAll', false, null);
+            document.execCommand('delete', false, null);
+            text.split('\\n').forEach((line, i) => {
+                if (i > 0) document.execCommand('insertLineBreak', false, null);
+                if (line) document.execCommand('insertText', false, line);
+            });
+        }
+    }
+    
+    await wait(100);
+    if (norm(currentText()) !== norm(text)) return { ok: false, reason: 'editor did not accept the text' };
+    
+    // Attachments: paste them like a screenshot from the clipboard, fall back to a drop
+    if (images && images.length) {
+        const files = new DataTransfer();
+        for (const img of images) {
+            const bytes = Uint8Array.from(atob(img.data), ch => ch.charCodeAt(0));
+            files.items.add(new File([bytes], img.name, { type: img.type }));
+        }
+        
+        const pasted = !editor.dispatchEvent(new ClipboardEvent('paste', { clipboardData: files, bubbles: true, cancelable: true }));
+        if (!pasted) {
+            const target = document.getElementById('cascade') || editor;
+            target.dispatchEvent(new DragEvent('dragenter', { dataTransfer: files, bubbles: true, cancelable: true }));
+            target.dispatchEvent(new DragEvent('dragover', { dataTransfer: files, bubbles: true, cancelable: true }));
+            const dropped = !target.dispatchEvent(new DragEvent('drop', { dataTransfer: files, bubbles: true, cancelable: true }));
+            if (!dropped) return { ok: false, reason: 'the chat input did not accept the attachments' };
+        }
+        
+        // Let the IDE read the files before submitting
+        await wait(800);
+    }
+    
+    // Try multiple button selectors
+    const btn = document.querySelector('button[class*="arrow"]') || 
+               document.querySelector('button[aria-label*="Send"]') ||
+               document.querySelector('button[type="submit"]');
+    
+    if (btn) {
+        btn.click();
+    } else {
+        // Fallback to Enter key
+        editor.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, key: 'Enter' }));
+    }
+    
+    await wait(300);
+    return { ok: true, cleared: !norm(currentText()) };
+}`;
+
+async function injectMessage(cdp, text, images = []) {
+    try {
+        const res = await cdp.call("Runtime.callFunctionOn", {
+            functionDeclaration: INJECT_FUNCTION,
+            executionContextId: cdp.rootContextId,
+            arguments: [{ value: text }, { value: images }],
+            awaitPromise: true,
+            returnByValue: true
+        });
+        if (res.exceptionDetails) return { ok: false, reason: res.exceptionDetails.exception?.description || 'script error' };
         return res.result?.value || { ok: false };
     } catch (e) { return { ok: false, reason: e.message }; }
 }
 
+// Letters and digits only, so markdown rendering can't break the comparison
+function textFingerprint(str) {
+    return (str || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Inject, then watch the conversation until the user turn shows up.
+// Resolves to { status: 'delivered' | 'sent' | 'failed', reason }
+async function deliverMessage(c, text, images = []) {
+    if (typeof text !== 'string') text = '';
+    if (!text.trim() && !images.length) return { status: 'failed', reason: 'empty message' };
+
+    const before = c.messages.length;
+    const injected = await injectMessage(c.cdp, text, images);
+    if (!injected.ok) return { status: 'failed', reason: injected.reason || 'injection failed' };
+
+    // A new user turn with the text in it. Text without letters or digits ("👍", "?")
+    // is looked for as typed. Image-only messages: one that shows an image, or names
+    // one of the files (an agent turn never counts, it could be anything)
+    const needle = textFingerprint(text).slice(0, 60);
+    const typed = text.trim().replace(/\s+/g, ' ').slice(0, 60);
+    const names = images.map(img => textFingerprint(img.name)).filter(Boolean);
+    const isOurs = (m) => {
+        if (m.role !== 'user') return false;
+        const seen = textFingerprint(m.markdown);
+        if (needle) return seen.includes(needle);
+        if (typed) return m.markdown.replace(/\s+/g, ' ').includes(typed);
+        return hasImage(m.markdown) || names.some(name => seen.includes(name));
+    };
+
+    const deadline = Date.now() + DELIVERY_TIMEOUT;
+    while (Date.now() < deadline) {
+        await new Promise(r => setTimeout(r, 500));
+        await refreshSnapshot(c);
+
+        // A shorter list means the view was reset, look at all of it
+        const fresh = c.messages.length >= before ? c.messages.slice(before) : c.messages;
+        if (fresh.some(isOurs)) return { status: 'delivered', reason: null };
+    }
+
+    return {
+        status: 'sent',
+        reason: injected.cleared ? 'submitted, but not seen in the conversation yet' : 'submitted, but the editor was not cleared'
+    };
+}
+
+let startup;
+try {
+    startup = settings.loadConfig();
+} catch (e) {
+    console.error(`❌ Bad configuration, ${e.message}`);
+    process.exit(1);
+}
+if (startup.help) {
+    console.log(settings.USAGE);
+    process.exit(0);
+}
+try {
+    if (startup.config.record) recorder = new Recorder(startup.config.record);
+    if (startup.config.replay) player = new Player(startup.config.replay, { speed: startup.config.speed });
+} catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+}
+brain.setBrainDir(player ? player.brainDir : startup.config.brainDir);
 main();
@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor } from './helpers.js';
+
+let fake;
+let monitor;
+let cascadeId;
+
+before(async () => {
+    fake = await startFakeCDP();
+    fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo' });
+    monitor = await startMonitor(fake);
+    cascadeId = (await waitFor(async () => (await monitor.api('/cascades')).body.cascades[0], { message: 'a cascade' })).id;
+});
+
+after(async () => {
+    await monitor?.stop();
+    await fake?.close();
+});
+
+// A route from before /api/v1, with the same token
+const legacy = (url, { method = 'GET', body } = {}) => fetch(`${monitor.base}${url}`, {
+    method,
+    headers: { Authorization: `Bearer ${monitor.token}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+});
+
+test('old routes point at their /api/v1 successor', async () => {
+    const res = await legacy(`/messages/${cascadeId}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('deprecation'), 'true');
+    assert.equal(res.headers.get('link'), `</api/v1/cascades/${cascadeId}/messages>; rel="successor-version"`);
+});
+
+test('opening a conversation points at the open action, not the list', async () => {
+    const res = await legacy(`/conversations/${cascadeId}/open`, { method: 'POST', body: { conversationId: 'abc-123' } });
+    assert.equal(res.headers.get('link'), `</api/v1/cascades/${cascadeId}/conversations/abc-123/open>; rel="successor-version"`);
+});
+
+test('errors have one shape', async () => {
+    const { status, body } = await monitor.api('/cascades/nope');
+    assert.equal(status, 404);
+    assert.deepEqual(body, { error: { code: 'cascade_not_found', message: 'No cascade nope' } });
+});
+
+test('a queued prompt with a bad send time is a 400', async () => {
+    const { status, body } = await monitor.api(`/cascades/${cascadeId}/queue`, { method: 'POST', body: { text: 'hi', sendAt: 'soon' } });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'invalid_queue_request');
+    assert.deepEqual((await monitor.api(`/cascades/${cascadeId}/queue`)).body.queue, []);
+});
@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { WebSocket } from 'ws';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor } from './helpers.js';
+
+let fake;
+let monitor;
+let cascadeId;
+
+before(async () => {
+    fake = await startFakeCDP();
+    fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo' });
+    monitor = await startMonitor(fake);
+    cascadeId = (await waitFor(async () => (await monitor.api('/cascades')).body.cascades[0], { message: 'a cascade' })).id;
+});
+
+after(async () => {
+    await monitor?.stop();
+    await fake?.close();
+});
+
+// The newest code the server printed for `role`
+const latestCode = (role) => [...monitor.output().matchAll(new RegExp(`${role} pairing code: (\\d+)`, 'g'))].at(-1)[1];
+
+// POST /api/v1/auth/pair from a given loopback address, each one is its own client
+function pair(code, { from = '127.0.0.1', name = 'phone' } = {}) {
+    const { port } = new URL(monitor.base);
+    const body = JSON.stringify({ code, name });
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1', port, localAddress: from, path: '/api/v1/auth/pair', method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+        }, (res) => {
+            let text = '';
+            res.on('data', d => { text += d; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+const as = (token) => (url, { method = 'GET', body } = {}) => fetch(`${monitor.base}/api/v1${url}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+});
+
+// Resolves with how the upgrade went: { opened, status, code } of the first thing that happened
+function connect(token) {
+    const ws = new WebSocket(`${monitor.base.replace(/^http/, 'ws')}/?token=${encodeURIComponent(token)}`);
+    return new Promise((resolve) => {
+        ws.on('open', () => resolve({ opened: true, ws }));
+        ws.on('unexpected-response', (req, res) => {
+            resolve({ opened: false, status: res.statusCode });
+            ws.terminate();
+        });
+        ws.on('error', () => { });
+    });
+}
+
+test('a viewer can read but not send', async () => {
+    const { status, body } = await pair(latestCode('viewer'));
+    assert.equal(status, 200);
+    assert.equal(body.device.role, 'viewer');
+
+    const viewer = as(body.token);
+    assert.equal((await viewer(`/cascades/${cascadeId}/messages`)).status, 200);
+    const sent = await viewer(`/cascades/${cascadeId}/messages`, { method: 'POST', body: { message: 'hi' } });
+    assert.equal(sent.status, 403);
+    assert.equal((await sent.json()).error.code, 'forbidden');
+});
+
+test('a code works once, and a fresh one is printed for the next device', async () => {
+    const code = latestCode('controller');
+    assert.equal((await pair(code)).status, 200);
+    assert.equal((await pair(code)).status, 401);
+    await waitFor(() => latestCode('controller') !== code, { message: 'a fresh code' });
+});
+
+test('wrong guesses lock out that client only, the codes stay good', async () => {
+    for (let i = 0; i < 5; i++) {
+        const { status, body } = await pair('000000', { from: '127.0.0.2' });
+        assert.equal(status, 401);
+        assert.equal(body.error.code, 'invalid_pairing_code');
+    }
+
+    // Even the right code is refused while it waits
+    const locked = await pair(latestCode('viewer'), { from: '127.0.0.2' });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.error.code, 'too_many_requests');
+    assert.ok(Number(locked.headers['retry-after']) > 0);
+
+    const other = await pair(latestCode('viewer'), { from: '127.0.0.3' });
+    assert.equal(other.status, 200);
+});
+
+test('unknown tokens are refused during the WebSocket upgrade', async () => {
+    const refused = await connect('not-a-token');
+    assert.equal(refused.opened, false);
+    assert.equal(refused.status, 401);
+
+    const { opened, ws } = await connect(monitor.token);
+    assert.equal(opened, true);
+    ws.close();
+});
+
+test('a revoked device loses its socket and its token', async () => {
+    const { body: { token, device } } = await pair(latestCode('viewer'), { name: 'lost phone' });
+    const { ws } = await connect(token);
+    const closed = new Promise(resolve => ws.on('close', resolve));
+
+    const revoked = await monitor.api(`/devices/${device.id}`, { method: 'DELETE' });
+    assert.equal(revoked.status, 200);
+    assert.equal(await closed, 4401);
+    assert.equal((await as(token)('/auth/me')).status, 401);
+    assert.equal((await connect(token)).status, 401);
+});
@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor } from './helpers.js';
+
+// bin/ag-monitor.js run as a child process against a monitor on the fake IDE
+
+const BIN = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'ag-monitor.js');
+
+let fake;
+let parser;
+let docs;
+let monitor;
+let home; // the terminal's own data dir, where `pair` saves its token
+const running = new Set();
+
+before(async () => {
+    fake = await startFakeCDP();
+    parser = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo' });
+    parser.addMessage('user', '<p>Why does it fail?</p>');
+    parser.addMessage('agent', '<p>The <code>tokenize()</code> loop stops one early.</p>');
+    docs = fake.addTarget({ chatTitle: 'Write the docs', project: 'demo' });
+    monitor = await startMonitor(fake);
+    await waitFor(async () => (await monitor.api('/cascades')).body.cascades.length === 2, { message: 'both windows' });
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'ag-monitor-cli-'));
+});
+
+after(async () => {
+    running.forEach(child => child.kill());
+    await monitor?.stop();
+    await fake?.close();
+    if (home) fs.rmSync(home, { recursive: true, force: true });
+});
+
+// Starts the command: { child, output(), done } with done resolving to { code, stdout, stderr }
+function start(args, { token = monitor.token, input } = {}) {
+    const child = spawn(process.execPath, [BIN, ...args], {
+        env: {
+            ...process.env,
+            NO_COLOR: '1',
+            AG_MONITOR_DATA: home,
+            AG_MONITOR_URL: monitor.base,
+            ...(token ? { AG_MONITOR_TOKEN: token } : {})
+        }
+    });
+    running.add(child);
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', d => { stdout += d; });
+    child.stderr.on('data', d => { stderr += d; });
+    child.stdin.end(input);
+    const done = new Promise(resolve => child.on('exit', (code) => {
+        running.delete(child);
+        resolve({ code, stdout, stderr });
+    }));
+    return { child, output: () => stdout, done };
+}
+
+const run = (args, options) => start(args, options).done;
+
+test('list shows every open chat with its id', async () => {
+    const { code, stdout } = await run(['list']);
+    assert.equal(code, 0);
+    const { cascades } = (await monitor.api('/cascades')).body;
+    for (const c of cascades) assert.match(stdout, new RegExp(`${c.id}  demo · ${c.title}`));
+});
+
+test('chats are picked by part of their title, and only when that is unique', async () => {
+    const ambiguous = await run(['send', 'demo', 'hi']);
+    assert.equal(ambiguous.code, 2);
+    assert.match(ambiguous.stderr, /"demo" matches 2 chats/);
+
+    const missing = await run(['send', 'nothing like it', 'hi']);
+    assert.equal(missing.code, 1);
+    assert.match(missing.stderr, /No open chat matches "nothing like it"/);
+});
+
+test('send delivers the words, or stdin, to the chat', async () => {
+    let result = await run(['send', 'parser', 'Run', 'the', 'tests']);
+    assert.equal(result.code, 0);
+    assert.match(result.stdout, /✓ Delivered to demo · Fix the parser/);
+    assert.match(parser.chunks.at(-1), /Run the tests/);
+
+    result = await run(['send', 'docs', '-'], { input: 'Add a section\non the CLI\n' });
+    assert.equal(result.code, 0);
+    assert.match(docs.chunks.at(-1), /Add a section<br>on the CLI/);
+});
+
+test('tail prints the last turns as text', async () => {
+    const { code, stdout } = await run(['tail', 'parser', '--no-follow', '--lines', '2']);
+    assert.equal(code, 0);
+    assert.match(stdout, /^demo · Fix the parser /);
+    assert.match(stdout, /── Agent #1\nThe tokenize\(\) loop stops one early\./);
+    assert.match(stdout, /── You #2\nRun the tests/);
+    assert.doesNotMatch(stdout, /Why does it fail/);
+});
+
+test('tail follows new turns as they come', async () => {
+    const tail = start(['tail', 'docs', '--lines', '1']);
+    await waitFor(() => tail.output().includes('Add a section'), { message: 'the last turn' });
+
+    docs.addMessage('agent', '<p>Added <strong>Terminal client</strong> to the README.</p>');
+    await waitFor(() => tail.output().includes('Added Terminal client to the README.'), { message: 'the new turn' });
+    assert.match(tail.output(), /── Agent #\d+\nAdded Terminal client to the README\./);
+    tail.child.kill();
+    await tail.done;
+});
+
+test('new presses the new conversation shortcut in the window', async () => {
+    const from = parser.calls.length;
+    const { code, stdout } = await run(['new', 'parser']);
+    assert.equal(code, 0);
+    assert.match(stdout, /✓ New conversation started in demo · Fix the parser/);
+    const keys = parser.calls.slice(from).filter(c => c.method === 'Input.dispatchKeyEvent').map(c => [c.params.type, c.params.key]);
+    assert.deepEqual(keys, [['rawKeyDown', 'L'], ['keyUp', 'L']]);
+});
+
+test('pair saves the token for later commands, whose role still applies', async () => {
+    const unpaired = await run(['list'], { token: null });
+    assert.equal(unpaired.code, 1);
+    assert.match(unpaired.stderr, /Not paired/);
+
+    const { body: { code } } = await monitor.api('/auth/pairing-codes', { method: 'POST', body: { role: 'viewer' } });
+    const paired = await run(['pair', code, '--name', 'ssh box'], { token: null });
+    assert.equal(paired.code, 0);
+    assert.match(paired.stdout, /Paired as viewer/);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(home, 'cli.json'), 'utf8')).server, monitor.base);
+
+    assert.equal((await run(['list'], { token: null })).code, 0);
+    const sent = await run(['send', 'parser', 'hi'], { token: null });
+    assert.equal(sent.code, 1);
+    assert.match(sent.stderr, /controller/i);
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from 'node-html-parser';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor } from './helpers.js';
+
+let fake;
+let target;
+let monitor;
+let cascadeId;
+
+before(async () => {
+    fake = await startFakeCDP();
+    target = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo' });
+    monitor = await startMonitor(fake);
+    cascadeId = (await waitFor(async () => (await monitor.api('/cascades')).body.cascades[0], { message: 'a cascade' })).id;
+});
+
+after(async () => {
+    await monitor?.stop();
+    await fake?.close();
+});
+
+const click = (body) => monitor.api(`/cascades/${cascadeId}/click`, { method: 'POST', body });
+
+// The buttons in the latest snapshot, once `ready` holds for them: [{ label, id, kind }]
+async function buttons(ready) {
+    return waitFor(async () => {
+        const { body } = await monitor.api(`/cascades/${cascadeId}/snapshot`);
+        const found = parse(body.html || '').querySelectorAll('button').map(b => ({
+            label: b.text, id: b.getAttribute('data-ag-click') ?? null, kind: b.getAttribute('data-ag-kind') ?? null
+        }));
+        return ready(found) && found;
+    }, { message: 'the buttons in the snapshot' });
+}
+
+test('only allow-listed buttons are tagged, and tags stay put', async () => {
+    target.addPrompt('<p>Run npm test?</p>', ['Run command', 'Reject', 'Always allow']);
+    target.addPrompt('<p>Delete the build folder?</p>', ['Delete', 'Settings']);
+    target.addPrompt('<p>Apply the edits?</p>', ['Accept all'], { disabled: true });
+
+    const tagged = await buttons(found => found.length === 6);
+    assert.deepEqual(tagged.map(b => [b.label, b.kind]), [
+        ['Run command', 'run'], ['Reject', 'reject'], ['Always allow', null],
+        ['Delete', null], ['Settings', null],
+        ['Accept all', null]
+    ]);
+    assert.ok(tagged.filter(b => b.kind).every(b => /^c\d+$/.test(b.id)));
+
+    // Captured again after another turn
+    target.addMessage('user', '<p>Looks fine</p>');
+    await waitFor(async () => (await monitor.api(`/cascades/${cascadeId}/snapshot`)).body.html.includes('Looks fine'), { message: 'the next snapshot' });
+    const later = await buttons(() => true);
+    assert.deepEqual(later.map(b => b.id), tagged.map(b => b.id));
+});
+
+test('a press reaches the live button, is verified and shows in the next snapshot', async () => {
+    const before = await buttons(found => found.some(b => b.kind === 'run'));
+    const run = before.find(b => b.kind === 'run');
+
+    // Asked for the wrong kind: the live button is re-checked, not trusted
+    let res = await click({ target: run.id, kind: 'accept' });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error.code, 'click_failed');
+    assert.equal(res.body.error.message, 'element changed to run');
+    assert.deepEqual(target.clicked, []);
+
+    res = await click({ target: run.id, kind: 'run' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { kind: 'run', label: 'Run command', verified: true });
+    assert.deepEqual(target.clicked, ['Run command']);
+
+    // The snapshot was refreshed as part of the click
+    const after = (await buttons(() => true)).map(b => b.label);
+    assert.ok(!after.includes('Run command') && !after.includes('Reject'));
+
+    res = await click({ target: run.id });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error.message, 'element no longer exists');
+});
+
+test('anything but a tagged target of an allowed kind is refused before the IDE is asked', async () => {
+    const evaluations = () => target.calls.filter(c => c.method === 'Runtime.evaluate' && c.params.expression.includes('el.click()')).length;
+    const asked = evaluations();
+
+    for (const body of [{}, { target: 'x1' }, { target: '#cascade button' }, { target: 'c1', kind: 'delete' }]) {
+        const res = await click(body);
+        assert.equal(res.status, 400, JSON.stringify(body));
+        assert.equal(res.body.error.code, body.kind ? 'not_clickable' : 'invalid_target');
+    }
+    assert.equal(evaluations(), asked);
+});
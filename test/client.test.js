@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'vm';
+import { parse } from 'node-html-parser';
+import { clientFunction } from './helpers.js';
+
+// The web app is one inline script in public/index.html. These run single
+// functions from it against stand-ins for the DOM they touch.
+
+function renderTabs(cascades) {
+    const context = { cascades, currentCascadeId: cascades[0]?.id, STATE_LABELS: {}, tabsContainer: { innerHTML: '' }, renderControlBar() { } };
+    vm.runInNewContext(`${clientFunction('escapeHtml')}\n${clientFunction('renderTabs')}\nrenderTabs();`, context);
+    return parse(context.tabsContainer.innerHTML);
+}
+
+test('chat titles and project names from the IDE are shown as text', () => {
+    const title = '<img src=x onerror=alert(1)>';
+    const root = renderTabs([{ id: `a'); alert(1); ('`, title, projectName: '<b>demo</b>', state: 'generating', connection: '<i>closed</i>' }]);
+
+    assert.equal(root.querySelectorAll('img, b, i').length, 0);
+    assert.equal(root.querySelector('.chat-title').text, title);
+    assert.equal(root.querySelector('.project-name').text, '<b>demo</b>');
+    assert.equal(root.querySelector('.cascade-tab').getAttribute('data-id'), `a'); alert(1); ('`);
+    assert.equal(root.querySelector('.cascade-tab').getAttribute('onclick'), 'selectCascade(this.dataset.id)');
+});
@@ -0,0 +1,67 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as settings from '../lib/config.js';
+import { waitFor } from './helpers.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ag-monitor-config-'));
+const file = path.join(dir, 'config.json');
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('flags beat the environment, which beats the file', () => {
+    fs.writeFileSync(file, JSON.stringify({ port: 4000, discoveryInterval: 5000, pollInterval: 2000 }));
+    const { config } = settings.loadConfig(['--config', file, '--port', '4100'], { AG_MONITOR_DISCOVERY_MS: '6000' });
+    assert.equal(config.port, 4100);
+    assert.equal(config.discoveryInterval, 6000);
+    assert.equal(config.pollInterval, 2000);
+});
+
+test('bad settings are reported by name', () => {
+    assert.throws(() => settings.loadConfig(['--config', file], { AG_MONITOR_DISCOVERY_MS: '10' }), /AG_MONITOR_DISCOVERY_MS: at least 1000 ms/);
+});
+
+test('a reload applies live settings and leaves restart-only ones alone', async () => {
+    fs.writeFileSync(file, JSON.stringify({ port: 4000, bind: '127.0.0.1', pollInterval: 2000 }));
+    settings.loadConfig(['--config', file], {});
+    const changes = [];
+    const watcher = settings.watchConfig((config, changed) => changes.push(changed));
+    try {
+        fs.writeFileSync(file, JSON.stringify({ port: 4001, bind: '0.0.0.0', pollInterval: 3000 }));
+        await waitFor(() => changes.length, { message: 'the reload' });
+        const config = settings.getConfig();
+        assert.equal(config.pollInterval, 3000);
+        assert.equal(config.port, 4000);
+        assert.equal(config.bind, '127.0.0.1');
+        assert.deepEqual(changes, [['pollInterval']]);
+    } finally {
+        watcher?.close();
+    }
+});
+
+const target = (url, title) => ({ url, title });
+const empty = path.join(dir, 'empty.json');
+fs.writeFileSync(empty, '{}');
+const WORKBENCH = 'vscode-file://vscode-app/resources/app/out/vs/code/electron-sandbox/workbench/workbench.html';
+
+test('the default only picks workbench URLs, not pages titled like one', () => {
+    const { config } = settings.loadConfig(['--config', empty], {});
+    assert.equal(settings.targetMatches(target(WORKBENCH, 'server.js - demo - Antigravity'), config), true);
+    assert.equal(settings.targetMatches(target('https://example.com/', 'Workbench tips - workbench guide'), config), false);
+});
+
+test('patterns can check just the URL or just the title', () => {
+    const { config } = settings.loadConfig(['--config', empty, '--include', 'title:/antigravity$/i', '--exclude', 'url:settings'], {});
+    assert.equal(settings.targetMatches(target(WORKBENCH, 'demo - Antigravity'), config), true);
+    assert.equal(settings.targetMatches(target(`${WORKBENCH}?settings`, 'demo - Antigravity'), config), false);
+    assert.equal(settings.targetMatches(target('antigravity://x', 'demo'), config), false);
+    assert.throws(() => settings.loadConfig(['--config', file, '--include', 'url:'], {}), /--include: "url:" has nothing to match/);
+});
+
+test('the history budget is a setting like the others', () => {
+    fs.writeFileSync(file, JSON.stringify({ historyMb: 50 }));
+    assert.equal(settings.loadConfig(['--config', file], {}).config.historyMb, 50);
+    assert.equal(settings.loadConfig(['--config', file], { AG_MONITOR_HISTORY_MB: '75' }).config.historyMb, 75);
+    assert.throws(() => settings.loadConfig(['--config', file, '--history-mb', '0'], {}), /--history-mb: at least 1 MB/);
+});
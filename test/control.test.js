@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor } from './helpers.js';
+
+let fake;
+let target;
+let monitor;
+let cascadeId;
+
+before(async () => {
+    fake = await startFakeCDP();
+    target = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo' });
+    target.addMessage('user', '<p>Why does it fail?</p>');
+    monitor = await startMonitor(fake);
+    cascadeId = (await waitFor(async () => (await monitor.api('/cascades')).body.cascades[0], { message: 'a cascade' })).id;
+});
+
+after(async () => {
+    await monitor?.stop();
+    await fake?.close();
+});
+
+const control = (action, value) => monitor.api(`/cascades/${cascadeId}/control`, { method: 'POST', body: { action, value } });
+const cascade = async () => (await monitor.api(`/cascades/${cascadeId}`)).body;
+const asked = () => target.calls.filter(c => c.method === 'Runtime.callFunctionOn' && c.params.functionDeclaration.includes('list_models')).length;
+
+test('the model and mode the window shows are part of the cascade', async () => {
+    const c = await waitFor(async () => (await cascade()).model && cascade(), { message: 'the first capture' });
+    assert.equal(c.model, 'Gemini 3 Pro (High)');
+    assert.equal(c.mode, 'Planning');
+});
+
+test('a model is picked by part of its name, and the cascade reports it', async () => {
+    const { status, body } = await control('set_model', 'flash');
+    assert.equal(status, 200);
+    assert.equal(body.selected, 'Gemini 3 Flash');
+    assert.equal(body.model, 'Gemini 3 Flash');
+    assert.deepEqual(body.models, target.models);
+
+    const c = await cascade();
+    assert.equal(c.model, 'Gemini 3 Flash');
+    assert.deepEqual(c.models, target.models);
+
+    // No such option: nothing changes, and the ones there are come back
+    const missing = await control('set_model', 'gpt');
+    assert.equal(missing.status, 409);
+    assert.equal(missing.body.error.code, 'control_failed');
+    assert.deepEqual(missing.body.error.details.options, target.models);
+    assert.equal(target.model, 'Gemini 3 Flash');
+});
+
+test('the mode switches between planning and fast', async () => {
+    const { status, body } = await control('set_mode', 'fast');
+    assert.equal(status, 200);
+    assert.equal(body.mode, 'Fast');
+    assert.equal((await cascade()).mode, 'Fast');
+
+    assert.equal((await control('set_mode', 'PLANNING')).body.mode, 'Planning');
+});
+
+test('stop ends a run and checks that it did', async () => {
+    target.setSignals({ stop: true });
+    await waitFor(async () => (await cascade()).state === 'generating', { message: 'generating' });
+
+    const { status, body } = await control('stop');
+    assert.equal(status, 200);
+    assert.equal(body.verified, true);
+    assert.equal((await cascade()).state, 'idle');
+
+    const again = await control('stop');
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error.message, 'nothing is running');
+});
+
+test('a new conversation starts empty, by the keyboard shortcut when there is no button', async () => {
+    const before = target.conversationId;
+    const { status, body } = await control('new_conversation');
+    assert.equal(status, 200);
+    assert.equal(body.method, 'button');
+    assert.notEqual(target.conversationId, before);
+    await waitFor(async () => (await monitor.api(`/cascades/${cascadeId}/messages`)).body.messages.length === 0, { message: 'an empty chat' });
+
+    const real = target.control;
+    target.control = (action, value) => action === 'new_conversation' ? { ok: false, reason: 'no button' } : real.call(target, action, value);
+    try {
+        const keys = target.calls.length;
+        const { body } = await control('new_conversation');
+        assert.equal(body.method, 'shortcut');
+        const pressed = target.calls.slice(keys).filter(c => c.method === 'Input.dispatchKeyEvent').map(c => [c.params.type, c.params.key, c.params.modifiers]);
+        assert.deepEqual(pressed, [['rawKeyDown', 'L', 10], ['keyUp', 'L', undefined]]);
+    } finally {
+        target.control = real;
+    }
+});
+
+test('unknown actions, missing values and unknown modes are refused before the IDE is asked', async () => {
+    const before = asked();
+    for (const [action, value] of [['reboot'], [undefined], ['set_model'], ['set_model', '  '], ['set_mode', 'turbo']]) {
+        const { status, body } = await control(action, value);
+        assert.equal(status, 400, `${action} ${value}`);
+        assert.equal(body.error.code, 'bad_request');
+    }
+    assert.equal(asked(), before);
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor, sleep } from './helpers.js';
+
+// Windows whose page doesn't say which conversation it shows
+
+const OLD_THREAD = '11111111-1111-4111-8111-111111111111';
+const NEW_THREAD = '22222222-2222-4222-8222-222222222222';
+
+let fake;
+let monitor;
+let workspace;
+let target;
+
+// A brain directory whose task links into the workspace, which is how it's matched
+function brainDir(conversationId) {
+    const dir = path.join(monitor.home, 'brain', conversationId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'task.md'), `# Task\n- [ ] Fix [parser.js](${pathToFileURL(path.join(workspace, 'parser.js')).href})\n`);
+}
+
+before(async () => {
+    fake = await startFakeCDP();
+    monitor = await startMonitor(fake);
+    workspace = path.join(monitor.home, 'work', 'demo');
+    fs.mkdirSync(workspace, { recursive: true });
+});
+
+after(async () => {
+    await monitor?.stop();
+    await fake?.close();
+});
+
+const cascades = async () => (await monitor.api('/cascades')).body.cascades;
+const stored = async (conversationId) => (await monitor.api(`/history/${conversationId}`)).body;
+
+test('a switched thread goes to its own history, not the one that was showing', async () => {
+    brainDir(OLD_THREAD);
+    target = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo', workspace });
+    target.conversationId = null;
+    target.addMessage('user', '<p>Why does it fail?</p>');
+    target.addMessage('agent', '<p>An off-by-one.</p>');
+
+    const [c] = await waitFor(async () => {
+        const list = await cascades();
+        return list[0]?.conversationId === OLD_THREAD && list;
+    }, { message: 'the guessed conversation' });
+    assert.equal(c.conversationGuessed, true);
+    await waitFor(async () => (await stored(OLD_THREAD))?.messages?.length === 2, { message: 'the old thread in history' });
+
+    // The user opens another thread in the IDE
+    brainDir(NEW_THREAD);
+    target.chunks = [];
+    target.addMessage('user', '<p>Now write the docs</p>');
+
+    await waitFor(async () => (await stored(NEW_THREAD))?.messages?.length === 1, { message: 'the new thread in history' });
+    const old = await stored(OLD_THREAD);
+    assert.equal(old.messages.length, 2);
+    assert.ok(!old.timeline.some(e => e.action === 'reset'));
+    assert.equal((await cascades())[0].conversationId, NEW_THREAD);
+});
+
+test('a turn going away at the end is the same thread', async () => {
+    const [c] = await cascades();
+    assert.equal(c.conversationId, NEW_THREAD);
+    target.addMessage('agent', '<p>Sure, which parts?</p>');
+    target.addMessage('agent', '<p>Thinking…</p>');
+    await waitFor(async () => (await stored(NEW_THREAD))?.messages?.length === 3, { message: 'the turns in history' });
+
+    // The "thinking" turn is replaced by nothing, the thread didn't change
+    target.chunks.pop();
+    target.notifyChange();
+    await waitFor(async () => (await monitor.api(`/cascades/${c.id}/messages`)).body.messages?.length === 2, { message: 'the turn gone' });
+    await sleep(1500); // And a discovery pass after it
+
+    assert.equal((await cascades())[0].conversationId, NEW_THREAD);
+    assert.equal((await stored(OLD_THREAD)).messages.length, 2);
+});
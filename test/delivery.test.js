@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor } from './helpers.js';
+
+let fake;
+let target;
+let monitor;
+let cascadeId;
+
+before(async () => {
+    fake = await startFakeCDP();
+    target = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo' });
+    monitor = await startMonitor(fake);
+    cascadeId = (await waitFor(async () => (await monitor.api('/cascades')).body.cascades[0], { message: 'a cascade' })).id;
+});
+
+after(async () => {
+    await monitor?.stop();
+    await fake?.close();
+});
+
+test('a message shows up as a user turn and counts as delivered', async () => {
+    const { status, body } = await monitor.api(`/cascades/${cascadeId}/messages`, { method: 'POST', body: { message: 'Run the tests please' } });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'delivered');
+    assert.ok(target.calls.some(c => c.method === 'Runtime.callFunctionOn'));
+
+    const { body: { messages } } = await monitor.api(`/cascades/${cascadeId}/messages`);
+    assert.equal(messages.at(-1).role, 'user');
+    assert.match(messages.at(-1).markdown, /Run the tests please/);
+});
+
+test('an empty message is refused before it reaches the IDE', async () => {
+    const calls = target.calls.length;
+    const { status, body } = await monitor.api(`/cascades/${cascadeId}/messages`, { method: 'POST', body: { message: '  ' } });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'empty_message');
+    assert.equal(target.calls.slice(calls).filter(c => c.method === 'Runtime.callFunctionOn').length, 0);
+});
+
+test('an unknown cascade is a 404', async () => {
+    const { status, body } = await monitor.api('/cascades/nope/messages', { method: 'POST', body: { message: 'hi' } });
+    assert.equal(status, 404);
+    assert.equal(body.error.code, 'cascade_not_found');
+});
+
+// An image from the phone, as the web app uploads it
+const sendImage = async (name) => {
+    const form = new FormData();
+    form.append('files', new Blob([Buffer.from('89504e470d0a1a0a', 'hex')], { type: 'image/png' }), name);
+    const res = await fetch(`${monitor.base}/api/v1/cascades/${cascadeId}/messages`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${monitor.token}` },
+        body: form
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+test('an image on its own is delivered once a user turn shows it', async () => {
+    const { status, body } = await sendImage('screenshot.png');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'delivered');
+});
+
+// What the IDE shows for the next injected message, instead of the fake's own user turn
+async function whenInjected(role, html, send) {
+    const inject = target.callFunctionOn;
+    target.callFunctionOn = (params) => {
+        if (!params.functionDeclaration.includes('ClipboardEvent')) return inject.call(target, params);
+        setTimeout(() => target.addMessage(role, html), 50);
+        return { ok: true, cleared: true };
+    };
+    try {
+        return await send();
+    } finally {
+        target.callFunctionOn = inject;
+    }
+}
+
+test('an image without alt text or file name still counts', async () => {
+    const { body } = await whenInjected('user', '<img src="blob:vscode-file://vscode-app/1234">', () => sendImage('photo.png'));
+    assert.equal(body.status, 'delivered');
+});
+
+test('an agent turn showing up is not a delivered image', async () => {
+    // The IDE takes the paste but nothing of ours appears, the agent just keeps talking
+    const { body } = await whenInjected('agent', '<p>Still working on it.</p>', () => sendImage('diagram.png'));
+    assert.equal(body.status, 'sent');
+});
+
+test('text without letters or digits is looked for as typed', async () => {
+    const send = (message) => monitor.api(`/cascades/${cascadeId}/messages`, { method: 'POST', body: { message } });
+    assert.equal((await send('👍')).body.status, 'delivered');
+
+    // Not just any user turn: one with an image isn't a thumbs up
+    const { body } = await whenInjected('user', '<img src="blob:x">', () => send('?'));
+    assert.equal(body.status, 'sent');
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor } from './helpers.js';
+
+let fake;
+let monitor;
+
+before(async () => {
+    fake = await startFakeCDP();
+    const target = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo' });
+    target.addMessage('user', '<p>Why does it fail?</p>');
+    monitor = await startMonitor(fake);
+});
+
+after(async () => {
+    await monitor?.stop();
+    await fake?.close();
+});
+
+const cascades = async () => (await monitor.api('/cascades')).body.cascades;
+
+test('finds the window and reads its metadata', async () => {
+    const c = await waitFor(async () => (await cascades())[0], { message: 'a cascade' });
+    assert.equal(c.title, 'Fix the parser');
+    assert.equal(c.projectName, 'demo');
+    assert.equal(c.connection, 'open');
+});
+
+test('streams the snapshot and picks up new messages', async () => {
+    const [c] = await cascades();
+    const snapshot = await waitFor(async () => (await monitor.api(`/cascades/${c.id}/snapshot`)).body?.html, { message: 'a snapshot' });
+    assert.match(snapshot, /Why does it fail\?/);
+
+    [...fake.targets.values()][0].addMessage('agent', '<p>An off-by-one.</p>');
+    const messages = await waitFor(async () => {
+        const { body } = await monitor.api(`/cascades/${c.id}/messages`);
+        return body.messages.length === 2 && body.messages;
+    }, { message: 'the agent turn' });
+    assert.equal(messages[1].role, 'agent');
+});
+
+test('windows that go away are dropped, new ones added', async () => {
+    const [old] = await cascades();
+    const second = fake.addTarget({ chatTitle: 'Write docs', project: 'other' });
+    await waitFor(async () => (await cascades()).length === 2, { message: 'the second window' });
+
+    fake.removeTarget(second.id);
+    const list = await waitFor(async () => {
+        const list = await cascades();
+        return list.length === 1 && list;
+    }, { message: 'the window to go' });
+    assert.equal(list[0].id, old.id);
+});
+
+test('ids survive reloads, also for two windows on one folder', async () => {
+    const first = fake.addTarget({ chatTitle: 'Plan the release', project: 'shared' });
+    const second = fake.addTarget({ chatTitle: 'Review the docs', project: 'shared' });
+    const ids = async () => {
+        const list = (await cascades()).filter(c => c.projectName === 'shared');
+        return list.length === 2 && Object.fromEntries(list.map(c => [c.title, c.id]));
+    };
+    const before = await waitFor(ids, { message: 'both windows' });
+    assert.notEqual(before['Plan the release'], before['Review the docs']);
+
+    // Both reload, and come back listed the other way around
+    fake.removeTarget(first.id);
+    fake.removeTarget(second.id);
+    fake.addTarget({ chatTitle: 'Review the docs', project: 'shared' });
+    fake.addTarget({ chatTitle: 'Plan the release', project: 'shared' });
+    await waitFor(async () => {
+        const list = (await cascades()).filter(c => c.projectName === 'shared');
+        return list.length === 2 && list.every(c => c.connection === 'open');
+    }, { message: 'the reloaded windows' });
+    assert.deepEqual(await ids(), before);
+});
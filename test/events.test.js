@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor } from './helpers.js';
+
+let fake;
+let monitor;
+const streams = [];
+
+before(async () => {
+    fake = await startFakeCDP();
+    monitor = await startMonitor(fake);
+});
+
+after(async () => {
+    streams.forEach(s => s.close());
+    await monitor?.stop();
+    await fake?.close();
+});
+
+// GET /api/v1/events, collecting what arrives: { events: [{ event, data }], close() }
+async function openStream(query) {
+    const controller = new AbortController();
+    const res = await fetch(`${monitor.base}/api/v1/events?${query}`, {
+        headers: { Authorization: `Bearer ${monitor.token}` },
+        signal: controller.signal
+    });
+    assert.equal(res.status, 200);
+
+    const stream = { events: [], close: () => controller.abort() };
+    streams.push(stream);
+    (async () => {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const chunk of res.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const event = block.match(/^event: (.*)$/m)?.[1];
+                const data = block.match(/^data: (.*)$/m)?.[1];
+                if (event && data) stream.events.push({ event, data: JSON.parse(data) });
+            }
+        }
+    })().catch(() => { }); // Aborted
+    return stream;
+}
+
+const cascades = async () => (await monitor.api('/cascades')).body.cascades;
+
+test('a stream narrowed to a window follows it to its new id', async () => {
+    const first = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo' });
+    const [{ id: oldId }] = await waitFor(async () => (await cascades()).length && cascades(), { message: 'the window' });
+    const early = await openStream(`cascadeId=${oldId}&types=cascade_moved,message`);
+
+    // Reloaded, and now its folder is known: another key, so another id
+    const workspace = path.join(monitor.home, 'demo');
+    fs.mkdirSync(workspace, { recursive: true });
+    fake.removeTarget(first.id);
+    const second = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo', workspace });
+    const moved = await waitFor(() => early.events.find(e => e.event === 'cascade_moved'), { message: 'cascade_moved' });
+    assert.equal(moved.data.from, oldId);
+    const newId = moved.data.to;
+    assert.notEqual(newId, oldId);
+
+    // Opened with the old id after the move
+    const late = await openStream(`cascadeId=${oldId}&types=message`);
+    second.addMessage('agent', '<p>Found it.</p>');
+
+    for (const stream of [early, late]) {
+        const message = await waitFor(() => stream.events.find(e => e.event === 'message'), { message: 'the message' });
+        assert.equal(message.data.cascadeId, newId);
+        assert.equal(message.data.message.markdown, 'Found it.');
+    }
+});
@@ -0,0 +1,140 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocket } from 'ws';
+
+// Test helpers
+//
+// The monitor runs as its own process, like it does for real, pointed at a fake
+// CDP server (lib/fake-cdp.js) and a throwaway home directory. The web app's
+// functions are run on their own, from public/index.html.
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STARTUP_TIMEOUT = 10000;
+
+export const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Polls `check` until it returns something truthy, or fails after `timeout`
+export async function waitFor(check, { timeout = 10000, interval = 100, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const value = await check();
+        if (value) return value;
+        await sleep(interval);
+    }
+    throw new Error(`Timed out waiting for ${message}`);
+}
+
+// Starts server.js against `fake`, paired as a controller.
+// Returns { base, home, output(), api(path, options), stop() }.
+export async function startMonitor(fake, { env = {}, args = [] } = {}) {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'ag-monitor-test-'));
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(ROOT, 'server.js'), ...args], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            HOME: home,
+            PORT: String(port),
+            AG_MONITOR_BIND: '127.0.0.1',
+            AG_MONITOR_DATA: path.join(home, 'data'),
+            AG_MONITOR_BRAIN_DIR: path.join(home, 'brain'),
+            AG_MONITOR_ENDPOINTS: String(fake.port),
+            AG_MONITOR_DISCOVERY_MS: '1000',
+            ...env
+        }
+    });
+
+    let output = '';
+    child.stdout.on('data', d => { output += d; });
+    child.stderr.on('data', d => { output += d; });
+    const exited = new Promise(resolve => child.on('exit', resolve));
+
+    const stop = async () => {
+        if (child.exitCode === null) child.kill();
+        await exited;
+        fs.rmSync(home, { recursive: true, force: true });
+    };
+
+    try {
+        const code = await waitFor(() => {
+            if (child.exitCode !== null) throw new Error(`The monitor exited with ${child.exitCode}`);
+            return output.match(/controller pairing code: (\d+)/)?.[1];
+        }, { timeout: STARTUP_TIMEOUT, message: 'the pairing code' });
+        const base = `http://127.0.0.1:${port}`;
+        const res = await fetch(`${base}/api/v1/auth/pair`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code, name: 'test' })
+        });
+        const { token } = await res.json();
+
+        const api = async (url, { method = 'GET', body } = {}) => {
+            const res = await fetch(`${base}/api/v1${url}`, {
+                method,
+                headers: { Authorization: `Bearer ${token}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const text = await res.text();
+            return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+        };
+
+        return { base, home, token, api, stop, output: () => output };
+    } catch (e) {
+        await stop();
+        e.message += `\n--- server output ---\n${output}`;
+        throw e;
+    }
+}
+
+// The monitor's WebSocket, as a paired client. `next(type, check)` resolves with
+// the next message of that type (and passing `check`) not taken yet.
+export async function openSocket(monitor, token = monitor.token) {
+    const ws = new WebSocket(`${monitor.base.replace(/^http/, 'ws')}/?token=${encodeURIComponent(token)}`);
+    const messages = [];
+    ws.on('message', (raw) => messages.push(JSON.parse(raw)));
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+
+    const take = (type, check) => {
+        const i = messages.findIndex(m => m.type === type && check(m));
+        return i !== -1 && messages.splice(i, 1)[0];
+    };
+    return {
+        ws,
+        messages,
+        send: (msg) => ws.send(JSON.stringify(msg)),
+        next: (type, check = () => true, options = {}) => waitFor(() => take(type, check), { message: type, ...options }),
+        close: () => ws.close()
+    };
+}
+
+// The source of `function name() { ... }` in the web app's script, up to its
+// matching brace, to run with vm against stand-ins for what it touches
+const page = fs.readFileSync(path.join(ROOT, 'public', 'index.html'), 'utf8');
+export function clientFunction(name) {
+    const start = page.search(new RegExp(`(async )?function ${name}\\(`));
+    if (start === -1) throw new Error(`${name} not found in public/index.html`);
+    let depth = 0;
+    for (let i = page.indexOf('{', start); i < page.length; i++) {
+        if (page[i] === '{') depth++;
+        else if (page[i] === '}' && --depth === 0) return page.slice(start, i + 1);
+    }
+    throw new Error(`${name} never ends`);
+}
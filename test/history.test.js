@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { waitFor } from './helpers.js';
+
+// lib/data.js reads the data dir once, on import
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ag-monitor-history-'));
+process.env.AG_MONITOR_DATA = dataDir;
+const history = await import('../lib/history.js');
+
+const ID = 'conversation-1';
+const logFile = path.join(dataDir, 'history', `${ID}.jsonl`);
+const actions = () => fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line).action);
+
+// A conversation stored by an earlier run
+const OLD_ID = 'conversation-old';
+function seedEarlierRun() {
+    fs.mkdirSync(path.join(dataDir, 'history'), { recursive: true });
+    const at = Date.now() - 60000;
+    fs.writeFileSync(path.join(dataDir, 'history', 'index.json'), JSON.stringify({
+        [OLD_ID]: { conversationId: OLD_ID, title: 'Old', project: null, firstSeen: at, lastSeen: at, messageCount: 1, bytes: 100 }
+    }));
+    const events = [
+        { at, action: 'added', index: 0, message: { index: 0, hash: 'x', role: 'user', markdown: 'Migrate the flaky database tests' } },
+        { at: at + 1, action: 'updated', index: 0, message: { index: 0, hash: 'y', role: 'user', markdown: 'Migrate the flaky queue tests' } }
+    ];
+    fs.writeFileSync(path.join(dataDir, 'history', `${OLD_ID}.jsonl`), events.map(e => JSON.stringify(e)).join('\n') + '\n');
+}
+
+before(() => {
+    seedEarlierRun();
+    history.loadHistory();
+});
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('artifacts are only written when they change', () => {
+    const plan = { implementation_plan: '# Plan', task: null, walkthrough: null };
+    history.recordArtifacts(ID, plan);
+    history.recordArtifacts(ID, { ...plan });
+    assert.deepEqual(actions(), ['artifacts']);
+
+    history.recordArtifacts(ID, { ...plan, task: '- [ ] Step' });
+    assert.deepEqual(actions(), ['artifacts', 'artifacts']);
+    assert.equal(history.getConversation(ID).artifacts.task, '- [ ] Step');
+});
+
+test('the comparison is against memory, not a replay of the log', () => {
+    const artifacts = history.getConversation(ID).artifacts;
+    fs.writeFileSync(logFile, ''); // A replay would now find nothing and write again
+    history.recordArtifacts(ID, { ...artifacts });
+    assert.equal(fs.readFileSync(logFile, 'utf8'), '');
+});
+
+test('turns are recorded once, a shorter list is a reset', () => {
+    const messages = [{ hash: 'a', role: 'user', markdown: 'hi' }, { hash: 'b', role: 'agent', markdown: 'hello' }];
+    history.record('conversation-2', messages);
+    history.record('conversation-2', messages);
+    history.record('conversation-2', messages.slice(0, 1));
+    history.flush();
+    const { messages: stored, timeline } = history.getConversation('conversation-2');
+    assert.deepEqual(stored.map(m => m.hash), ['a']);
+    assert.deepEqual(timeline.map(e => e.action), ['added', 'added', 'reset']);
+});
+
+test('search finds the latest text of earlier runs, indexed in the background', async () => {
+    const [hit] = await waitFor(() => history.search('flaky').length && history.search('flaky'), { message: 'the old conversation indexed' });
+    assert.equal(hit.conversationId, OLD_ID);
+    assert.match(hit.snippet, /queue tests/);
+    assert.equal(history.search('database').length, 0);
+});
+
+test('search looks at what was recorded, without reading the logs', () => {
+    const messages = [{ index: 0, hash: 'a', role: 'user', markdown: 'Rename the widget factory' }];
+    history.record('conversation-3', messages);
+    fs.rmSync(path.join(dataDir, 'history', 'conversation-3.jsonl'), { force: true }); // Not even flushed yet
+
+    assert.deepEqual(history.search('WIDGET').map(r => [r.conversationId, r.index, r.role]), [['conversation-3', 0, 'user']]);
+    history.record('conversation-3', [{ ...messages[0], hash: 'b', markdown: 'Rename the gadget factory' }]);
+    assert.equal(history.search('widget').length, 0);
+    assert.equal(history.search('gadget').length, 1);
+
+    history.remove('conversation-3');
+    assert.equal(history.search('gadget').length, 0);
+});
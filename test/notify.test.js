@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor, sleep, openSocket } from './helpers.js';
+
+// State changes read off the fake window, and the webhook they end up at
+
+let fake;
+let target;
+let monitor;
+let cascadeId;
+let socket;
+let hook;
+const received = []; // [{ headers, body }] POSTed to the webhook
+
+before(async () => {
+    hook = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', d => { body += d; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body: JSON.parse(body) });
+            res.end();
+        });
+    });
+    await new Promise(resolve => hook.listen(0, '127.0.0.1', resolve));
+
+    fake = await startFakeCDP();
+    target = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo' });
+    monitor = await startMonitor(fake, { env: { NOTIFY_WEBHOOK_URL: `http://127.0.0.1:${hook.address().port}/hook` } });
+    cascadeId = (await waitFor(async () => (await monitor.api('/cascades')).body.cascades[0], { message: 'a cascade' })).id;
+    socket = await openSocket(monitor);
+});
+
+after(async () => {
+    socket?.close();
+    await monitor?.stop();
+    await fake?.close();
+    hook?.close();
+});
+
+const stateOf = async () => (await monitor.api(`/cascades/${cascadeId}`)).body.state;
+// Signals changing in the window; what the socket got before is dropped so
+// `listed` only sees lists sent after it
+const change = (signals) => {
+    socket.messages.length = 0;
+    target.setSignals(signals);
+};
+const listed = (state) => socket.next('cascade_list', m => m.cascades.find(c => c.id === cascadeId)?.state === state);
+
+test('the state shows in /cascades and cascade_list, and settled changes are sent on', async () => {
+    assert.equal(await stateOf(), 'idle');
+
+    change({ stop: true });
+    await listed('generating');
+    assert.equal(await stateOf(), 'generating');
+    await sleep(2500); // Settled
+
+    change({ stop: false });
+    await listed('idle');
+    const finished = await waitFor(() => received.find(r => r.body.event === 'finished'), { message: 'the finished webhook' });
+    assert.equal(finished.headers['content-type'], 'application/json');
+    assert.deepEqual(
+        { ...finished.body, timestamp: typeof finished.body.timestamp },
+        { event: 'finished', cascadeId, title: 'demo · Fix the parser', message: 'Agent finished', state: 'idle', previousState: 'generating', timestamp: 'number' }
+    );
+
+    change({ approvals: 1 });
+    const approval = await waitFor(() => received.find(r => r.body.event === 'approval_needed'), { message: 'the approval webhook' });
+    assert.equal(approval.body.state, 'waiting_approval');
+    change({ approvals: 0, error: true });
+    const errored = await waitFor(() => received.find(r => r.body.event === 'errored'), { message: 'the errored webhook' });
+    assert.equal(errored.body.previousState, 'waiting_approval');
+
+    change({ error: false });
+    await listed('idle');
+});
+
+test('a state that doesn\'t hold isn\'t reported', async () => {
+    const count = received.length;
+    change({ stop: true });
+    await listed('generating');
+    change({ stop: false });
+    await listed('idle');
+
+    // Back where it settled before, so nothing happened as far as notifications go
+    await sleep(2500);
+    assert.equal(received.length, count);
+});
+
+test('a muted cascade changes state quietly until it is unmuted', async () => {
+    let res = await monitor.api(`/cascades/${cascadeId}/mute`, { method: 'PUT', body: { muted: true } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.muted, true);
+    await socket.next('cascade_list', m => m.cascades.find(c => c.id === cascadeId)?.muted);
+
+    const count = received.length;
+    change({ approvals: 1 });
+    await listed('waiting_approval');
+    await sleep(2500);
+    assert.equal(received.length, count);
+
+    res = await monitor.api(`/cascades/${cascadeId}/mute`, { method: 'PUT', body: { muted: false } });
+    assert.equal(res.body.muted, false);
+    change({ approvals: 0, error: true });
+    const errored = await waitFor(() => received.slice(count).find(r => r.body.event === 'errored'), { message: 'the errored webhook' });
+    assert.equal(errored.body.previousState, 'waiting_approval');
+});
+
+test('a mute with an end runs out by itself', async () => {
+    const until = Date.now() + 500;
+    const res = await monitor.api(`/cascades/${cascadeId}/mute`, { method: 'PUT', body: { muted: true, until } });
+    assert.equal(res.body.muted, true);
+    await sleep(600);
+    assert.equal((await monitor.api(`/cascades/${cascadeId}`)).body.muted, false);
+});
@@ -0,0 +1,33 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// lib/data.js reads the data dir once, on import
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ag-monitor-queue-'));
+process.env.AG_MONITOR_DATA = dataDir;
+const queue = await import('../lib/queue.js');
+
+before(() => queue.loadQueues());
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('a scheduled head holds back the rest', () => {
+    const now = Date.now();
+    queue.addEntry('c1', { text: 'later', sendAt: now + 60000 });
+    queue.addEntry('c1', { text: 'after that' });
+    assert.equal(queue.nextReady('c1', now), null);
+    assert.equal(queue.nextReady('c1', now + 60000).text, 'later');
+});
+
+test('a send time that isn\'t a number is refused, not sent right away', () => {
+    assert.throws(() => queue.addEntry('c2', { text: 'hi', sendAt: 'tomorrow' }), /Invalid sendAt/);
+    assert.throws(() => queue.addEntry('c2', { text: 'hi', at: '25:00' }), /Invalid time/);
+    assert.deepEqual(queue.getQueue('c2'), []);
+});
+
+test('HH:MM is the next time the clock shows it', () => {
+    const now = new Date(2026, 0, 1, 15, 0);
+    assert.equal(queue.nextOccurrence('16:30', now), new Date(2026, 0, 1, 16, 30).getTime());
+    assert.equal(queue.nextOccurrence('14:00', now), new Date(2026, 0, 2, 14, 0).getTime());
+});
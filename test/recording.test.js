@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor, sleep, openSocket } from './helpers.js';
+
+// A session with the fake IDE recorded with --record, then served again with
+// --replay and no IDE at all
+
+const CONVERSATION = '6f1c2d3e-0000-4000-8000-000000000001';
+
+let scratch;
+let recording;
+let brainDir;
+let fake;
+
+before(async () => {
+    scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'ag-monitor-recording-'));
+    recording = path.join(scratch, 'session');
+    brainDir = path.join(scratch, 'brain');
+    fs.mkdirSync(path.join(brainDir, CONVERSATION), { recursive: true });
+    fs.writeFileSync(path.join(brainDir, CONVERSATION, 'task.md'), '# Fix the parser\n- [ ] Find the off-by-one\n');
+
+    fake = await startFakeCDP();
+    const target = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo', conversationId: CONVERSATION });
+    target.addMessage('user', '<p>Why does it fail?</p>');
+    const monitor = await startMonitor(fake, { args: ['--record', recording], env: { AG_MONITOR_BRAIN_DIR: brainDir } });
+    try {
+        const cascades = async () => (await monitor.api('/cascades')).body.cascades;
+        const [{ id }] = await waitFor(async () => (await cascades()).length && cascades(), { message: 'the window' });
+        const messages = async () => (await monitor.api(`/cascades/${id}/messages`)).body.messages;
+
+        target.setSignals({ stop: true });
+        const reply = target.addMessage('agent', '<p>Looking.</p>');
+        await waitFor(async () => (await messages()).length === 2, { message: 'the reply' });
+        target.updateMessage(reply, 'agent', '<p>Found it: <code>tokenize()</code> stops one early.</p>');
+        target.setSignals({ stop: false });
+        await waitFor(async () => (await messages()).at(-1)?.markdown.includes('stops one early'), { message: 'the finished reply' });
+        fs.writeFileSync(path.join(brainDir, CONVERSATION, 'task.md'), '# Fix the parser\n- [x] Find the off-by-one\n');
+        await sleep(1500); // For the brain watcher
+    } finally {
+        await monitor.stop();
+        fake.removeTarget(target.id);
+    }
+});
+
+after(async () => {
+    await fake?.close();
+    if (scratch) fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+const events = () => fs.readFileSync(path.join(recording, 'recording.jsonl'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+test('a recording has the window, its captures, its CSS and its brain files', () => {
+    const recorded = events();
+    const types = new Set(recorded.map(e => e.type));
+    for (const type of ['start', 'window', 'metadata', 'snapshot', 'css', 'brain']) assert.ok(types.has(type), type);
+    assert.ok(recorded.every((e, i) => i === 0 || e.at >= recorded[i - 1].at));
+
+    const metadata = recorded.find(e => e.type === 'metadata');
+    assert.equal(metadata.metadata.conversationId, CONVERSATION);
+    assert.equal(metadata.metadata.chatTitle, 'Fix the parser');
+
+    // Each chunk's HTML is written once, later snapshots list it by hash
+    const snapshots = recorded.filter(e => e.type === 'snapshot');
+    assert.ok(snapshots.length >= 3);
+    const bodies = snapshots.flatMap(s => Object.values(s.bodies));
+    assert.equal(bodies.filter(html => html.includes('Why does it fail?')).length, 1);
+    assert.equal(snapshots.filter(s => s.skeleton !== undefined).length, 1);
+
+    // Both versions of the task list, stored by content
+    const task = recorded.filter(e => e.type === 'brain' && e.name === 'task.md');
+    assert.equal(task.length, 2);
+    assert.match(fs.readFileSync(path.join(recording, 'blobs', task[1].blob), 'utf8'), /\[x\] Find the off-by-one/);
+});
+
+test('a directory with a recording is never recorded over', async () => {
+    await assert.rejects(startMonitor(fake, { args: ['--record', recording] }), /already has a recording/);
+});
+
+test('a replay serves the recorded session, and nothing can act on it', async () => {
+    const monitor = await startMonitor(fake, { args: ['--replay', recording, '--speed', '20'] });
+    try {
+        await waitFor(() => monitor.output().includes('Replay finished'), { message: 'the end of the replay' });
+
+        const [c] = (await monitor.api('/cascades')).body.cascades;
+        assert.equal(c.title, 'Fix the parser');
+        assert.equal(c.state, 'idle');
+        const { messages } = (await monitor.api(`/cascades/${c.id}/messages`)).body;
+        assert.deepEqual(messages.map(m => [m.role, m.markdown]), [
+            ['user', 'Why does it fail?'],
+            ['agent', 'Found it: `tokenize()` stops one early.']
+        ]);
+        assert.match((await monitor.api(`/cascades/${c.id}/brain`)).body.task, /\[x\] Find the off-by-one/);
+
+        const socket = await openSocket(monitor);
+        socket.send({ type: 'subscribe', cascadeId: c.id });
+        assert.match((await socket.next('snapshot_full')).html, /stops one early/);
+        socket.close();
+
+        const sent = await monitor.api(`/cascades/${c.id}/messages`, { method: 'POST', body: { message: 'hi' } });
+        assert.equal(sent.status, 502);
+        assert.match(sent.body.error.message, /replay/i);
+    } finally {
+        await monitor.stop();
+    }
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtml, sanitizeCss, rewriteUrl } from '../lib/sanitize.js';
+import { CHUNKS_MARKER } from '../lib/snapshot-diff.js';
+
+const proxy = (url) => `/asset/x/${encodeURIComponent(url)}`;
+const options = { baseUrl: 'vscode-file://vscode-app/workbench.html', proxy };
+
+test('drops elements that run code', () => {
+    assert.equal(sanitizeHtml('<div><script>alert(1)</script><iframe src="https://x"></iframe><p>hi</p></div>'), '<div><p>hi</p></div>');
+});
+
+test('drops event handlers and script URLs', () => {
+    const out = sanitizeHtml('<img src="https://x/a.png" onerror="alert(1)"><a href="java\tscript:alert(1)">x</a>', options);
+    assert.equal(out, '<img src="https://x/a.png"><a>x</a>');
+});
+
+test('proxies workbench resources, links stay web-only', () => {
+    assert.equal(rewriteUrl('vscode-file://vscode-app/icon.svg', options), proxy('vscode-file://vscode-app/icon.svg'));
+    assert.equal(rewriteUrl('media/icon.svg', options), proxy('vscode-file://vscode-app/media/icon.svg'));
+    assert.equal(rewriteUrl('vscode-file://vscode-app/icon.svg', { ...options, link: true }), null);
+    assert.equal(rewriteUrl('data:text/html,<script>', options), null);
+    assert.equal(rewriteUrl('data:image/png;base64,AAAA', options), 'data:image/png;base64,AAAA');
+});
+
+test('CSS loses imports and script hooks', () => {
+    const css = sanitizeCss('@import url(x.css); a { background: url(javascript:alert(1)); width: expression(alert(1)) }', options);
+    assert.ok(!/@import|javascript|expression\(/.test(css), css);
+});
+
+test('<style> text never comes back as markup', () => {
+    for (const payload of [
+        '<div><style><img src=x onerror=alert(1)></div>',
+        '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+        '<svg><style><img src=x onerror=alert(1)></style></svg>'
+    ]) {
+        const out = sanitizeHtml(payload);
+        assert.ok(!/<img/i.test(out), `${payload} -> ${out}`);
+    }
+    assert.equal(sanitizeHtml('<style>p::before { content: "<b>" }</style>'), '<style>p::before { content: "\\3c b>" }</style>');
+});
+
+test('comments are dropped, except the chunks marker', () => {
+    assert.equal(sanitizeHtml('<!--a--!><img src=x onerror=alert(1)>-->'), '');
+    assert.equal(sanitizeHtml('<p>a<!-- note --></p>'), '<p>a</p>');
+    assert.equal(sanitizeHtml(`<div>${CHUNKS_MARKER}</div>`), `<div>${CHUNKS_MARKER}</div>`);
+});
+
+test('text stays text', () => {
+    assert.equal(sanitizeHtml('<p>a &lt; b &amp; c < d</p>'), '<p>a &lt; b &amp; c &lt; d</p>');
+});
@@ -0,0 +1,96 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CDPSession } from '../lib/cdp.js';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { Screencast, tap } from '../lib/screencast.js';
+import { waitFor, sleep } from './helpers.js';
+
+let fake;
+let target;
+let cdp;
+
+before(async () => {
+    fake = await startFakeCDP();
+});
+
+after(() => fake?.close());
+
+beforeEach(async () => {
+    target = fake.addTarget({ chatTitle: 'Fix the parser' });
+    cdp = await new CDPSession(target.webSocketDebuggerUrl, { reconnect: false }).connect();
+});
+
+afterEach(() => {
+    cdp.close();
+    fake.removeTarget(target.id);
+});
+
+// A client socket, collecting the frames it was sent
+function client() {
+    return { bufferedAmount: 0, frames: [] };
+}
+
+function watch(options = {}) {
+    return new Screencast(cdp, { cascadeId: 'c1', send: (ws, msg) => msg.type === 'screen_frame' && ws.frames.push(msg), ...options });
+}
+
+test('a client gets one frame at a time, the newest once it acks', async () => {
+    const screen = watch();
+    const fast = client();
+    const slow = client();
+    screen.add(fast);
+    screen.add(slow);
+
+    // The fast one acks everything, the slow one nothing yet
+    const acking = setInterval(() => fast.frames.length && screen.ack(fast, fast.frames.at(-1).frame), 20);
+    try {
+        await waitFor(() => fast.frames.length >= 4, { message: 'frames for the fast client' });
+        assert.equal(slow.frames.length, 1);
+
+        screen.ack(slow, slow.frames[0].frame);
+        assert.equal(slow.frames.length, 2);
+        assert.equal(slow.frames[1].frame, screen.latest.frame);
+    } finally {
+        clearInterval(acking);
+        screen.remove(fast);
+        screen.remove(slow);
+    }
+    await waitFor(() => target.screencast === null, { message: 'the browser screencast stopped' });
+});
+
+test('frames carry the window size for mapping taps', async () => {
+    const screen = watch();
+    const ws = client();
+    screen.add(ws);
+    try {
+        const [frame] = await waitFor(() => ws.frames.length && ws.frames, { message: 'a frame' });
+        assert.deepEqual(frame.viewport, { x: 0, y: 0, width: 1280, height: 800 });
+        assert.equal(frame.quality, 60);
+    } finally {
+        screen.remove(ws);
+    }
+});
+
+test('the last client leaving while the browser starts still stops it', async () => {
+    target.latency = 200;
+    const screen = watch();
+    const ws = client();
+    screen.add(ws); // Page.startScreencast is on its way
+    screen.remove(ws);
+
+    await waitFor(() => target.calls.some(c => c.method === 'Page.stopScreencast'), { message: 'Page.stopScreencast' });
+    await sleep(300);
+    assert.equal(target.screencast, null);
+    assert.equal(ws.frames.length, 0);
+});
+
+test('taps inside the window click there, others are refused', async () => {
+    await tap(cdp, 100, 200);
+    const clicks = target.calls.filter(c => c.method === 'Input.dispatchMouseEvent').map(c => [c.params.type, c.params.x, c.params.y]);
+    assert.deepEqual(clicks, [['mouseMoved', 100, 200], ['mousePressed', 100, 200], ['mouseReleased', 100, 200]]);
+
+    for (const [x, y] of [[-1, 10], [10, -1], [1281, 10], [10, 801], [NaN, 10], [10, Infinity]]) {
+        await assert.rejects(tap(cdp, x, y), { status: 400 }, `${x}, ${y}`);
+    }
+    assert.equal(target.calls.filter(c => c.method === 'Input.dispatchMouseEvent').length, 3);
+});
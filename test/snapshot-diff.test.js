@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHUNKS_MARKER, joinSnapshot, diffChunks } from '../lib/snapshot-diff.js';
+
+// Applies ops the way the client does
+function apply(list, ops, next) {
+    const out = [...list];
+    for (const { index, remove, insert } of ops) out.splice(index, remove, ...insert.map(i => next[i]));
+    return out;
+}
+
+test('joinSnapshot puts the chunks where the marker is', () => {
+    assert.equal(joinSnapshot(`<div>${CHUNKS_MARKER}</div>`, ['<p>a</p>', '<p>$&</p>']), '<div><p>a</p><p>$&</p></div>');
+});
+
+test('diffChunks: nothing changed, no ops', () => {
+    assert.deepEqual(diffChunks(['a', 'b'], ['a', 'b']), []);
+});
+
+test('diffChunks: a growing last message only re-sends that message', () => {
+    assert.deepEqual(diffChunks(['a', 'b'], ['a', 'b2']), [{ index: 1, remove: 1, insert: [1] }]);
+});
+
+test('diffChunks: appends, removals and replacements apply cleanly', () => {
+    const cases = [
+        [['a'], ['a', 'b', 'c']],
+        [['a', 'b', 'c'], ['a', 'c']],
+        [['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'y']],
+        [['a', 'b'], []],
+        [[], ['x']],
+        [['a', 'b', 'c'], ['x', 'y']]
+    ];
+    for (const [prev, next] of cases) {
+        assert.deepEqual(apply(prev, diffChunks(prev, next), next), next, `${prev} -> ${next}`);
+    }
+});
@@ -0,0 +1,120 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'vm';
+import { parse } from 'node-html-parser';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor, openSocket, clientFunction } from './helpers.js';
+
+// Snapshots over the WebSocket: one in full, then splice patches the web app
+// applies in place, and a resync when it can't
+
+let fake;
+let target;
+let monitor;
+let cascadeId;
+let socket;
+
+before(async () => {
+    fake = await startFakeCDP();
+    target = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo' });
+    target.addMessage('user', '<p>Why does it fail?</p>');
+    target.addMessage('agent', '<p>Looking.</p>');
+    monitor = await startMonitor(fake);
+    cascadeId = (await waitFor(async () => (await monitor.api('/cascades')).body.cascades[0], { message: 'a cascade' })).id;
+    socket = await openSocket(monitor);
+});
+
+after(async () => {
+    socket?.close();
+    await monitor?.stop();
+    await fake?.close();
+});
+
+const chunksOf = (html) => parse(html).querySelector('[data-ag-chunks]').childNodes.filter(n => n.nodeType === 1).map(n => n.toString());
+
+// The message list as the web app holds it, and its applySnapshotPatch() working on it
+function webApp(full) {
+    const list = { children: [] };
+    const node = (html) => {
+        const n = { html, remove: () => list.children.splice(list.children.indexOf(n), 1) };
+        return n;
+    };
+    list.children = chunksOf(full.html).map(node);
+    list.insertBefore = (fragment, ref) => {
+        const at = ref ? list.children.indexOf(ref) : list.children.length;
+        list.children.splice(at, 0, ...fragment.nodes.map(node));
+    };
+
+    const context = {
+        snapshotVersion: full.version,
+        resyncs: 0,
+        requestResync: () => context.resyncs++,
+        chatContent: { querySelector: () => list },
+        chatContainer: { scrollHeight: 0, scrollTop: 0, clientHeight: 0 },
+        document: {
+            body: { style: {} },
+            createElement: () => ({
+                set innerHTML(html) { this.content = { nodes: chunksOf(`<div data-ag-chunks>${html}</div>`) }; }
+            })
+        },
+        saveOfflineCopy() { },
+        console
+    };
+    vm.runInNewContext(clientFunction('applySnapshotPatch'), context);
+    return {
+        apply: (patch) => vm.runInNewContext('applySnapshotPatch(patch)', Object.assign(context, { patch })),
+        chunks: () => list.children.map(n => n.html),
+        get version() { return context.snapshotVersion; },
+        get resyncs() { return context.resyncs; }
+    };
+}
+
+test('a subscriber gets the snapshot once, then only what changed', async () => {
+    socket.send({ type: 'subscribe', cascadeId });
+    const full = await socket.next('snapshot_full', m => m.cascadeId === cascadeId);
+    assert.equal(chunksOf(full.html).length, 2);
+    const app = webApp(full);
+
+    // A new turn: only it is sent
+    target.addMessage('agent', '<p>An off-by-one in the tokenizer.</p>');
+    const added = await socket.next('snapshot_patch');
+    assert.equal(added.base, full.version);
+    assert.equal(added.baseLength, 2);
+    assert.deepEqual(added.ops.map(op => [op.index, op.remove, op.insert.length]), [[2, 0, 1]]);
+    app.apply(added);
+
+    // An earlier one changes in place
+    target.updateMessage(1, 'agent', '<p>Looking at <code>tokenize()</code>.</p>');
+    const updated = await socket.next('snapshot_patch');
+    assert.deepEqual(updated.ops.map(op => [op.index, op.remove, op.insert.length]), [[1, 1, 1]]);
+    app.apply(updated);
+
+    assert.equal(app.version, updated.version);
+    assert.equal(app.resyncs, 0);
+
+    // What the patches built is what a fresh snapshot says
+    socket.send({ type: 'resync', cascadeId });
+    const fresh = await socket.next('snapshot_full');
+    assert.ok(fresh.version > updated.version);
+    assert.deepEqual(app.chunks(), chunksOf(fresh.html));
+    assert.match(app.chunks()[1], /tokenize\(\)/);
+});
+
+test('a patch that doesn\'t fit what the app holds asks for a resync instead', async () => {
+    socket.send({ type: 'resync', cascadeId });
+    const full = await socket.next('snapshot_full');
+    const app = webApp(full);
+    const before = app.chunks();
+
+    app.apply({ type: 'snapshot_patch', cascadeId, base: full.version - 1, version: full.version + 1, baseLength: before.length, ops: [{ index: 0, remove: 1, insert: [] }] });
+    app.apply({ type: 'snapshot_patch', cascadeId, base: full.version, version: full.version + 1, baseLength: before.length + 1, ops: [{ index: 0, remove: 1, insert: [] }] });
+    assert.equal(app.resyncs, 2);
+    assert.deepEqual(app.chunks(), before);
+    assert.equal(app.version, full.version);
+});
+
+test('an unknown cascade gets an error, not a snapshot', async () => {
+    socket.send({ type: 'subscribe', cascadeId: 'nope' });
+    const error = await socket.next('error', m => m.cascadeId === 'nope');
+    assert.equal(error.error, 'Cascade not found');
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { startMonitor, waitFor, openSocket } from './helpers.js';
+
+// Two windows with the same theme, so the same stylesheet
+
+const FONT = 'vscode-file://vscode-app/resources/app/out/media/codicon.ttf';
+const CSS = `@font-face { font-family: codicon; src: url("${FONT}") format("truetype"); }\n#cascade { font-family: sans-serif; }`;
+
+let fake;
+let first;
+let second;
+let monitor;
+let socket;
+let ids; // { first, second } cascade ids
+
+before(async () => {
+    fake = await startFakeCDP();
+    first = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo', css: CSS });
+    second = fake.addTarget({ chatTitle: 'Write the docs', project: 'docs', css: CSS });
+    for (const target of [first, second]) target.addAsset(FONT, 'font/ttf', 'fake font');
+    monitor = await startMonitor(fake);
+    socket = await openSocket(monitor);
+    const list = await waitFor(async () => {
+        const { cascades } = (await monitor.api('/cascades')).body;
+        return cascades.length === 2 && cascades;
+    }, { message: 'both windows' });
+    ids = Object.fromEntries(list.map(c => [c.title === 'Fix the parser' ? 'first' : 'second', c.id]));
+});
+
+after(async () => {
+    socket?.close();
+    await monitor?.stop();
+    await fake?.close();
+});
+
+// GET /api/v1/cascades/:id/styles, optionally conditional
+async function styles(id, etag) {
+    const res = await fetch(`${monitor.base}/api/v1/cascades/${id}/styles`, {
+        headers: { Authorization: `Bearer ${monitor.token}`, ...(etag ? { 'If-None-Match': etag } : {}) }
+    });
+    return { status: res.status, etag: res.headers.get('etag'), body: res.status === 200 ? await res.json() : null };
+}
+
+const captured = (id) => waitFor(async () => {
+    const res = await styles(id);
+    return res.body.hash && res;
+}, { message: 'captured styles' });
+
+test('windows with the same styles share one sanitized copy, served with its hash as ETag', async () => {
+    const a = await captured(ids.first);
+    const b = await captured(ids.second);
+    assert.equal(a.body.hash, b.body.hash);
+    assert.equal(a.etag, `"${a.body.hash}"`);
+    assert.equal(a.body.css, b.body.css);
+
+    // Assets go through the monitor, the IDE's own URLs never reach the phone
+    assert.doesNotMatch(a.body.css, /vscode-file:/);
+    assert.match(a.body.css, /url\("\/asset\/[^"]+\/codicon\.ttf"\)/);
+
+    const again = await styles(ids.first, a.etag);
+    assert.equal(again.status, 304);
+    assert.equal(again.body, null);
+});
+
+test('a stylesheet change reaches clients, for that window only', async () => {
+    const before = await captured(ids.first);
+    socket.messages.length = 0; // The updates from the first capture
+    first.setCss(`${CSS}\n.user-message { color: #fca5a5; }`);
+
+    const update = await socket.next('styles_update', m => m.cascadeId === ids.first, { timeout: 15000 });
+    assert.notEqual(update.hash, before.body.hash);
+
+    const now = await styles(ids.first, before.etag);
+    assert.equal(now.status, 200);
+    assert.equal(now.body.hash, update.hash);
+    assert.match(now.body.css, /#fca5a5/);
+
+    assert.equal((await styles(ids.second, before.etag)).status, 304);
+    assert.ok(!socket.messages.some(m => m.type === 'styles_update' && m.cascadeId === ids.second));
+});
+
+test('an unchanged stylesheet is not sent again', async () => {
+    const checks = () => first.calls.filter(c => c.method === 'Runtime.evaluate' && c.params.expression.includes('document.styleSheets'));
+    const known = checks().length;
+    await waitFor(() => checks().length > known, { timeout: 15000, message: 'another check' });
+
+    // The monitor says which CSS it has, so the page can answer "unchanged"
+    const signature = crypto.createHash('sha1').update(first.css).digest('hex');
+    assert.ok(checks().at(-1).params.expression.includes(JSON.stringify(signature)));
+    assert.ok(!socket.messages.some(m => m.type === 'styles_update'));
+});
+
+test('a shared font stays loadable after the window it was first seen in goes away', async () => {
+    const { css } = (await styles(ids.second)).body;
+    const url = css.match(/url\("(\/asset\/[^"]+)"\)/)[1];
+    fake.removeTarget(first.id);
+    await waitFor(async () => (await monitor.api('/cascades')).body.cascades.length === 1, { message: 'the window gone' });
+
+    const res = await fetch(`${monitor.base}${url}`);
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), 'fake font');
+});
@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCDP } from '../lib/fake-cdp.js';
+import { MAX_FILES, MAX_IMAGE_BYTES, MAX_TEXT_BYTES } from '../lib/uploads.js';
+import { startMonitor, waitFor } from './helpers.js';
+
+let fake;
+let target;
+let monitor;
+let cascadeId;
+
+before(async () => {
+    fake = await startFakeCDP();
+    target = fake.addTarget({ chatTitle: 'Fix the parser', project: 'demo' });
+    monitor = await startMonitor(fake);
+    cascadeId = (await waitFor(async () => (await monitor.api('/cascades')).body.cascades[0], { message: 'a cascade' })).id;
+});
+
+after(async () => {
+    await monitor?.stop();
+    await fake?.close();
+});
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// The composer's multipart POST: a message and [{ name, type, body }] as files[]
+async function send(message, files) {
+    const form = new FormData();
+    if (message) form.append('message', message);
+    for (const { name, type, body } of files) form.append('files', new Blob([body], { type }), name);
+    const res = await fetch(`${monitor.base}/api/v1/cascades/${cascadeId}/messages`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${monitor.token}` },
+        body: form
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+// What the monitor pasted into the chat input since `from`: [{ text, images }]
+const pasted = (from) => target.calls.slice(from)
+    .filter(c => c.method === 'Runtime.callFunctionOn' && c.params.functionDeclaration.includes('ClipboardEvent'))
+    .map(c => ({ text: c.params.arguments[0].value, images: c.params.arguments[1].value }));
+
+test('images are pasted as files next to the message', async () => {
+    const from = target.calls.length;
+    const { status, body } = await send('What is wrong here?', [
+        { name: 'screenshot.png', type: 'image/png', body: PNG },
+        { name: 'photo.jpg', type: 'image/jpeg', body: Buffer.from('ffd8ffe0', 'hex') }
+    ]);
+    assert.equal(status, 200);
+    assert.equal(body.status, 'delivered');
+
+    const [paste] = pasted(from);
+    assert.equal(paste.text, 'What is wrong here?');
+    assert.deepEqual(paste.images, [
+        { name: 'screenshot.png', type: 'image/png', data: PNG.toString('base64') },
+        { name: 'photo.jpg', type: 'image/jpeg', data: '/9j/4A==' }
+    ]);
+});
+
+test('text files go into the message as code blocks', async () => {
+    const from = target.calls.length;
+    const { status } = await send('Why does this fail?', [
+        { name: 'parser.js', type: 'text/javascript', body: 'export const parse = (s) => JSON.parse(s);\n' },
+        { name: 'README.md', type: 'application/octet-stream', body: 'Run:\n```\nnpm test\n```\n' }
+    ]);
+    assert.equal(status, 200);
+
+    const [paste] = pasted(from);
+    assert.equal(paste.text, [
+        'Why does this fail?',
+        'parser.js:\n```js\nexport const parse = (s) => JSON.parse(s);\n```',
+        'README.md:\n````md\nRun:\n```\nnpm test\n```\n````'
+    ].join('\n\n'));
+    assert.deepEqual(paste.images, []);
+});
+
+test('files over the limits, of other types or too many are refused before the IDE is asked', async () => {
+    const cases = [
+        [413, 'payload_too_large', [{ name: 'huge.png', type: 'image/png', body: Buffer.alloc(MAX_IMAGE_BYTES + 1) }]],
+        [413, 'payload_too_large', [{ name: 'huge.log', type: 'text/plain', body: 'x'.repeat(MAX_TEXT_BYTES + 1) }]],
+        [415, 'unsupported_media_type', [{ name: 'build.zip', type: 'application/zip', body: 'PK' }]],
+        [415, 'unsupported_media_type', [{ name: 'data.txt', type: 'text/plain', body: Buffer.from('c3a9ff', 'hex') }]],
+        [400, 'bad_request', Array.from({ length: MAX_FILES + 1 }, (_, i) => ({ name: `${i}.png`, type: 'image/png', body: PNG }))]
+    ];
+    const from = target.calls.length;
+    for (const [status, code, files] of cases) {
+        const res = await send('Have a look', files);
+        assert.equal(res.status, status, files[0].name);
+        assert.equal(res.body.error.code, code, files[0].name);
+    }
+    assert.deepEqual(pasted(from), []);
+});
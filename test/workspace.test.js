@@ -0,0 +1,98 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getChanges, applyChange } from '../lib/workspace.js';
+
+// A throwaway repo with one commit: a.txt and b.txt
+
+let repo;
+
+const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8' });
+const write = (name, text) => fs.writeFileSync(path.join(repo, name), text);
+const exists = (name) => fs.existsSync(path.join(repo, name));
+const file = async (name) => (await getChanges(repo)).files.find(f => f.path === name);
+
+beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'ag-monitor-workspace-'));
+    git('init', '-q');
+    git('config', 'user.name', 'Test');
+    git('config', 'user.email', 'test@example.com');
+    write('a.txt', 'one\n');
+    write('b.txt', 'two\n');
+    git('add', '.');
+    git('commit', '-qm', 'initial');
+});
+
+afterEach(() => fs.rmSync(repo, { recursive: true, force: true }));
+
+test('an untracked file can be staged, and reverting it deletes it', async () => {
+    write('new.txt', 'hello\n');
+    assert.equal((await file('new.txt')).status, 'untracked');
+    await assert.rejects(applyChange(repo, 'unstage', 'new.txt'), { status: 400 });
+
+    await applyChange(repo, 'stage', 'new.txt');
+    assert.equal((await file('new.txt')).status, 'added');
+    await applyChange(repo, 'unstage', 'new.txt');
+    assert.equal((await file('new.txt')).status, 'untracked');
+
+    await applyChange(repo, 'revert', 'new.txt');
+    assert.equal(exists('new.txt'), false);
+});
+
+test('a modified file is staged, unstaged and reverted to HEAD', async () => {
+    write('a.txt', 'one, changed\n');
+    assert.deepEqual(await file('a.txt').then(f => [f.status, f.staged, f.unstaged]), ['modified', false, true]);
+
+    await applyChange(repo, 'stage', 'a.txt');
+    assert.deepEqual(await file('a.txt').then(f => [f.staged, f.unstaged]), [true, false]);
+    await applyChange(repo, 'unstage', 'a.txt');
+    assert.deepEqual(await file('a.txt').then(f => [f.staged, f.unstaged]), [false, true]);
+
+    await applyChange(repo, 'revert', 'a.txt');
+    assert.equal(await file('a.txt'), undefined);
+    assert.equal(fs.readFileSync(path.join(repo, 'a.txt'), 'utf8'), 'one\n');
+});
+
+test('a renamed file is reported with its old name, reverting brings that back', async () => {
+    git('mv', 'b.txt', 'c.txt');
+    const renamed = await file('c.txt');
+    assert.deepEqual([renamed.status, renamed.from], ['renamed', 'b.txt']);
+
+    // Unstaged, the new name is untracked and the old one's deletion stays staged
+    await applyChange(repo, 'unstage', 'c.txt');
+    assert.equal((await file('c.txt')).status, 'untracked');
+    assert.equal((await file('b.txt')).status, 'deleted');
+    await applyChange(repo, 'stage', 'c.txt');
+    assert.equal((await file('c.txt')).status, 'renamed');
+
+    await applyChange(repo, 'revert', 'c.txt');
+    assert.deepEqual((await getChanges(repo)).files, []);
+    assert.equal(exists('b.txt'), true);
+    assert.equal(exists('c.txt'), false);
+});
+
+test('file names are never read as pathspec magic', async () => {
+    write(':(glob)*', 'tricky\n');
+    write('keep.txt', 'mine\n');
+    write('a.txt', 'one, changed\n');
+
+    await applyChange(repo, 'stage', ':(glob)*');
+    assert.equal((await file(':(glob)*')).status, 'added');
+    assert.equal((await file('keep.txt')).status, 'untracked');
+    assert.equal((await file('a.txt')).staged, false);
+
+    await applyChange(repo, 'unstage', ':(glob)*');
+    await applyChange(repo, 'revert', ':(glob)*');
+    assert.equal(exists(':(glob)*'), false);
+    assert.equal(exists('keep.txt'), true);
+    assert.equal(fs.readFileSync(path.join(repo, 'a.txt'), 'utf8'), 'one, changed\n');
+});
+
+test('only files git reports as changed are accepted', async () => {
+    await assert.rejects(applyChange(repo, 'revert', 'a.txt'), { status: 404 });
+    write('a.txt', 'changed\n');
+    await assert.rejects(applyChange(repo, 'delete', 'a.txt'), { status: 400 });
+});